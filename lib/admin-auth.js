@@ -0,0 +1,517 @@
+/**
+ * @fileoverview Back-office users, sessions and roles for Urban Art.
+ * Admin users are stored in the storage directory with scrypt password
+ * hashes. Logging in opens a session identified by an HttpOnly cookie; only
+ * a hash of the session ID is stored. Repeated failed logins lock the account
+ * for a while. Each route under /admin requires one of the roles: the owner
+ * can do everything, the assistant handles day-to-day order work.
+ * The ADMIN_API_TOKEN bearer token keeps working for scripts, as the owner.
+ * @author Urban Art Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { JsonStore, storagePath } = require('./json-store');
+const { logger } = require('./logger');
+const { config } = require('./config');
+
+const scrypt = promisify(crypto.scrypt);
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Back-office roles.
+ * @readonly
+ * @enum {string}
+ */
+const Role = Object.freeze({
+    OWNER: 'owner',
+    ASSISTANT: 'assistant'
+});
+
+/** @type {boolean} Whether the shop is served over HTTPS */
+const SECURE = config.server.frontendUrl.startsWith('https:');
+
+/** @type {Object} Admin authentication configuration constants */
+const ADMIN_AUTH_CONFIG = Object.freeze({
+    // The __Host- prefix pins the cookie to this host; browsers accept it over HTTPS only
+    COOKIE_NAME: SECURE ? '__Host-admin_session' : 'admin_session',
+    SECURE,
+    SESSION_TTL_MS: config.security.adminSessionHours * 60 * 60 * 1000,
+    USERNAME_PATTERN: /^[a-z0-9._-]{3,32}$/,
+    PASSWORD_MIN_LENGTH: 12,
+    PASSWORD_MAX_LENGTH: 200,
+    // Consecutive failures locking an account, and for how long
+    MAX_FAILED_LOGINS: 5,
+    LOCKOUT_MS: 15 * 60 * 1000,
+    // scrypt cost parameters, stored with each hash so they can be raised later
+    SCRYPT: Object.freeze({ N: 16384, r: 8, p: 1, keyLength: 64 }),
+    // Name shown in logs for requests made with ADMIN_API_TOKEN
+    API_TOKEN_USER: 'api-token'
+});
+
+/** @type {JsonStore} Persisted admin users keyed by username */
+const userStore = new JsonStore(storagePath('admin-users.json'), () => ({
+    users: {}
+}));
+
+/** @type {JsonStore} Open sessions keyed by the SHA-256 of their ID */
+const sessionStore = new JsonStore(storagePath('admin-sessions.json'), () => ({
+    sessions: {}
+}));
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc)
+// ============================================================================
+
+/**
+ * @typedef {Object} AdminUser
+ * @property {string} username - Lowercase login name
+ * @property {string} role - A Role value
+ * @property {string} passwordHash - scrypt hash (see hashPassword)
+ * @property {boolean} disabled - Whether the user may log in
+ * @property {number} failedLogins - Consecutive failed logins
+ * @property {string|null} lockedUntil - ISO timestamp until which logins are refused
+ * @property {string|null} lastLoginAt - ISO timestamp
+ * @property {string} createdAt - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} AdminIdentity
+ * @property {string} username - Login name
+ * @property {string} role - A Role value
+ */
+
+// ============================================================================
+// PASSWORDS
+// ============================================================================
+
+/**
+ * Hashes a password as "scrypt$N$r$p$salt$hash" (base64 salt and hash).
+ * @param {string} password - Plain password
+ * @returns {Promise<string>} Password hash
+ */
+async function hashPassword(password) {
+    const { N, r, p, keyLength } = ADMIN_AUTH_CONFIG.SCRYPT;
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, keyLength, { N, r, p });
+    return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Checks a password against a hash.
+ * @param {string} password - Plain password
+ * @param {string} stored - Hash from hashPassword()
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, stored) {
+    const [scheme, N, r, p, salt, hash] = stored.split('$');
+    if (scheme !== 'scrypt') return false;
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+        N: Number(N), r: Number(r), p: Number(p)
+    });
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+/** @type {Promise<string>} Hash checked for unknown usernames, so they take as long to refuse */
+const dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+/**
+ * Checks a new password against the password policy.
+ * @param {*} password - Password from the request
+ * @returns {string|null} Error message, or null if acceptable
+ */
+function checkPasswordPolicy(password) {
+    if (typeof password !== 'string' ||
+        password.length < ADMIN_AUTH_CONFIG.PASSWORD_MIN_LENGTH ||
+        password.length > ADMIN_AUTH_CONFIG.PASSWORD_MAX_LENGTH) {
+        return `password must be ${ADMIN_AUTH_CONFIG.PASSWORD_MIN_LENGTH} to ` +
+            `${ADMIN_AUTH_CONFIG.PASSWORD_MAX_LENGTH} characters long`;
+    }
+    return null;
+}
+
+// ============================================================================
+// USERS
+// ============================================================================
+
+/**
+ * Normalizes a username.
+ * @param {*} username - Raw username
+ * @returns {string} Lowercase trimmed username, or '' if not a string
+ */
+function normalizeUsername(username) {
+    return typeof username === 'string' ? username.trim().toLowerCase() : '';
+}
+
+/**
+ * Returns a user without its password hash and lockout state.
+ * @param {AdminUser} user - Stored user
+ * @returns {Object} Public user fields
+ */
+function toPublicUser(user) {
+    return {
+        username: user.username,
+        role: user.role,
+        disabled: user.disabled,
+        lastLoginAt: user.lastLoginAt,
+        createdAt: user.createdAt
+    };
+}
+
+/**
+ * Lists admin users.
+ * @returns {Object[]} Public user fields, by username
+ */
+function listUsers() {
+    return Object.values(userStore.read().users)
+        .sort((a, b) => a.username.localeCompare(b.username))
+        .map(toPublicUser);
+}
+
+/**
+ * Creates an admin user.
+ * @param {Object} fields - User fields from the admin API
+ * @param {string} fields.username - Login name
+ * @param {string} fields.password - Plain password
+ * @param {string} fields.role - A Role value
+ * @returns {Promise<{valid: boolean, error?: string, user?: Object}>} Creation result
+ */
+async function createUser(fields) {
+    const username = normalizeUsername(fields.username);
+
+    if (!ADMIN_AUTH_CONFIG.USERNAME_PATTERN.test(username)) {
+        return { valid: false, error: 'username must be 3-32 characters: letters, digits, ".", "_" or "-"' };
+    }
+    if (!Object.values(Role).includes(fields.role)) {
+        return { valid: false, error: `role must be one of ${Object.values(Role).join(', ')}` };
+    }
+
+    const passwordError = checkPasswordPolicy(fields.password);
+    if (passwordError) {
+        return { valid: false, error: passwordError };
+    }
+
+    const passwordHash = await hashPassword(fields.password);
+
+    return userStore.update(data => {
+        if (data.users[username]) {
+            return { valid: false, error: `User ${username} already exists` };
+        }
+
+        data.users[username] = {
+            username,
+            role: fields.role,
+            passwordHash,
+            disabled: false,
+            failedLogins: 0,
+            lockedUntil: null,
+            lastLoginAt: null,
+            createdAt: new Date().toISOString()
+        };
+
+        logger.info('Admin user created', { username, role: fields.role });
+        return { valid: true, user: toPublicUser(data.users[username]) };
+    });
+}
+
+/**
+ * Changes the role, password or disabled state of a user. A new password
+ * or disabling the user closes the user's sessions.
+ * @param {string} username - Login name
+ * @param {Object} changes - Fields to change
+ * @param {string} [changes.role] - A Role value
+ * @param {string} [changes.password] - New plain password
+ * @param {boolean} [changes.disabled] - Whether the user may log in
+ * @returns {Promise<{valid: boolean, error?: string, user?: Object}>} Update result;
+ *   user is missing if there is no such user
+ */
+async function updateUser(username, changes) {
+    if (changes.role !== undefined && !Object.values(Role).includes(changes.role)) {
+        return { valid: false, error: `role must be one of ${Object.values(Role).join(', ')}` };
+    }
+    if (changes.disabled !== undefined && typeof changes.disabled !== 'boolean') {
+        return { valid: false, error: 'disabled must be a boolean' };
+    }
+    if (changes.password !== undefined) {
+        const passwordError = checkPasswordPolicy(changes.password);
+        if (passwordError) return { valid: false, error: passwordError };
+    }
+
+    const passwordHash = changes.password !== undefined
+        ? await hashPassword(changes.password)
+        : null;
+    const name = normalizeUsername(username);
+
+    const result = userStore.update(data => {
+        const user = data.users[name];
+        if (!user) return { valid: true };
+
+        const remaining = Object.values(data.users).filter(other => (
+            other.username !== name && other.role === Role.OWNER && !other.disabled
+        ));
+        const demoted = (changes.role && changes.role !== Role.OWNER) || changes.disabled === true;
+        if (user.role === Role.OWNER && demoted && remaining.length === 0) {
+            return { valid: false, error: 'The last active owner cannot be demoted or disabled' };
+        }
+
+        if (changes.role !== undefined) user.role = changes.role;
+        if (changes.disabled !== undefined) user.disabled = changes.disabled;
+        if (passwordHash) {
+            user.passwordHash = passwordHash;
+            user.failedLogins = 0;
+            user.lockedUntil = null;
+        }
+
+        return { valid: true, user: toPublicUser(user) };
+    });
+
+    if (result.user && (passwordHash || changes.disabled === true)) {
+        closeUserSessions(name);
+    }
+    if (result.user) {
+        logger.info('Admin user updated', {
+            username: name,
+            fields: Object.keys(changes).filter(key => changes[key] !== undefined)
+        });
+    }
+    return result;
+}
+
+/**
+ * Checks login credentials. Consecutive failures lock the account for
+ * ADMIN_AUTH_CONFIG.LOCKOUT_MS.
+ * @param {string} username - Login name
+ * @param {string} password - Plain password
+ * @returns {Promise<{valid: boolean, code?: string, retryAfterMs?: number, user?: AdminIdentity}>}
+ *   Check result; code is 'invalid_credentials' or 'locked'
+ */
+async function authenticate(username, password) {
+    const name = normalizeUsername(username);
+    const user = userStore.read().users[name];
+    const now = Date.now();
+
+    if (user && user.lockedUntil && Date.parse(user.lockedUntil) > now) {
+        return { valid: false, code: 'locked', retryAfterMs: Date.parse(user.lockedUntil) - now };
+    }
+
+    const matches = typeof password === 'string' &&
+        password.length <= ADMIN_AUTH_CONFIG.PASSWORD_MAX_LENGTH &&
+        await verifyPassword(password, user ? user.passwordHash : await dummyHash);
+
+    if (!user || !matches || user.disabled) {
+        if (user && !matches) recordFailedLogin(name);
+        return { valid: false, code: 'invalid_credentials' };
+    }
+
+    userStore.update(data => {
+        const stored = data.users[name];
+        stored.failedLogins = 0;
+        stored.lockedUntil = null;
+        stored.lastLoginAt = new Date().toISOString();
+    });
+
+    return { valid: true, user: { username: name, role: user.role } };
+}
+
+/**
+ * Counts a failed login, locking the account after too many.
+ * @param {string} username - Login name
+ */
+function recordFailedLogin(username) {
+    userStore.update(data => {
+        const user = data.users[username];
+        user.failedLogins++;
+
+        if (user.failedLogins >= ADMIN_AUTH_CONFIG.MAX_FAILED_LOGINS) {
+            user.failedLogins = 0;
+            user.lockedUntil = new Date(Date.now() + ADMIN_AUTH_CONFIG.LOCKOUT_MS).toISOString();
+            logger.warn('Admin account locked after failed logins', { username });
+        }
+    });
+}
+
+// ============================================================================
+// SESSIONS
+// ============================================================================
+
+/**
+ * Hashes a session ID for storage.
+ * @param {string} sessionId - Session ID from the cookie
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashSessionId(sessionId) {
+    return crypto.createHash('sha256').update(sessionId).digest('hex');
+}
+
+/**
+ * Opens a session and sets its cookie.
+ * @param {Object} res - Express response
+ * @param {AdminIdentity} user - Logged-in user
+ */
+function openSession(res, user) {
+    const sessionId = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+
+    sessionStore.update(data => {
+        // Drop expired sessions while the document is being written anyway
+        for (const [key, session] of Object.entries(data.sessions)) {
+            if (Date.parse(session.expiresAt) <= now) delete data.sessions[key];
+        }
+
+        data.sessions[hashSessionId(sessionId)] = {
+            username: user.username,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + ADMIN_AUTH_CONFIG.SESSION_TTL_MS).toISOString()
+        };
+    });
+
+    res.cookie(ADMIN_AUTH_CONFIG.COOKIE_NAME, sessionId, {
+        httpOnly: true,
+        secure: ADMIN_AUTH_CONFIG.SECURE,
+        sameSite: 'strict',
+        path: '/',
+        maxAge: ADMIN_AUTH_CONFIG.SESSION_TTL_MS
+    });
+}
+
+/**
+ * Closes the session of a request and clears its cookie.
+ * @param {Object} req - Express request (cookies parsed)
+ * @param {Object} res - Express response
+ */
+function closeSession(req, res) {
+    const sessionId = req.cookies[ADMIN_AUTH_CONFIG.COOKIE_NAME];
+
+    if (typeof sessionId === 'string') {
+        sessionStore.update(data => {
+            delete data.sessions[hashSessionId(sessionId)];
+        });
+    }
+
+    res.clearCookie(ADMIN_AUTH_CONFIG.COOKIE_NAME, {
+        httpOnly: true,
+        secure: ADMIN_AUTH_CONFIG.SECURE,
+        sameSite: 'strict',
+        path: '/'
+    });
+}
+
+/**
+ * Closes every session of a user.
+ * @param {string} username - Login name
+ */
+function closeUserSessions(username) {
+    sessionStore.update(data => {
+        for (const [key, session] of Object.entries(data.sessions)) {
+            if (session.username === username) delete data.sessions[key];
+        }
+    });
+}
+
+/**
+ * Finds the user of the session of a request.
+ * @param {Object} req - Express request (cookies parsed)
+ * @returns {AdminIdentity|null} Logged-in user, or null
+ */
+function getSessionUser(req) {
+    const sessionId = req.cookies[ADMIN_AUTH_CONFIG.COOKIE_NAME];
+    if (typeof sessionId !== 'string') return null;
+
+    const session = sessionStore.read().sessions[hashSessionId(sessionId)];
+    if (!session || Date.parse(session.expiresAt) <= Date.now()) return null;
+
+    const user = userStore.read().users[session.username];
+    if (!user || user.disabled) return null;
+
+    return { username: user.username, role: user.role };
+}
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+/**
+ * Checks the ADMIN_API_TOKEN bearer token of a request.
+ * @param {Object} req - Express request
+ * @returns {boolean|null} Whether the token matches, or null if none was sent
+ */
+function checkApiToken(req) {
+    const header = req.get('Authorization') || '';
+    if (!/^Bearer\s/i.test(header)) return null;
+
+    const expected = config.security.adminApiToken;
+    if (!expected) return false;
+
+    const expectedBuffer = Buffer.from(expected);
+    const providedBuffer = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+
+    return providedBuffer.length === expectedBuffer.length &&
+        crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+}
+
+/**
+ * Creates an Express middleware setting req.admin to the user logged in
+ * with the session cookie (or null), and adding the username to the log
+ * context.
+ * @returns {function(Object, Object, Function): void} Express middleware
+ */
+function createSessionMiddleware() {
+    return function adminSession(req, res, next) {
+        req.admin = getSessionUser(req);
+        if (req.admin) logger.addContext({ admin: req.admin.username });
+        next();
+    };
+}
+
+/**
+ * Creates an Express middleware letting through requests from a user with
+ * one of the roles, or with the ADMIN_API_TOKEN bearer token (as the owner).
+ * Responds 401 without valid credentials and 403 for other roles.
+ * @param {...string} roles - Allowed Role values
+ * @returns {function(Object, Object, Function): void} Express middleware
+ */
+function requireRole(...roles) {
+    return function checkRole(req, res, next) {
+        const token = checkApiToken(req);
+
+        if (token === false) {
+            logger.warn('Rejected admin request', { path: req.path, ip: req.ip });
+            return res.status(401).json({ error: 'Unauthorized', code: 'unauthorized' });
+        }
+        if (token) {
+            req.admin = { username: ADMIN_AUTH_CONFIG.API_TOKEN_USER, role: Role.OWNER };
+            logger.addContext({ admin: req.admin.username });
+        }
+
+        if (!req.admin) {
+            return res.status(401).json({ error: 'Unauthorized', code: 'unauthorized' });
+        }
+        if (!roles.includes(req.admin.role)) {
+            logger.warn('Admin role not allowed', { path: req.path, role: req.admin.role });
+            return res.status(403).json({ error: 'Forbidden', code: 'forbidden' });
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    Role,
+    ADMIN_AUTH_CONFIG,
+    listUsers,
+    createUser,
+    updateUser,
+    authenticate,
+    openSession,
+    closeSession,
+    createSessionMiddleware,
+    requireRole
+};
@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Static assets of the Urban Art site.
+ * Only the public/ directory is served, and only what is listed here: the
+ * HTML pages, the stylesheet and scripts, and images (those of public/images
+ * and those uploaded from the back office). Stylesheet and scripts get a
+ * content hash in their name (cart.3f2a9c01be.js), which HTML pages
+ * reference automatically, so browsers may cache them for a year and still
+ * load a new version as soon as it is deployed.
+ * @author Urban Art Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { config, Profile } = require('./config');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** @type {Object} Asset configuration constants */
+const ASSET_CONFIG = Object.freeze({
+    PUBLIC_DIR: path.join(__dirname, '..', 'public'),
+    // Files served under a content-hashed name
+    HASHED_ASSETS: Object.freeze([
+        'styles.css', 'cart.js', 'script.js', 'lightbox.js', 'translations.js',
+        'admin.css', 'admin.js'
+    ]),
+    // Characters of the SHA-256 hex digest kept in hashed names
+    HASH_LENGTH: 10,
+    IMAGE_DIR: 'images',
+    // Artwork images uploaded from the back office, served under /uploads
+    UPLOAD_DIR: path.resolve(config.storage.uploadDir),
+    UPLOAD_URL_PREFIX: 'uploads',
+    IMAGE_EXTENSIONS: Object.freeze(['.jpg', '.jpeg', '.png', '.webp', '.gif', '.svg']),
+    IMMUTABLE_MAX_AGE: '1y',
+    IMAGE_MAX_AGE: '1d',
+    // Hashes are recomputed on every request in development, where files change
+    WATCH: config.profile === Profile.DEVELOPMENT
+});
+
+/** @type {RegExp} Hashed name, e.g. "cart.3f2a9c01be.js" */
+const HASHED_NAME_PATTERN = new RegExp(`^(.+)\\.([0-9a-f]{${ASSET_CONFIG.HASH_LENGTH}})(\\.[a-z]+)$`);
+
+// ============================================================================
+// MANIFEST
+// ============================================================================
+
+/** @type {Object<string, string>|null} Hashed name of each asset, once computed */
+let cachedManifest = null;
+
+/**
+ * Inserts a hash before the extension of a file name.
+ * @param {string} file - File name
+ * @param {string} hash - Content hash
+ * @returns {string} Hashed name
+ */
+function hashedName(file, hash) {
+    const extension = path.extname(file);
+    return `${path.basename(file, extension)}.${hash}${extension}`;
+}
+
+/**
+ * Computes the hashed name of every asset from its current content.
+ * @returns {Object<string, string>} Hashed name by asset name
+ */
+function buildManifest() {
+    const manifest = {};
+
+    for (const file of ASSET_CONFIG.HASHED_ASSETS) {
+        const content = fs.readFileSync(path.join(ASSET_CONFIG.PUBLIC_DIR, file));
+        const hash = crypto.createHash('sha256').update(content).digest('hex')
+            .slice(0, ASSET_CONFIG.HASH_LENGTH);
+        manifest[file] = hashedName(file, hash);
+    }
+    return manifest;
+}
+
+/**
+ * Gets the hashed name of every asset.
+ * @returns {Object<string, string>} Hashed name by asset name
+ */
+function getManifest() {
+    if (ASSET_CONFIG.WATCH || !cachedManifest) {
+        cachedManifest = buildManifest();
+    }
+    return cachedManifest;
+}
+
+/**
+ * Replaces the asset names referenced by src and href attributes with their
+ * hashed names. Pages below the root (e.g. /admin) reference assets with a
+ * leading slash, which is kept.
+ * @param {string} html - HTML document
+ * @returns {string} HTML referencing hashed names
+ */
+function rewriteAssetUrls(html) {
+    const manifest = getManifest();
+
+    return html.replace(/\b(src|href)="(\.?\/)?([^"/?#]+)"/g, (match, attribute, prefix = '', file) => (
+        manifest[file] ? `${attribute}="${prefix}${manifest[file]}"` : match
+    ));
+}
+
+// ============================================================================
+// PAGES
+// ============================================================================
+
+/**
+ * Reads an HTML page of the public directory, with asset names rewritten.
+ * @param {string} file - Page file name
+ * @returns {Promise<string>} HTML document
+ */
+async function readPage(file) {
+    const html = await fs.promises.readFile(path.join(ASSET_CONFIG.PUBLIC_DIR, file), 'utf8');
+    return rewriteAssetUrls(html);
+}
+
+// ============================================================================
+// ROUTER
+// ============================================================================
+
+/**
+ * Sends an asset of the public directory.
+ * @param {Object} res - Express response
+ * @param {string} file - Asset name
+ * @param {boolean} immutable - Cache for a year (hashed name of the current content)
+ * @param {Function} next - Express next callback
+ */
+function sendAsset(res, file, immutable, next) {
+    const options = immutable
+        ? { root: ASSET_CONFIG.PUBLIC_DIR, maxAge: ASSET_CONFIG.IMMUTABLE_MAX_AGE, immutable: true }
+        : { root: ASSET_CONFIG.PUBLIC_DIR, cacheControl: false, headers: { 'Cache-Control': 'no-cache' } };
+
+    res.sendFile(file, options, err => {
+        if (err && !res.headersSent) next(err);
+    });
+}
+
+/**
+ * Creates the router serving the stylesheet, scripts and images. Requests
+ * for anything else fall through, to end in the 404 handler.
+ * A hashed name whose hash is not the current one (a page cached before a
+ * deployment) gets the current file, without long-lived caching.
+ * @returns {Object} Express router
+ */
+function createAssetRouter() {
+    const router = express.Router();
+    const staticOptions = { maxAge: ASSET_CONFIG.IMAGE_MAX_AGE, index: false, redirect: false };
+    const images = express.static(path.join(ASSET_CONFIG.PUBLIC_DIR, ASSET_CONFIG.IMAGE_DIR), staticOptions);
+    // Uploaded images have a random name and are never overwritten
+    const uploads = express.static(ASSET_CONFIG.UPLOAD_DIR, {
+        ...staticOptions,
+        maxAge: ASSET_CONFIG.IMMUTABLE_MAX_AGE,
+        immutable: true
+    });
+    const onlyImages = handler => (req, res, next) => {
+        const extension = path.extname(req.path).toLowerCase();
+        if (!ASSET_CONFIG.IMAGE_EXTENSIONS.includes(extension)) return next();
+        handler(req, res, next);
+    };
+
+    router.get('/:file', (req, res, next) => {
+        const { file } = req.params;
+
+        if (ASSET_CONFIG.HASHED_ASSETS.includes(file)) {
+            return sendAsset(res, file, false, next);
+        }
+
+        const match = HASHED_NAME_PATTERN.exec(file);
+        const asset = match && `${match[1]}${match[3]}`;
+        if (!asset || !ASSET_CONFIG.HASHED_ASSETS.includes(asset)) return next();
+
+        sendAsset(res, asset, getManifest()[asset] === file, next);
+    });
+
+    router.use(`/${ASSET_CONFIG.IMAGE_DIR}`, onlyImages(images));
+    router.use(`/${ASSET_CONFIG.UPLOAD_URL_PREFIX}`, onlyImages(uploads));
+
+    return router;
+}
+
+module.exports = {
+    ASSET_CONFIG,
+    getManifest,
+    rewriteAssetUrls,
+    readPage,
+    createAssetRouter
+};
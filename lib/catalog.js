@@ -0,0 +1,485 @@
+/**
+ * @fileoverview Server-side artwork catalog for Urban Art e-commerce platform.
+ * The catalog is the single source of truth for prices: checkout resolves
+ * cart entries by artwork ID and never trusts client-supplied prices.
+ * Artworks are managed in the back office and persisted in the storage
+ * directory; data/catalog.json only seeds the catalog on first start. The
+ * storefront renders its product cards from the catalog, in catalog order.
+ * @author Urban Art Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { JsonStore, storagePath } = require('./json-store');
+const { logger } = require('./logger');
+const { config } = require('./config');
+const currency = require('./currency');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Artwork categories; each maps to a VAT class in data/vat.json.
+ * @readonly
+ * @enum {string}
+ */
+const ArtworkCategory = Object.freeze({
+    SCULPTURE: 'sculpture',
+    PAINTING: 'painting',
+    PHOTOGRAPH: 'photograph'
+});
+
+/** @type {Object} Catalog configuration constants */
+const CATALOG_CONFIG = Object.freeze({
+    // Artworks the catalog starts from, before any back-office change
+    SEED_FILE: path.join(__dirname, '..', 'data', 'catalog.json'),
+    DEFAULT_LOCALE: 'fr',
+    SUPPORTED_LOCALES: ['fr', 'en', 'ru', 'zh', 'uz'],
+    MAX_LINE_ITEMS: 100,
+    MAX_QUANTITY_PER_ITEM: 100,
+    ID_PATTERN: /^[a-z0-9]+(?:-[a-z0-9]+){0,9}$/,
+    SKU_PATTERN: /^[A-Z0-9-]{3,32}$/,
+    MAX_TITLE_LENGTH: 120,
+    MAX_DESCRIPTION_LENGTH: 500,
+    MAX_PRICE: 1000000,
+    // Largest amount Stripe accepts as a unit price, in cents
+    MAX_FIXED_PRICE_CENTS: 99999999,
+    // Images shipped in public/images, or uploaded in the back office
+    IMAGE_PATTERN: /^(images|uploads)\/[\w-]+\.(jpe?g|png|webp)$/,
+    UPLOAD_DIR: config.storage.uploadDir,
+    UPLOAD_URL_PREFIX: 'uploads',
+    MAX_IMAGE_BYTES: 5 * 1024 * 1024,
+    // Leading bytes of each accepted image format
+    IMAGE_SIGNATURES: Object.freeze([
+        { extension: 'jpg', test: bytes => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+        { extension: 'png', test: bytes => bytes.subarray(0, 8).equals(Buffer.from('89504e470d0a1a0a', 'hex')) },
+        { extension: 'webp', test: bytes => bytes.toString('latin1', 0, 4) === 'RIFF' && bytes.toString('latin1', 8, 12) === 'WEBP' }
+    ])
+});
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc)
+// ============================================================================
+
+/**
+ * @typedef {Object} Artwork
+ * @property {string} id - Stable identifier used by the storefront and cart
+ * @property {string} sku - Stock keeping unit used for accounting
+ * @property {string} category - Artwork category (e.g. 'sculpture')
+ * @property {Object<string, string>} title - Title per locale
+ * @property {Object<string, string>} description - Description per locale
+ * @property {number} price - Price in euros
+ * @property {Object<string, number>} [prices] - Fixed prices in other currencies, in cents,
+ *   overriding the exchange table
+ * @property {number} [weight] - Weight in kilograms, used for shipping rates
+ * @property {{width: number, height: number, depth?: number, unit: string}} dimensions
+ * @property {string} image - Image path relative to the site root
+ * @property {boolean} available - Whether the artwork is offered for sale;
+ *   if not, the storefront shows it as sold out
+ * @property {boolean} [retired] - Whether the artwork is withdrawn from the
+ *   storefront; it stays in the catalog for past orders
+ * @property {number} stock - Initial stock (1 for unique pieces, edition size
+ *   otherwise); the current stock is kept by the inventory
+ */
+
+/**
+ * @typedef {Object} ResolvedItem
+ * @property {Artwork} artwork - Catalog entry for the cart line
+ * @property {number} quantity - Requested quantity
+ */
+
+// ============================================================================
+// CATALOG DATA
+// ============================================================================
+
+/** @type {JsonStore} Persisted artworks, in storefront order */
+const store = new JsonStore(storagePath('catalog.json'), () => ({
+    artworks: JSON.parse(fs.readFileSync(CATALOG_CONFIG.SEED_FILE, 'utf8')).artworks
+}));
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Normalizes a locale code to one supported by the catalog.
+ * @param {string} [locale] - Requested locale
+ * @returns {string} Supported locale code
+ */
+function normalizeLocale(locale) {
+    return CATALOG_CONFIG.SUPPORTED_LOCALES.includes(locale)
+        ? locale
+        : CATALOG_CONFIG.DEFAULT_LOCALE;
+}
+
+/**
+ * Returns the artworks in catalog order.
+ * @param {Object} [options] - Listing options
+ * @param {boolean} [options.includeRetired=false] - Include retired artworks
+ * @returns {Artwork[]} Artworks
+ */
+function listArtworks({ includeRetired = false } = {}) {
+    const { artworks } = store.read();
+    return includeRetired ? artworks.slice() : artworks.filter(artwork => !artwork.retired);
+}
+
+/**
+ * Finds an artwork by ID, retired ones included (past orders refer to them).
+ * @param {string} id - Artwork ID
+ * @returns {Artwork|undefined} Matching artwork or undefined
+ */
+function getArtwork(id) {
+    return store.read().artworks.find(artwork => artwork.id === id);
+}
+
+/**
+ * Returns the title of an artwork in the given locale.
+ * @param {Artwork} artwork - Artwork to read
+ * @param {string} [locale] - Requested locale
+ * @returns {string} Localized title, falling back to the default locale
+ */
+function getTitle(artwork, locale) {
+    return artwork.title[normalizeLocale(locale)] ||
+        artwork.title[CATALOG_CONFIG.DEFAULT_LOCALE];
+}
+
+/**
+ * Returns the description of an artwork in the given locale.
+ * @param {Artwork} artwork - Artwork to read
+ * @param {string} [locale] - Requested locale
+ * @returns {string} Localized description, falling back to the default locale
+ */
+function getDescription(artwork, locale) {
+    return artwork.description[normalizeLocale(locale)] ||
+        artwork.description[CATALOG_CONFIG.DEFAULT_LOCALE] || '';
+}
+
+/**
+ * Resolves client cart entries against the catalog.
+ * Only the artwork ID and quantity are read from each entry; any price,
+ * name or image sent by the browser is ignored.
+ * @param {Array} items - Cart entries ({ id, quantity })
+ * @returns {{valid: boolean, error?: string, items?: ResolvedItem[]}} Resolution result
+ */
+function resolveCartItems(items) {
+    if (!items || !Array.isArray(items)) {
+        return { valid: false, error: 'Items must be an array' };
+    }
+
+    if (items.length === 0) {
+        return { valid: false, error: 'Cart cannot be empty' };
+    }
+
+    if (items.length > CATALOG_CONFIG.MAX_LINE_ITEMS) {
+        return {
+            valid: false,
+            error: `Too many items in cart (max ${CATALOG_CONFIG.MAX_LINE_ITEMS})`
+        };
+    }
+
+    const resolved = [];
+    const seen = new Set();
+
+    for (let i = 0; i < items.length; i++) {
+        const item = items[i];
+
+        if (!item || typeof item !== 'object') {
+            return { valid: false, error: `Invalid item at index ${i}` };
+        }
+
+        if (typeof item.id !== 'string' || item.id.length === 0 || item.id.length > 100) {
+            return { valid: false, error: `Invalid item ID at index ${i}` };
+        }
+
+        const quantity = item.quantity === undefined ? 1 : item.quantity;
+        if (!Number.isInteger(quantity) || quantity < 1 ||
+            quantity > CATALOG_CONFIG.MAX_QUANTITY_PER_ITEM) {
+            return { valid: false, error: `Invalid quantity at index ${i}` };
+        }
+
+        if (seen.has(item.id)) {
+            return { valid: false, error: `Duplicate item "${item.id}" in cart` };
+        }
+        seen.add(item.id);
+
+        const artwork = getArtwork(item.id);
+        if (!artwork) {
+            return { valid: false, error: `Unknown artwork "${item.id}"` };
+        }
+
+        if (!artwork.available || artwork.retired) {
+            return {
+                valid: false,
+                error: `"${getTitle(artwork)}" is no longer available`
+            };
+        }
+
+        resolved.push({ artwork, quantity });
+    }
+
+    return { valid: true, items: resolved };
+}
+
+// ============================================================================
+// BACK-OFFICE MANAGEMENT
+// ============================================================================
+
+/**
+ * Checks a text field given per locale.
+ * @param {*} value - Object of strings keyed by locale
+ * @param {string} field - Field name, for error messages
+ * @param {number} maxLength - Maximum length of each text
+ * @returns {{valid: boolean, error?: string, value?: Object<string, string>}} Trimmed texts
+ */
+function checkLocalizedText(value, field, maxLength) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { valid: false, error: `${field} must be an object keyed by locale` };
+    }
+
+    const texts = {};
+    for (const [locale, text] of Object.entries(value)) {
+        if (!CATALOG_CONFIG.SUPPORTED_LOCALES.includes(locale)) {
+            return { valid: false, error: `${field}.${locale} is not a supported locale` };
+        }
+        if (typeof text !== 'string' || text.trim().length > maxLength) {
+            return { valid: false, error: `${field}.${locale} must be a text of at most ${maxLength} characters` };
+        }
+        if (text.trim()) texts[locale] = text.trim();
+    }
+
+    return { valid: true, value: texts };
+}
+
+/**
+ * Checks a positive number.
+ * @param {*} value - Value to check
+ * @param {number} max - Maximum value
+ * @returns {boolean} True if a positive number up to max
+ */
+function isPositive(value, max) {
+    return typeof value === 'number' && isFinite(value) && value > 0 && value <= max;
+}
+
+/**
+ * Checks fixed prices in other currencies.
+ * @param {*} prices - Object of amounts in cents keyed by currency code
+ * @returns {{valid: boolean, error?: string}} Check result
+ */
+function checkFixedPrices(prices) {
+    if (typeof prices !== 'object' || Array.isArray(prices)) {
+        return { valid: false, error: 'prices must be an object keyed by currency' };
+    }
+
+    for (const [code, amount] of Object.entries(prices)) {
+        if (code === currency.CURRENCY_CONFIG.BASE_CURRENCY || !currency.isSupported(code)) {
+            return {
+                valid: false,
+                error: `prices.${code} is not an offered currency other than ${currency.CURRENCY_CONFIG.BASE_CURRENCY}`
+            };
+        }
+        if (!Number.isInteger(amount) || amount <= 0 || amount > CATALOG_CONFIG.MAX_FIXED_PRICE_CENTS) {
+            return { valid: false, error: `prices.${code} must be a positive whole number of cents` };
+        }
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Validates a complete artwork, as created or after changes.
+ * @param {Object} artwork - Artwork fields
+ * @returns {{valid: boolean, error?: string, artwork?: Artwork}} Normalized artwork
+ */
+function validateArtwork(artwork) {
+    if (!CATALOG_CONFIG.SKU_PATTERN.test(artwork.sku)) {
+        return { valid: false, error: 'sku must be 3-32 uppercase letters, digits or "-"' };
+    }
+    if (!Object.values(ArtworkCategory).includes(artwork.category)) {
+        return { valid: false, error: `category must be one of ${Object.values(ArtworkCategory).join(', ')}` };
+    }
+
+    const title = checkLocalizedText(artwork.title, 'title', CATALOG_CONFIG.MAX_TITLE_LENGTH);
+    if (!title.valid) return title;
+    if (!title.value[CATALOG_CONFIG.DEFAULT_LOCALE]) {
+        return { valid: false, error: `title.${CATALOG_CONFIG.DEFAULT_LOCALE} is required` };
+    }
+
+    const description = checkLocalizedText(artwork.description, 'description', CATALOG_CONFIG.MAX_DESCRIPTION_LENGTH);
+    if (!description.valid) return description;
+
+    if (!isPositive(artwork.price, CATALOG_CONFIG.MAX_PRICE) || Math.round(artwork.price * 100) !== artwork.price * 100) {
+        return { valid: false, error: 'price must be a positive amount in euros, with at most 2 decimals' };
+    }
+    if (artwork.prices !== undefined && artwork.prices !== null) {
+        const prices = checkFixedPrices(artwork.prices);
+        if (!prices.valid) return prices;
+    }
+    if (artwork.weight !== undefined && artwork.weight !== null && !isPositive(artwork.weight, 10000)) {
+        return { valid: false, error: 'weight must be a positive number of kilograms' };
+    }
+
+    const dimensions = artwork.dimensions || {};
+    if (!isPositive(dimensions.width, 10000) || !isPositive(dimensions.height, 10000) ||
+        (dimensions.depth !== undefined && dimensions.depth !== null && !isPositive(dimensions.depth, 10000))) {
+        return { valid: false, error: 'dimensions must have a positive width and height (and depth, if set) in cm' };
+    }
+
+    if (typeof artwork.image !== 'string' || !CATALOG_CONFIG.IMAGE_PATTERN.test(artwork.image)) {
+        return { valid: false, error: 'image must be an image of images/ or an uploaded image' };
+    }
+    if (typeof artwork.available !== 'boolean' || typeof artwork.retired !== 'boolean') {
+        return { valid: false, error: 'available and retired must be booleans' };
+    }
+    if (!Number.isInteger(artwork.stock) || artwork.stock < 0) {
+        return { valid: false, error: 'stock must be a non-negative integer' };
+    }
+
+    return {
+        valid: true,
+        artwork: {
+            id: artwork.id,
+            sku: artwork.sku,
+            category: artwork.category,
+            title: title.value,
+            description: description.value,
+            price: artwork.price,
+            ...(artwork.prices && { prices: artwork.prices }),
+            ...(artwork.weight && { weight: artwork.weight }),
+            dimensions: {
+                width: dimensions.width,
+                height: dimensions.height,
+                ...(dimensions.depth && { depth: dimensions.depth }),
+                unit: 'cm'
+            },
+            image: artwork.image,
+            available: artwork.available,
+            retired: artwork.retired,
+            stock: artwork.stock
+        }
+    };
+}
+
+/**
+ * Creates an artwork, placed last in the storefront.
+ * @param {Object} fields - Artwork fields from the admin API
+ * @returns {{valid: boolean, error?: string, artwork?: Artwork}} Creation result
+ */
+function createArtwork(fields) {
+    if (typeof fields.id !== 'string' || !CATALOG_CONFIG.ID_PATTERN.test(fields.id) || fields.id.length > 60) {
+        return { valid: false, error: 'id must be lowercase words separated by "-" (e.g. "buste-monumental")' };
+    }
+
+    const result = validateArtwork({ available: true, retired: false, stock: 1, ...fields });
+    if (!result.valid) return result;
+
+    return store.update(data => {
+        if (data.artworks.some(artwork => artwork.id === fields.id)) {
+            return { valid: false, error: `Artwork ${fields.id} already exists` };
+        }
+        if (data.artworks.some(artwork => artwork.sku === result.artwork.sku)) {
+            return { valid: false, error: `SKU ${result.artwork.sku} is already used` };
+        }
+
+        data.artworks.push(result.artwork);
+        logger.info('Artwork created', { artworkId: fields.id });
+        return result;
+    });
+}
+
+/**
+ * Changes fields of an artwork. The ID and the initial stock cannot change;
+ * retiring is done by setting retired.
+ * @param {string} id - Artwork ID
+ * @param {Object} changes - Fields to change
+ * @returns {{valid: boolean, error?: string, artwork?: Artwork}} Update result;
+ *   artwork is missing if there is no such artwork
+ */
+function updateArtwork(id, changes) {
+    return store.update(data => {
+        const index = data.artworks.findIndex(artwork => artwork.id === id);
+        if (index === -1) return { valid: true };
+
+        const current = data.artworks[index];
+        const result = validateArtwork({
+            ...current,
+            ...changes,
+            retired: changes.retired !== undefined ? changes.retired : Boolean(current.retired),
+            id: current.id,
+            stock: current.stock
+        });
+        if (!result.valid) return result;
+
+        if (data.artworks.some(artwork => artwork.id !== id && artwork.sku === result.artwork.sku)) {
+            return { valid: false, error: `SKU ${result.artwork.sku} is already used` };
+        }
+
+        data.artworks[index] = result.artwork;
+        logger.info('Artwork updated', { artworkId: id, fields: Object.keys(changes) });
+        return result;
+    });
+}
+
+/**
+ * Sets the storefront order of the artworks.
+ * @param {string[]} ids - Every artwork ID, retired ones included, in the new order
+ * @returns {{valid: boolean, error?: string}} Result
+ */
+function reorderArtworks(ids) {
+    return store.update(data => {
+        const current = data.artworks.map(artwork => artwork.id);
+
+        if (!Array.isArray(ids) || ids.length !== current.length ||
+            new Set(ids).size !== ids.length || !ids.every(id => current.includes(id))) {
+            return { valid: false, error: 'ids must list every artwork ID exactly once' };
+        }
+
+        data.artworks.sort((a, b) => ids.indexOf(a.id) - ids.indexOf(b.id));
+        logger.info('Artworks reordered');
+        return { valid: true };
+    });
+}
+
+/**
+ * Stores an uploaded artwork image under a random name. The format is
+ * recognized from the file content, not from its name or content type.
+ * @param {Buffer} bytes - Uploaded file
+ * @returns {{valid: boolean, error?: string, image?: string}} Image path to
+ *   set on an artwork
+ */
+function saveImage(bytes) {
+    if (!Buffer.isBuffer(bytes) || bytes.length === 0 || bytes.length > CATALOG_CONFIG.MAX_IMAGE_BYTES) {
+        return { valid: false, error: `Image must be at most ${CATALOG_CONFIG.MAX_IMAGE_BYTES / 1024 / 1024} MB` };
+    }
+
+    const format = CATALOG_CONFIG.IMAGE_SIGNATURES.find(signature => signature.test(bytes));
+    if (!format) {
+        return { valid: false, error: 'Image must be a JPEG, PNG or WebP file' };
+    }
+
+    const fileName = `${crypto.randomUUID()}.${format.extension}`;
+    fs.mkdirSync(CATALOG_CONFIG.UPLOAD_DIR, { recursive: true });
+    fs.writeFileSync(path.join(CATALOG_CONFIG.UPLOAD_DIR, fileName), bytes);
+
+    logger.info('Artwork image uploaded', { fileName, bytes: bytes.length });
+    return { valid: true, image: `${CATALOG_CONFIG.UPLOAD_URL_PREFIX}/${fileName}` };
+}
+
+module.exports = {
+    ArtworkCategory,
+    CATALOG_CONFIG,
+    normalizeLocale,
+    listArtworks,
+    getArtwork,
+    getTitle,
+    getDescription,
+    resolveCartItems,
+    createArtwork,
+    updateArtwork,
+    reorderArtworks,
+    saveImage
+};
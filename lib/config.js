@@ -0,0 +1,526 @@
+/**
+ * @fileoverview Configuration loader for Urban Art e-commerce platform.
+ * Every setting read from the environment is declared once below, with its
+ * type, default and constraints. Values are parsed and validated when the
+ * module loads; invalid or missing settings are collected as readable
+ * errors, which the server reports before refusing to start.
+ *
+ * The profile (NODE_ENV: development, test or production) supplies its own
+ * defaults and extra checks, e.g. production refuses the mock payment
+ * provider and requires an https FRONTEND_URL.
+ * @author Urban Art Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const path = require('path');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Configuration profiles selected by NODE_ENV.
+ * @readonly
+ * @enum {string}
+ */
+const Profile = Object.freeze({
+    DEVELOPMENT: 'development',
+    TEST: 'test',
+    PRODUCTION: 'production'
+});
+
+/**
+ * Setting types, each with a parser below.
+ * @readonly
+ * @enum {string}
+ */
+const SettingType = Object.freeze({
+    STRING: 'string',
+    INTEGER: 'integer',
+    BOOLEAN: 'boolean',
+    URL: 'url',
+    EMAIL: 'email',
+    ENUM: 'enum',
+    LIST: 'list',
+    PATH: 'path',
+    TRUST_PROXY: 'trustProxy'
+});
+
+/** @type {string} Project root directory */
+const ROOT_DIR = path.join(__dirname, '..');
+
+/** @type {Object} Currencies and shipping zones the shop can offer */
+const exchangeTable = require(path.join(ROOT_DIR, 'data', 'currencies.json'));
+const shippingTable = require(path.join(ROOT_DIR, 'data', 'shipping.json'));
+const KNOWN_CURRENCIES = Object.keys(exchangeTable.rates);
+const KNOWN_COUNTRIES = shippingTable.zones.flatMap(zone => zone.countries);
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc)
+// ============================================================================
+
+/**
+ * @typedef {Object} Setting
+ * @property {string} env - Environment variable name
+ * @property {string} key - Dotted path in the configuration object
+ * @property {SettingType} type - Value type
+ * @property {*|function(Object): *} [default] - Default value, or a function
+ *   of the settings parsed so far
+ * @property {boolean|function(Object): boolean} [required] - Whether a value
+ *   must be set, or a function of the settings parsed so far
+ * @property {boolean} [secret] - Never echo the value in errors
+ * @property {number} [min] - Minimum (integers) or minimum length (strings)
+ * @property {number} [max] - Maximum (integers)
+ * @property {string[]} [values] - Allowed values (enums, list items)
+ * @property {RegExp} [pattern] - Pattern the value must match (strings)
+ * @property {string} [separator=','] - Item separator (lists)
+ * @property {string} description - What the setting does
+ */
+
+/**
+ * @typedef {Object} ConfigCheck
+ * @property {function(Object): boolean} test - Returns true if the configuration is acceptable
+ * @property {string} message - Error reported otherwise
+ */
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+/**
+ * Tells whether the Stripe provider is selected.
+ * @param {Object} config - Settings parsed so far
+ * @returns {boolean} True for Stripe
+ */
+const usesStripe = config => config.payments.provider === 'stripe';
+
+/** @type {Setting[]} Every setting, in dependency order */
+const SETTINGS = Object.freeze([
+    // Server
+    {
+        env: 'PORT', key: 'server.port', type: SettingType.INTEGER, min: 1, max: 65535,
+        default: 3000, description: 'HTTP port'
+    },
+    {
+        env: 'FRONTEND_URL', key: 'server.frontendUrl', type: SettingType.URL,
+        default: config => `http://localhost:${config.server.port}`,
+        description: 'Public URL of the shop, used in redirects and emails'
+    },
+    {
+        env: 'SHUTDOWN_TIMEOUT_MS', key: 'server.shutdownTimeoutMs', type: SettingType.INTEGER, min: 1000,
+        default: 25000, description: 'Time given to in-flight work on SIGTERM before exiting anyway'
+    },
+    {
+        env: 'TRUST_PROXY', key: 'server.trustProxy', type: SettingType.TRUST_PROXY, default: false,
+        description: 'Reverse proxies to trust for the client IP: true, a hop count or addresses'
+    },
+
+    // Shop
+    {
+        env: 'CURRENCIES', key: 'shop.currencies', type: SettingType.LIST, values: KNOWN_CURRENCIES,
+        default: KNOWN_CURRENCIES, description: 'Currencies offered to buyers (from data/currencies.json)'
+    },
+    {
+        env: 'SHIPPING_COUNTRIES', key: 'shop.shippingCountries', type: SettingType.LIST, values: KNOWN_COUNTRIES,
+        default: KNOWN_COUNTRIES, description: 'Countries shipped to (from data/shipping.json)'
+    },
+
+    // Payments
+    {
+        env: 'PAYMENT_PROVIDER', key: 'payments.provider', type: SettingType.ENUM, values: ['stripe', 'mock'],
+        default: 'stripe', description: 'Payment provider'
+    },
+    {
+        env: 'STRIPE_SECRET_KEY', key: 'payments.stripe.secretKey', type: SettingType.STRING,
+        pattern: /^(sk|rk)_(test|live)_/, required: usesStripe, secret: true,
+        description: 'Stripe secret key'
+    },
+    {
+        env: 'STRIPE_PUBLISHABLE_KEY', key: 'payments.stripe.publishableKey', type: SettingType.STRING,
+        pattern: /^pk_(test|live)_/, required: usesStripe, description: 'Stripe publishable key'
+    },
+    {
+        env: 'STRIPE_WEBHOOK_SECRET', key: 'payments.stripe.webhookSecret', type: SettingType.STRING,
+        pattern: /^whsec_/, secret: true, description: 'Stripe webhook signing secret'
+    },
+    {
+        env: 'MOCK_WEBHOOK_URL', key: 'payments.mock.webhookUrl', type: SettingType.URL,
+        default: config => `http://localhost:${config.server.port}/webhook`,
+        description: 'URL the mock provider posts its webhooks to'
+    },
+    {
+        // Random per process unless set, like the contact form secret
+        env: 'MOCK_WEBHOOK_SECRET', key: 'payments.mock.webhookSecret', type: SettingType.STRING,
+        default: () => crypto.randomBytes(32).toString('hex'), secret: true,
+        description: 'Secret signing mock webhooks'
+    },
+
+    // Email
+    {
+        env: 'EMAIL_TRANSPORT', key: 'email.transport', type: SettingType.ENUM,
+        values: ['smtp', 'file', 'console'], default: 'console', description: 'Email transport'
+    },
+    {
+        env: 'EMAIL_FROM', key: 'email.from', type: SettingType.STRING,
+        default: 'Urban Art <contact@urbanart.com>', description: 'Sender of customer emails'
+    },
+    {
+        env: 'STUDIO_EMAIL', key: 'email.studioEmail', type: SettingType.EMAIL,
+        default: 'contact@urbanart.com', description: 'Studio inbox for contact messages and notifications'
+    },
+    {
+        env: 'SMTP_HOST', key: 'email.smtp.host', type: SettingType.STRING,
+        required: config => config.email.transport === 'smtp', description: 'SMTP server'
+    },
+    {
+        env: 'SMTP_PORT', key: 'email.smtp.port', type: SettingType.INTEGER, min: 1, max: 65535,
+        default: 587, description: 'SMTP port'
+    },
+    {
+        env: 'SMTP_SECURE', key: 'email.smtp.secure', type: SettingType.BOOLEAN,
+        default: false, description: 'Use TLS from the start (port 465)'
+    },
+    { env: 'SMTP_USER', key: 'email.smtp.user', type: SettingType.STRING, description: 'SMTP user' },
+    { env: 'SMTP_PASS', key: 'email.smtp.pass', type: SettingType.STRING, secret: true, description: 'SMTP password' },
+
+    // Studio details printed on invoices
+    {
+        env: 'STUDIO_NAME', key: 'studio.name', type: SettingType.STRING,
+        default: 'Urban Art', description: 'Seller name'
+    },
+    {
+        env: 'STUDIO_ADDRESS', key: 'studio.address', type: SettingType.LIST, separator: '|',
+        default: [], description: 'Seller address lines, separated by "|"'
+    },
+    { env: 'STUDIO_VAT_NUMBER', key: 'studio.vatNumber', type: SettingType.STRING, default: '', description: 'Seller VAT number' },
+    { env: 'STUDIO_SIRET', key: 'studio.siret', type: SettingType.STRING, default: '', description: 'Seller SIRET' },
+
+    // Storage
+    {
+        env: 'STORAGE_DIR', key: 'storage.dir', type: SettingType.PATH,
+        default: path.join(ROOT_DIR, 'storage'), description: 'Runtime data directory'
+    },
+    {
+        env: 'INVOICE_DIR', key: 'storage.invoiceDir', type: SettingType.PATH,
+        default: config => path.join(config.storage.dir, 'invoices'), description: 'Invoice PDF directory'
+    },
+    {
+        env: 'EMAIL_OUTBOX_DIR', key: 'storage.outboxDir', type: SettingType.PATH,
+        default: config => path.join(config.storage.dir, 'outbox'), description: 'Emails written by the file transport'
+    },
+    {
+        env: 'UPLOAD_DIR', key: 'storage.uploadDir', type: SettingType.PATH,
+        default: config => path.join(config.storage.dir, 'uploads'), description: 'Artwork images uploaded in the back office'
+    },
+
+    // Security
+    {
+        env: 'ADMIN_API_TOKEN', key: 'security.adminApiToken', type: SettingType.STRING, min: 16, secret: true,
+        description: 'Bearer token for admin endpoint scripts, acting as the owner'
+    },
+    {
+        env: 'ADMIN_SESSION_HOURS', key: 'security.adminSessionHours', type: SettingType.INTEGER,
+        min: 1, max: 24 * 30, default: 8, description: 'Lifetime of back-office login sessions, in hours'
+    },
+    {
+        // A per-process secret only invalidates open forms on restart
+        env: 'CONTACT_FORM_SECRET', key: 'security.contactFormSecret', type: SettingType.STRING,
+        default: () => crypto.randomBytes(32).toString('hex'), secret: true,
+        description: 'Secret signing contact form tokens'
+    },
+    {
+        // Shared by every instance behind a load balancer; random per process otherwise
+        env: 'CSRF_SECRET', key: 'security.csrfSecret', type: SettingType.STRING,
+        default: () => crypto.randomBytes(32).toString('hex'), secret: true,
+        description: 'Secret signing CSRF tokens'
+    },
+    {
+        // Shared by every instance behind a load balancer; random per process otherwise
+        env: 'INVOICE_LINK_SECRET', key: 'security.invoiceLinkSecret', type: SettingType.STRING,
+        default: () => crypto.randomBytes(32).toString('hex'), secret: true,
+        description: 'Secret signing the invoice download links of the confirmation page'
+    },
+
+    {
+        env: 'CSP_REPORT_ONLY', key: 'security.cspReportOnly', type: SettingType.BOOLEAN, default: false,
+        description: 'Only report Content Security Policy violations instead of blocking'
+    },
+
+    // Rate limits (requests per window and client IP)
+    {
+        env: 'RATE_LIMIT_API', key: 'rateLimits.api', type: SettingType.INTEGER, min: 1,
+        default: 100, description: 'API requests per minute'
+    },
+    {
+        env: 'RATE_LIMIT_CONFIG', key: 'rateLimits.config', type: SettingType.INTEGER, min: 1,
+        default: 300, description: 'GET /api/config requests per minute'
+    },
+    {
+        env: 'RATE_LIMIT_CHECKOUT', key: 'rateLimits.checkout', type: SettingType.INTEGER, min: 1,
+        default: 10, description: 'Checkout sessions created per minute'
+    },
+    {
+        env: 'RATE_LIMIT_CONTACT', key: 'rateLimits.contact', type: SettingType.INTEGER, min: 1,
+        default: 5, description: 'Contact messages per hour'
+    },
+    {
+        env: 'RATE_LIMIT_LOGIN', key: 'rateLimits.login', type: SettingType.INTEGER, min: 1,
+        default: 10, description: 'Back-office login attempts per 15 minutes'
+    },
+    {
+        env: 'RATE_LIMIT_WEBHOOK', key: 'rateLimits.webhook', type: SettingType.INTEGER, min: 1,
+        default: 1000, description: 'Webhook deliveries per minute'
+    },
+
+    // Logging
+    {
+        env: 'LOG_LEVEL', key: 'logging.level', type: SettingType.ENUM,
+        values: ['debug', 'info', 'warn', 'error'], default: 'info', description: 'Minimum log level'
+    }
+]);
+
+/**
+ * Defaults of each profile, as raw environment values. Explicit environment
+ * variables still win.
+ * @type {Object<string, Object<string, string>>}
+ */
+const PROFILE_DEFAULTS = Object.freeze({
+    // Runs offline out of the box; set PAYMENT_PROVIDER=stripe to use test keys
+    [Profile.DEVELOPMENT]: {
+        PAYMENT_PROVIDER: 'mock',
+        EMAIL_TRANSPORT: 'console'
+    },
+    [Profile.TEST]: {
+        PAYMENT_PROVIDER: 'mock',
+        EMAIL_TRANSPORT: 'file',
+        STORAGE_DIR: path.join(ROOT_DIR, 'storage', 'test'),
+        LOG_LEVEL: 'warn'
+    },
+    [Profile.PRODUCTION]: {}
+});
+
+/** @type {ConfigCheck[]} Checks across settings, in every profile */
+const CHECKS = Object.freeze([
+    {
+        // Catalog prices are in the base currency, which is also the fallback
+        test: config => config.shop.currencies.includes(exchangeTable.base),
+        message: `CURRENCIES must include the base currency "${exchangeTable.base}"`
+    }
+]);
+
+/** @type {Object<string, ConfigCheck[]>} Extra checks of each profile */
+const PROFILE_CHECKS = Object.freeze({
+    [Profile.DEVELOPMENT]: [],
+    [Profile.TEST]: [],
+    [Profile.PRODUCTION]: [
+        {
+            test: config => config.payments.provider === 'stripe',
+            message: 'PAYMENT_PROVIDER must be "stripe" in production'
+        },
+        {
+            test: config => !usesStripe(config) || Boolean(config.payments.stripe.webhookSecret),
+            message: 'STRIPE_WEBHOOK_SECRET is required in production, or paid orders are never recorded'
+        },
+        {
+            test: config => config.server.frontendUrl.startsWith('https://'),
+            message: 'FRONTEND_URL must use https in production'
+        },
+        {
+            test: config => config.email.transport === 'smtp',
+            message: 'EMAIL_TRANSPORT must be "smtp" in production, or customers receive no email'
+        }
+    ]
+});
+
+// ============================================================================
+// PARSERS
+// ============================================================================
+
+/**
+ * Parsers by setting type. Each returns the parsed value, or an error
+ * completing the sentence "<ENV> must ...".
+ * @type {Object<string, function(string, Setting): {value?: *, error?: string}>}
+ */
+const PARSERS = Object.freeze({
+    [SettingType.STRING](raw, setting) {
+        if (setting.min && raw.length < setting.min) {
+            return { error: `be at least ${setting.min} characters long` };
+        }
+        if (setting.pattern && !setting.pattern.test(raw)) {
+            return { error: `match ${setting.pattern}` };
+        }
+        return { value: raw };
+    },
+
+    [SettingType.INTEGER](raw, setting) {
+        const value = Number(raw);
+        const inRange = (setting.min === undefined || value >= setting.min) &&
+            (setting.max === undefined || value <= setting.max);
+
+        if (!/^\d+$/.test(raw) || !inRange) {
+            const range = setting.max === undefined
+                ? `of at least ${setting.min}`
+                : `between ${setting.min} and ${setting.max}`;
+            return { error: `be a whole number ${range}` };
+        }
+        return { value };
+    },
+
+    [SettingType.BOOLEAN](raw) {
+        if (raw !== 'true' && raw !== 'false') return { error: 'be "true" or "false"' };
+        return { value: raw === 'true' };
+    },
+
+    [SettingType.URL](raw) {
+        let url;
+        try {
+            url = new URL(raw);
+        } catch (err) {
+            return { error: 'be an absolute URL (e.g. https://example.com)' };
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            return { error: 'be an http or https URL' };
+        }
+        return { value: raw.replace(/\/+$/, '') };
+    },
+
+    [SettingType.EMAIL](raw) {
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(raw)) return { error: 'be an email address' };
+        return { value: raw };
+    },
+
+    [SettingType.ENUM](raw, setting) {
+        if (!setting.values.includes(raw)) {
+            return { error: `be one of ${setting.values.join(', ')}` };
+        }
+        return { value: raw };
+    },
+
+    [SettingType.LIST](raw, setting) {
+        const items = raw.split(setting.separator || ',').map(item => item.trim()).filter(Boolean);
+        if (!setting.values) return { value: items };
+
+        // Codes are matched in the case used by the data files
+        const normalized = items.map(item => setting.values.find(v => v.toLowerCase() === item.toLowerCase()) || item);
+        const unknown = normalized.filter(item => !setting.values.includes(item));
+        if (unknown.length > 0 || normalized.length === 0) {
+            return { error: `list values among ${setting.values.join(', ')}` };
+        }
+        return { value: normalized };
+    },
+
+    [SettingType.PATH](raw) {
+        return { value: path.resolve(ROOT_DIR, raw) };
+    },
+
+    [SettingType.TRUST_PROXY](raw) {
+        if (raw === 'false') return { value: false };
+        if (raw === 'true') return { value: true };
+        if (/^\d+$/.test(raw)) return { value: Number(raw) };
+        return { value: raw };
+    }
+});
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Sets a value at a dotted path, creating intermediate objects.
+ * @param {Object} target - Object to write into
+ * @param {string} key - Dotted path
+ * @param {*} value - Value
+ */
+function setPath(target, key, value) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    let node = target;
+    for (const part of parts) {
+        node[part] = node[part] || {};
+        node = node[part];
+    }
+    node[last] = value;
+}
+
+/**
+ * Freezes an object and everything it contains.
+ * @param {Object} value - Object to freeze
+ * @returns {Object} The frozen object
+ */
+function deepFreeze(value) {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+}
+
+/**
+ * Builds the configuration from environment variables.
+ * Invalid settings fall back to their default so every module can still
+ * load; the errors say what to fix.
+ * @param {Object<string, string>} [env=process.env] - Environment variables
+ * @returns {{config: Object, errors: string[]}} Frozen configuration and errors
+ */
+function loadConfig(env = process.env) {
+    const errors = [];
+    const profile = env.NODE_ENV || Profile.DEVELOPMENT;
+    const profiles = Object.values(Profile);
+
+    if (!profiles.includes(profile)) {
+        errors.push(`NODE_ENV must be one of ${profiles.join(', ')} (got "${profile}")`);
+    }
+
+    const profileDefaults = PROFILE_DEFAULTS[profile] || {};
+    const config = { profile };
+
+    for (const setting of SETTINGS) {
+        const raw = (env[setting.env] ?? profileDefaults[setting.env] ?? '').trim();
+        let value;
+
+        if (raw !== '') {
+            const parsed = PARSERS[setting.type](raw, setting);
+            if (parsed.error) {
+                const shown = setting.secret ? '' : ` (got "${raw}")`;
+                errors.push(`${setting.env} must ${parsed.error}${shown}`);
+            } else {
+                value = parsed.value;
+            }
+        }
+
+        if (value === undefined) {
+            const required = typeof setting.required === 'function'
+                ? setting.required(config)
+                : setting.required;
+            if (required && raw === '') {
+                errors.push(`${setting.env} is required (${setting.description})`);
+            }
+            value = typeof setting.default === 'function' ? setting.default(config) : setting.default;
+        }
+
+        setPath(config, setting.key, value ?? null);
+    }
+
+    for (const check of CHECKS.concat(PROFILE_CHECKS[profile] || [])) {
+        if (!check.test(config)) errors.push(check.message);
+    }
+
+    return { config: deepFreeze(config), errors };
+}
+
+/** @type {{config: Object, errors: string[]}} Configuration of this process */
+const loaded = loadConfig();
+
+module.exports = {
+    Profile,
+    SettingType,
+    SETTINGS,
+    config: loaded.config,
+    configErrors: Object.freeze(loaded.errors),
+    loadConfig
+};
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Contact form messages for Urban Art e-commerce platform.
+ * Messages are validated with the same rules as the browser form, checked
+ * against simple anti-spam measures and stored in the storage directory.
+ * @author Urban Art Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { validateContactForm } = require('../public/script');
+const { JsonStore, storagePath } = require('./json-store');
+const { config } = require('./config');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** @type {Object} Contact form configuration constants */
+const CONTACT_CONFIG = Object.freeze({
+    // Humans take longer than this to fill in the form; bots usually don't
+    MIN_SUBMIT_MS: 3000,
+    // Form tokens older than this are rejected
+    MAX_FORM_AGE_MS: 24 * 60 * 60 * 1000,
+    // Signs form tokens; a per-process secret only invalidates open forms on restart
+    TOKEN_SECRET: config.security.contactFormSecret
+});
+
+/** @type {JsonStore} Persisted contact messages */
+const store = new JsonStore(storagePath('contact-messages.json'), () => ({
+    messages: []
+}));
+
+// ============================================================================
+// FORM TOKENS
+// ============================================================================
+
+/**
+ * Signs a timestamp.
+ * @param {string} issuedAt - Timestamp in milliseconds, as a string
+ * @returns {string} Hex HMAC signature
+ */
+function sign(issuedAt) {
+    return crypto
+        .createHmac('sha256', CONTACT_CONFIG.TOKEN_SECRET)
+        .update(issuedAt)
+        .digest('hex');
+}
+
+/**
+ * Issues a token recording when the contact form was displayed.
+ * @returns {string} Form token
+ */
+function issueFormToken() {
+    const issuedAt = String(Date.now());
+    return `${issuedAt}.${sign(issuedAt)}`;
+}
+
+/**
+ * Checks a form token and how long the visitor took to submit.
+ * @param {string} token - Form token from issueFormToken()
+ * @returns {{valid: boolean, reason?: string}} Check result
+ */
+function checkFormToken(token) {
+    if (typeof token !== 'string') {
+        return { valid: false, reason: 'missing token' };
+    }
+
+    const [issuedAt, signature] = token.split('.');
+    const provided = Buffer.from(signature || '');
+    const expected = Buffer.from(sign(issuedAt || ''));
+
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return { valid: false, reason: 'invalid token' };
+    }
+
+    const elapsed = Date.now() - Number(issuedAt);
+
+    if (elapsed < CONTACT_CONFIG.MIN_SUBMIT_MS) {
+        return { valid: false, reason: 'submitted too quickly' };
+    }
+
+    if (elapsed > CONTACT_CONFIG.MAX_FORM_AGE_MS) {
+        return { valid: false, reason: 'token expired' };
+    }
+
+    return { valid: true };
+}
+
+// ============================================================================
+// MESSAGES
+// ============================================================================
+
+/**
+ * Validates and normalizes a contact submission.
+ * @param {Object} body - Request body
+ * @returns {{valid: boolean, errors: string[], data?: {name: string, email: string, message: string}}} Result
+ */
+function validateSubmission(body) {
+    const data = {
+        name: typeof body.name === 'string' ? body.name.trim() : '',
+        email: typeof body.email === 'string' ? body.email.trim() : '',
+        message: typeof body.message === 'string' ? body.message.trim() : ''
+    };
+
+    const validation = validateContactForm(data);
+    if (!validation.valid) {
+        return { valid: false, errors: validation.errors };
+    }
+
+    return { valid: true, errors: [], data };
+}
+
+/**
+ * Stores a contact message.
+ * @param {Object} fields - Message fields
+ * @param {string} fields.name - Sender name
+ * @param {string} fields.email - Sender email
+ * @param {string} fields.message - Message text
+ * @param {string} fields.ip - Sender IP address
+ * @param {string} [fields.locale] - Page language
+ * @returns {Object} Stored message
+ */
+function saveMessage(fields) {
+    return store.update(data => {
+        const message = {
+            id: crypto.randomUUID(),
+            ...fields,
+            createdAt: new Date().toISOString()
+        };
+
+        data.messages.push(message);
+        return message;
+    });
+}
+
+/**
+ * Lists stored messages, newest first.
+ * @returns {Object[]} Messages
+ */
+function listMessages() {
+    return store.read().messages.slice().reverse();
+}
+
+module.exports = {
+    CONTACT_CONFIG,
+    issueFormToken,
+    checkFormToken,
+    validateSubmission,
+    saveMessage,
+    listMessages
+};
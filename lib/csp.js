@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Content Security Policy for Urban Art pages.
+ * Scripts and styles run only from the shop's own files, Stripe's domains,
+ * or inline blocks carrying the nonce generated for the response. HTML pages
+ * get that nonce added to their <script> and <style> tags when served, so
+ * the markup itself stays plain HTML. Violations are reported to
+ * /csp-report; the report-only mode reports without blocking, to try a
+ * policy change safely.
+ * @author Urban Art Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** @type {Object} CSP configuration constants */
+const CSP_CONFIG = Object.freeze({
+    REPORT_PATH: '/csp-report',
+    // Reporting API endpoint name used by the report-to directive
+    REPORT_GROUP: 'csp-endpoint',
+    // Reports handled per request; browsers batch them with report-to
+    MAX_REPORTS: 20,
+    // 'nonce' is replaced by the nonce of the response
+    DIRECTIVES: Object.freeze({
+        'default-src': ["'self'"],
+        'script-src': ["'self'", 'nonce', 'https://js.stripe.com'],
+        'style-src': ["'self'", 'nonce'],
+        'img-src': ["'self'", 'data:'],
+        'font-src': ["'self'"],
+        'connect-src': ["'self'", 'https://api.stripe.com'],
+        'frame-src': ['https://js.stripe.com', 'https://hooks.stripe.com'],
+        'form-action': ["'self'"],
+        'frame-ancestors': ["'none'"],
+        'base-uri': ["'self'"],
+        'object-src': ["'none'"]
+    })
+});
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc)
+// ============================================================================
+
+/**
+ * @typedef {Object} CspViolation
+ * @property {string|null} documentUri - Page where the violation happened, without query string
+ * @property {string|null} directive - Directive that was violated
+ * @property {string|null} blockedUri - Resource that was blocked, without query string
+ * @property {string|null} sourceFile - Script that caused the violation
+ * @property {number|null} lineNumber - Line in the source file
+ * @property {string|null} disposition - 'enforce' or 'report'
+ */
+
+// ============================================================================
+// POLICY
+// ============================================================================
+
+/**
+ * Generates a nonce for one response.
+ * @returns {string} Base64 nonce
+ */
+function createNonce() {
+    return crypto.randomBytes(16).toString('base64');
+}
+
+/**
+ * Builds the policy header value.
+ * @param {string} nonce - Nonce of the response
+ * @returns {string} Policy
+ */
+function buildPolicy(nonce) {
+    const directives = Object.entries(CSP_CONFIG.DIRECTIVES).map(([name, sources]) => {
+        const values = sources.map(source => (source === 'nonce' ? `'nonce-${nonce}'` : source));
+        return `${name} ${values.join(' ')}`;
+    });
+
+    directives.push(`report-uri ${CSP_CONFIG.REPORT_PATH}`);
+    directives.push(`report-to ${CSP_CONFIG.REPORT_GROUP}`);
+    return directives.join('; ');
+}
+
+/**
+ * Adds a nonce to every <script> and <style> tag of an HTML document.
+ * @param {string} html - HTML document
+ * @param {string} nonce - Nonce of the response
+ * @returns {string} HTML with nonces
+ */
+function injectNonce(html, nonce) {
+    return html.replace(/<(script|style)(?=[\s>])/gi, `<$1 nonce="${nonce}"`);
+}
+
+/**
+ * Creates an Express middleware setting the policy on every response. The
+ * nonce is exposed as res.locals.cspNonce for pages rendered afterwards.
+ * @param {Object} options - Middleware options
+ * @param {boolean} options.reportOnly - Report violations without blocking
+ * @returns {function(Object, Object, Function): void} Express middleware
+ */
+function createCspMiddleware({ reportOnly }) {
+    const header = reportOnly
+        ? 'Content-Security-Policy-Report-Only'
+        : 'Content-Security-Policy';
+
+    return function contentSecurityPolicy(req, res, next) {
+        const nonce = createNonce();
+        res.locals.cspNonce = nonce;
+        res.set(header, buildPolicy(nonce));
+        res.set('Reporting-Endpoints', `${CSP_CONFIG.REPORT_GROUP}="${CSP_CONFIG.REPORT_PATH}"`);
+        next();
+    };
+}
+
+// ============================================================================
+// REPORTS
+// ============================================================================
+
+/**
+ * Drops the query string of a reported URL, which may carry tokens.
+ * @param {*} value - Reported URL
+ * @returns {string|null} URL without query string
+ */
+function stripQuery(value) {
+    return typeof value === 'string' ? value.split(/[?#]/)[0].slice(0, 500) : null;
+}
+
+/**
+ * Normalizes a violation reported with either report-uri (a single
+ * "csp-report" object) or report-to (Reporting API "body").
+ * @param {Object} report - Reported violation
+ * @returns {CspViolation} Violation
+ */
+function normalizeViolation(report) {
+    const pick = (...keys) => keys.map(key => report[key]).find(value => value !== undefined) ?? null;
+    const line = pick('line-number', 'lineNumber');
+
+    return {
+        documentUri: stripQuery(pick('document-uri', 'documentURL')),
+        directive: pick('effective-directive', 'effectiveDirective', 'violated-directive'),
+        blockedUri: stripQuery(pick('blocked-uri', 'blockedURL')),
+        sourceFile: stripQuery(pick('source-file', 'sourceFile')),
+        lineNumber: Number.isInteger(line) ? line : null,
+        disposition: pick('disposition')
+    };
+}
+
+/**
+ * Extracts the violations of a report request body.
+ * @param {*} body - Parsed request body
+ * @returns {CspViolation[]} Violations
+ */
+function parseViolationReports(body) {
+    let reports = [];
+
+    if (Array.isArray(body)) {
+        reports = body
+            .filter(entry => entry && entry.type === 'csp-violation' && entry.body)
+            .map(entry => entry.body);
+    } else if (body && typeof body['csp-report'] === 'object') {
+        reports = [body['csp-report']];
+    }
+
+    return reports
+        .filter(report => report && typeof report === 'object')
+        .slice(0, CSP_CONFIG.MAX_REPORTS)
+        .map(normalizeViolation);
+}
+
+module.exports = {
+    CSP_CONFIG,
+    buildPolicy,
+    injectNonce,
+    createCspMiddleware,
+    parseViolationReports
+};
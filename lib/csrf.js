@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Cross-site request forgery protection for Urban Art.
+ * State-changing requests must come from the shop's own origin (checked with
+ * the Origin header, or Referer when a browser omits it) and carry the CSRF
+ * token returned by GET /api/config in the X-CSRF-Token header. The token is
+ * an HMAC of a random value kept in an HttpOnly cookie, so another site can
+ * neither read it nor make one up.
+ * @author Urban Art Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { config } = require('./config');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** @type {boolean} Whether the shop is served over HTTPS */
+const SECURE = config.server.frontendUrl.startsWith('https:');
+
+/** @type {Object} CSRF configuration constants */
+const CSRF_CONFIG = Object.freeze({
+    // The __Host- prefix pins the cookie to this host; browsers accept it over HTTPS only
+    COOKIE_NAME: SECURE ? '__Host-csrf' : 'csrf',
+    HEADER: 'X-CSRF-Token',
+    SECURE,
+    // Signs tokens; a per-process secret only invalidates open pages on restart
+    SECRET: config.security.csrfSecret,
+    SAFE_METHODS: Object.freeze(['GET', 'HEAD', 'OPTIONS'])
+});
+
+/**
+ * Codes of rejected requests, returned with the 403 response.
+ * @readonly
+ * @enum {string}
+ */
+const CsrfErrorCode = Object.freeze({
+    ORIGIN_MISMATCH: 'csrf_origin_mismatch',
+    TOKEN_MISSING: 'csrf_token_missing',
+    TOKEN_INVALID: 'csrf_token_invalid'
+});
+
+/** @type {Object<string, string>} Error message of each code */
+const ERROR_MESSAGES = Object.freeze({
+    [CsrfErrorCode.ORIGIN_MISMATCH]: 'Request origin not allowed',
+    [CsrfErrorCode.TOKEN_MISSING]: 'Missing CSRF token',
+    [CsrfErrorCode.TOKEN_INVALID]: 'Invalid or expired CSRF token'
+});
+
+// ============================================================================
+// TOKENS
+// ============================================================================
+
+/**
+ * Signs the cookie value.
+ * @param {string} value - Cookie value
+ * @returns {string} Hex HMAC signature
+ */
+function sign(value) {
+    return crypto
+        .createHmac('sha256', CSRF_CONFIG.SECRET)
+        .update(value)
+        .digest('hex');
+}
+
+/**
+ * Returns the CSRF token of the client, setting its cookie first if the
+ * client has none yet.
+ * @param {Object} req - Express request (cookies parsed)
+ * @param {Object} res - Express response
+ * @returns {string} CSRF token
+ */
+function issueToken(req, res) {
+    let value = req.cookies[CSRF_CONFIG.COOKIE_NAME];
+
+    if (typeof value !== 'string' || !/^[0-9a-f]{64}$/.test(value)) {
+        value = crypto.randomBytes(32).toString('hex');
+        res.cookie(CSRF_CONFIG.COOKIE_NAME, value, {
+            httpOnly: true,
+            secure: CSRF_CONFIG.SECURE,
+            sameSite: 'strict',
+            path: '/'
+        });
+    }
+
+    return sign(value);
+}
+
+/**
+ * Checks the CSRF token of a request against its cookie.
+ * @param {Object} req - Express request (cookies parsed)
+ * @returns {{valid: boolean, code?: string}} Check result
+ */
+function verifyToken(req) {
+    const token = req.get(CSRF_CONFIG.HEADER);
+    if (!token) {
+        return { valid: false, code: CsrfErrorCode.TOKEN_MISSING };
+    }
+
+    const value = req.cookies[CSRF_CONFIG.COOKIE_NAME];
+    const provided = Buffer.from(token);
+    const expected = Buffer.from(typeof value === 'string' ? sign(value) : '');
+
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return { valid: false, code: CsrfErrorCode.TOKEN_INVALID };
+    }
+
+    return { valid: true };
+}
+
+// ============================================================================
+// ORIGIN
+// ============================================================================
+
+/**
+ * Extracts the origin of a URL.
+ * @param {string} url - URL
+ * @returns {string|null} Origin, or null if the URL is invalid
+ */
+function originOf(url) {
+    try {
+        return new URL(url).origin;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Checks that a request comes from the allowed origin. Requests with neither
+ * Origin nor Referer (scripts, not browsers) rely on the token alone.
+ * @param {Object} req - Express request
+ * @param {string} allowedOrigin - Origin of the shop
+ * @returns {{valid: boolean, code?: string}} Check result
+ */
+function verifyOrigin(req, allowedOrigin) {
+    const origin = req.get('Origin');
+    const referer = req.get('Referer');
+
+    if (!origin && !referer) {
+        return { valid: true };
+    }
+
+    const source = origin ? originOf(origin) : originOf(referer);
+    if (source !== allowedOrigin) {
+        return { valid: false, code: CsrfErrorCode.ORIGIN_MISMATCH };
+    }
+
+    return { valid: true };
+}
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+/**
+ * Creates an Express middleware rejecting state-changing requests from
+ * other origins or without a valid CSRF token, with a 403 JSON error
+ * carrying a CsrfErrorCode.
+ * @param {Object} options - Middleware options
+ * @param {string} options.allowedOrigin - URL of the shop
+ * @param {function(Object): boolean} options.isExempt - Returns true for
+ *   requests authenticated otherwise (webhook signatures, bearer tokens)
+ * @returns {function(Object, Object, Function): void} Express middleware
+ */
+function createCsrfMiddleware({ allowedOrigin, isExempt }) {
+    const origin = originOf(allowedOrigin);
+
+    return function csrfProtection(req, res, next) {
+        if (CSRF_CONFIG.SAFE_METHODS.includes(req.method) || isExempt(req)) {
+            return next();
+        }
+
+        const originCheck = verifyOrigin(req, origin);
+        const check = originCheck.valid ? verifyToken(req) : originCheck;
+
+        if (!check.valid) {
+            logger.warn('CSRF check failed', {
+                method: req.method,
+                path: req.path,
+                reason: check.code,
+                origin: req.get('Origin') || null
+            });
+            return res.status(403).json({ error: ERROR_MESSAGES[check.code], code: check.code });
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    CSRF_CONFIG,
+    CsrfErrorCode,
+    issueToken,
+    createCsrfMiddleware
+};
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Currencies offered by the Urban Art storefront.
+ * Catalog prices are set in the base currency (euros). Other currencies use
+ * an artwork's own fixed price (in cents) when the catalog defines one, and
+ * otherwise the exchange table in data/currencies.json, rounded to whole units.
+ * @author Urban Art Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+const path = require('path');
+const { config } = require('./config');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** @type {{base: string, rates: Object<string, number>}} Exchange table */
+const exchangeTable = require(path.join(__dirname, '..', 'data', 'currencies.json'));
+
+/** @type {Object} Currency configuration constants */
+const CURRENCY_CONFIG = Object.freeze({
+    BASE_CURRENCY: exchangeTable.base,
+    // Offered currencies, all present in the exchange table (CURRENCIES)
+    SUPPORTED_CURRENCIES: config.shop.currencies,
+    // All supported currencies use two decimal places in Stripe
+    MINOR_UNITS: 100
+});
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Checks whether a currency can be used for display and checkout.
+ * @param {string} currency - Lowercase ISO currency code
+ * @returns {boolean} True if the currency is supported
+ */
+function isSupported(currency) {
+    return CURRENCY_CONFIG.SUPPORTED_CURRENCIES.includes(currency);
+}
+
+/**
+ * Normalizes a currency code, falling back to the base currency.
+ * @param {string} [currency] - Requested ISO currency code
+ * @returns {string} Supported lowercase currency code
+ */
+function normalizeCurrency(currency) {
+    const code = typeof currency === 'string' ? currency.toLowerCase() : '';
+    return isSupported(code) ? code : CURRENCY_CONFIG.BASE_CURRENCY;
+}
+
+/**
+ * Converts a base-currency amount with the exchange table.
+ * @param {number} amount - Amount in the base currency
+ * @param {string} currency - Supported currency code
+ * @returns {number} Amount in whole units of the target currency
+ */
+function convert(amount, currency) {
+    if (currency === CURRENCY_CONFIG.BASE_CURRENCY) return amount;
+    return Math.round(amount * exchangeTable.rates[currency]);
+}
+
+/**
+ * Returns the price of an artwork in a currency.
+ * @param {import('./catalog').Artwork} artwork - Catalog artwork
+ * @param {string} currency - Supported currency code
+ * @returns {number} Price in major units (e.g. euros)
+ */
+function getPrice(artwork, currency) {
+    if (artwork.prices && Number.isInteger(artwork.prices[currency])) {
+        return artwork.prices[currency] / CURRENCY_CONFIG.MINOR_UNITS;
+    }
+
+    return convert(artwork.price, currency);
+}
+
+/**
+ * Converts an amount to the smallest currency unit used by Stripe.
+ * @param {number} amount - Amount in major units
+ * @returns {number} Amount in minor units (e.g. cents)
+ */
+function toMinorUnits(amount) {
+    return Math.round(amount * CURRENCY_CONFIG.MINOR_UNITS);
+}
+
+module.exports = {
+    CURRENCY_CONFIG,
+    isSupported,
+    normalizeCurrency,
+    convert,
+    getPrice,
+    toMinorUnits
+};
@@ -0,0 +1,419 @@
+/**
+ * @fileoverview Customer emails for Urban Art orders and studio notifications.
+ * Customer emails are built as HTML and plain text in the buyer's language
+ * using the shared dictionary in public/translations.js, then sent with the mailer.
+ * @author Urban Art Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+const { translations } = require('../public/translations');
+const catalog = require('./catalog');
+const { OrderStatus } = require('./orders');
+const mailer = require('./mailer');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** @type {string} Fallback language for missing translations */
+const DEFAULT_LOCALE = 'fr';
+
+/**
+ * Status updates that send a customer email, with their translation keys.
+ * @type {Object<string, {subject: string, intro: string}>}
+ */
+const STATUS_TEMPLATES = Object.freeze({
+    [OrderStatus.PACKED]: { subject: 'email_packed_subject', intro: 'email_packed_intro' },
+    [OrderStatus.SHIPPED]: { subject: 'email_shipped_subject', intro: 'email_shipped_intro' },
+    [OrderStatus.DELIVERED]: { subject: 'email_delivered_subject', intro: 'email_delivered_intro' },
+    [OrderStatus.PARTIALLY_REFUNDED]: { subject: 'email_refunded_subject', intro: 'email_refunded_intro' },
+    [OrderStatus.REFUNDED]: { subject: 'email_refunded_subject', intro: 'email_refunded_intro' }
+});
+
+// ============================================================================
+// FORMATTING HELPERS
+// ============================================================================
+
+/**
+ * Translates a key and fills {placeholders}.
+ * @param {string} locale - Buyer language
+ * @param {string} key - Translation key
+ * @param {Object<string, string>} [params] - Placeholder values
+ * @returns {string} Translated text
+ */
+function t(locale, key, params = {}) {
+    const dictionary = translations[locale] || translations[DEFAULT_LOCALE];
+    const template = dictionary[key] || translations[DEFAULT_LOCALE][key] || key;
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+        params[name] !== undefined ? String(params[name]) : match
+    );
+}
+
+/**
+ * Escapes text for safe inclusion in HTML.
+ * @param {string} str - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Formats an amount in cents for the buyer's locale.
+ * @param {number} cents - Amount in cents
+ * @param {string} currency - ISO currency code
+ * @param {string} locale - Buyer language
+ * @returns {string} Formatted amount
+ */
+function formatAmount(cents, currency, locale) {
+    return new Intl.NumberFormat(locale, {
+        style: 'currency',
+        currency: currency.toUpperCase()
+    }).format(cents / 100);
+}
+
+/**
+ * Formats a shipping address as lines of text.
+ * @param {import('./orders').Address|null} address - Shipping address
+ * @returns {string[]} Address lines
+ */
+function addressLines(address) {
+    if (!address) return [];
+    return [
+        address.name,
+        address.line1,
+        address.line2,
+        [address.postalCode, address.city].filter(Boolean).join(' '),
+        address.country
+    ].filter(Boolean);
+}
+
+// ============================================================================
+// TEMPLATES
+// ============================================================================
+
+/**
+ * Renders an email in the shop layout.
+ * @param {Object} options - Template options
+ * @param {string} options.locale - Buyer language
+ * @param {string|null} options.name - Buyer name for the greeting
+ * @param {string[]} options.paragraphs - Body paragraphs
+ * @param {import('./orders').Order} [options.order] - Order to summarize
+ * @param {{label: string, url: string}} [options.action] - Call-to-action button
+ * @returns {{text: string, html: string}} Rendered bodies
+ */
+function renderLayout({ locale, name, paragraphs, order, action }) {
+    const greeting = name
+        ? t(locale, 'email_greeting', { name })
+        : t(locale, 'email_greeting_default');
+
+    const text = [greeting, ''];
+    const html = [`<p>${escapeHtml(greeting)}</p>`];
+
+    paragraphs.forEach(paragraph => {
+        text.push(paragraph, '');
+        html.push(`<p>${escapeHtml(paragraph)}</p>`);
+    });
+
+    if (action) {
+        text.push(`${action.label}: ${action.url}`, '');
+        html.push(
+            '<p style="margin:24px 0;">' +
+            `<a href="${escapeHtml(action.url)}" style="background:#1a1a1a;color:#fff;` +
+            `padding:12px 24px;text-decoration:none;">${escapeHtml(action.label)}</a>` +
+            '</p>'
+        );
+    }
+
+    if (order) {
+        const total = formatAmount(order.amountTotal, order.currency, locale);
+
+        text.push(t(locale, 'email_items_title'));
+        html.push(`<h2 style="font-size:16px;">${escapeHtml(t(locale, 'email_items_title'))}</h2>`);
+        html.push('<table style="width:100%;border-collapse:collapse;">');
+
+        order.lineItems.forEach(item => {
+            const amount = formatAmount(item.amountTotal, order.currency, locale);
+            text.push(`- ${item.title} x${item.quantity}: ${amount}`);
+            html.push(
+                '<tr>' +
+                `<td style="padding:4px 0;">${escapeHtml(item.title)} &times; ${item.quantity}</td>` +
+                `<td style="padding:4px 0;text-align:right;">${escapeHtml(amount)}</td>` +
+                '</tr>'
+            );
+        });
+
+        if (order.amountDiscount > 0) {
+            const label = t(locale, 'email_discount', { code: order.promoCode || '' });
+            const discount = '-' + formatAmount(order.amountDiscount, order.currency, locale);
+            text.push(`${label}: ${discount}`);
+            html.push(
+                '<tr>' +
+                `<td style="padding:4px 0;">${escapeHtml(label)}</td>` +
+                `<td style="padding:4px 0;text-align:right;">${escapeHtml(discount)}</td>` +
+                '</tr>'
+            );
+        }
+
+        if (order.amountShipping > 0) {
+            const shippingCost = formatAmount(order.amountShipping, order.currency, locale);
+            text.push(`${t(locale, 'email_shipping_cost')}: ${shippingCost}`);
+            html.push(
+                '<tr>' +
+                `<td style="padding:4px 0;">${escapeHtml(t(locale, 'email_shipping_cost'))}</td>` +
+                `<td style="padding:4px 0;text-align:right;">${escapeHtml(shippingCost)}</td>` +
+                '</tr>'
+            );
+        }
+
+        text.push(`${t(locale, 'email_total')}: ${total}`);
+        html.push(
+            '<tr>' +
+            `<td style="padding:8px 0;border-top:1px solid #ccc;"><strong>${escapeHtml(t(locale, 'email_total'))}</strong></td>` +
+            `<td style="padding:8px 0;border-top:1px solid #ccc;text-align:right;"><strong>${escapeHtml(total)}</strong></td>` +
+            '</tr>'
+        );
+
+        const taxes = order.tax ? order.tax.breakdown.filter(entry => entry.amountTax > 0) : [];
+        taxes.forEach(entry => {
+            const label = t(locale, 'email_tax_included', { rate: entry.rate.toLocaleString(locale) });
+            const amount = formatAmount(entry.amountTax, order.currency, locale);
+            text.push(`${label}: ${amount}`);
+            html.push(
+                '<tr>' +
+                `<td style="padding:2px 0;color:#666;font-size:13px;">${escapeHtml(label)}</td>` +
+                `<td style="padding:2px 0;color:#666;font-size:13px;text-align:right;">${escapeHtml(amount)}</td>` +
+                '</tr>'
+            );
+        });
+
+        text.push('');
+        html.push('</table>');
+
+        const lines = addressLines(order.shippingAddress);
+        if (lines.length > 0) {
+            text.push(t(locale, 'email_shipping_title'), ...lines, '');
+            html.push(`<h2 style="font-size:16px;">${escapeHtml(t(locale, 'email_shipping_title'))}</h2>`);
+            html.push(`<p>${lines.map(escapeHtml).join('<br>')}</p>`);
+        }
+    }
+
+    text.push(t(locale, 'email_signoff'), t(locale, 'email_team'));
+    html.push(`<p>${escapeHtml(t(locale, 'email_signoff'))}<br>${escapeHtml(t(locale, 'email_team'))}</p>`);
+
+    return {
+        text: text.join('\n'),
+        html: '<!DOCTYPE html><html><body style="font-family:Arial,sans-serif;color:#1a1a1a;max-width:600px;">' +
+            html.join('\n') +
+            '</body></html>'
+    };
+}
+
+/**
+ * Renders the order confirmation email.
+ * @param {import('./orders').Order} order - Paid order
+ * @returns {{subject: string, text: string, html: string}} Rendered email
+ */
+function renderOrderConfirmation(order) {
+    const { locale, id: orderId } = order;
+
+    return {
+        subject: t(locale, 'email_confirmation_subject', { orderId }),
+        ...renderLayout({
+            locale,
+            name: order.customerName,
+            paragraphs: [t(locale, 'email_confirmation_intro', { orderId })],
+            order
+        })
+    };
+}
+
+/**
+ * Renders the email for an order status update.
+ * @param {import('./orders').Order} order - Order after the status change
+ * @returns {{subject: string, text: string, html: string}|null} Rendered email, or null if the status sends none
+ */
+function renderStatusUpdate(order) {
+    const template = STATUS_TEMPLATES[order.status];
+    if (!template) return null;
+
+    const { locale, id: orderId } = order;
+    // Announce the latest refund, not the running total of partial refunds
+    const lastRefund = order.refunds && order.refunds[order.refunds.length - 1];
+    const amount = formatAmount(
+        lastRefund ? lastRefund.amount : (order.amountRefunded ?? order.amountTotal),
+        order.currency,
+        locale
+    );
+
+    const paragraphs = [t(locale, template.intro, { orderId, amount })];
+    if (order.status === OrderStatus.SHIPPED && order.trackingNumber) {
+        paragraphs.push(t(locale, 'email_tracking', { trackingNumber: order.trackingNumber }));
+    }
+
+    return {
+        subject: t(locale, template.subject, { orderId }),
+        ...renderLayout({ locale, name: order.customerName, paragraphs })
+    };
+}
+
+/**
+ * Renders the reminder for an abandoned cart.
+ * @param {import('./recovery').AbandonedCart} cart - Abandoned cart
+ * @param {string} restoreUrl - Link that restores the cart
+ * @returns {{subject: string, text: string, html: string}} Rendered email
+ */
+function renderCartReminder(cart, restoreUrl) {
+    const { locale } = cart;
+    const titles = cart.items
+        .map(item => catalog.getArtwork(item.id))
+        .filter(Boolean)
+        .map(artwork => catalog.getTitle(artwork, locale));
+
+    return {
+        subject: t(locale, 'email_recovery_subject'),
+        ...renderLayout({
+            locale,
+            name: null,
+            paragraphs: [
+                t(locale, 'email_recovery_intro', { items: titles.join(', ') }),
+                t(locale, 'email_recovery_note')
+            ],
+            action: { label: t(locale, 'email_recovery_button'), url: restoreUrl }
+        })
+    };
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Sends the order confirmation email to the buyer.
+ * @param {import('./orders').Order} order - Paid order
+ * @param {Array<{filename: string, content: Buffer}>} [attachments] - Files to attach (e.g. the invoice)
+ * @returns {Promise<{messageId: string}|null>} Delivery result, or null without an email address
+ */
+async function sendOrderConfirmation(order, attachments = []) {
+    if (!order.customerEmail) return null;
+
+    return mailer.sendMail({
+        to: order.customerEmail,
+        ...renderOrderConfirmation(order),
+        attachments
+    });
+}
+
+/**
+ * Sends the status update email matching the order's current status.
+ * @param {import('./orders').Order} order - Order after the status change
+ * @returns {Promise<{messageId: string}|null>} Delivery result, or null if nothing was sent
+ */
+async function sendStatusUpdate(order) {
+    const email = renderStatusUpdate(order);
+    if (!email || !order.customerEmail) return null;
+
+    return mailer.sendMail({ to: order.customerEmail, ...email });
+}
+
+/**
+ * Sends the one-time reminder for an abandoned cart.
+ * @param {import('./recovery').AbandonedCart} cart - Abandoned cart
+ * @param {string} restoreUrl - Link that restores the cart
+ * @returns {Promise<{messageId: string}>} Delivery result
+ */
+async function sendCartReminder(cart, restoreUrl) {
+    return mailer.sendMail({
+        to: cart.email,
+        ...renderCartReminder(cart, restoreUrl)
+    });
+}
+
+/**
+ * Forwards a contact form message to the studio inbox.
+ * Studio notifications are written in French; replies go to the sender.
+ * @param {Object} message - Stored contact message
+ * @returns {Promise<{messageId: string}>} Delivery result
+ */
+async function sendContactNotification(message) {
+    return mailer.sendMail({
+        to: mailer.MAILER_CONFIG.STUDIO_EMAIL,
+        replyTo: message.email,
+        subject: `Nouveau message de ${message.name}`,
+        text: [
+            `Nom : ${message.name}`,
+            `Email : ${message.email}`,
+            `Langue : ${message.locale}`,
+            '',
+            message.message
+        ].join('\n')
+    });
+}
+
+/**
+ * Tells the studio that an order was refunded.
+ * @param {import('./orders').Order} order - Order after the refund
+ * @param {number} amount - Amount of this refund in cents
+ * @param {boolean} restocked - Whether the artworks were put back in stock
+ * @returns {Promise<{messageId: string}>} Delivery result
+ */
+async function sendRefundNotification(order, amount, restocked) {
+    return mailer.sendMail({
+        to: mailer.MAILER_CONFIG.STUDIO_EMAIL,
+        subject: `Remboursement de la commande ${order.id}`,
+        text: [
+            `Commande : ${order.id}`,
+            `Client : ${order.customerName || ''} <${order.customerEmail || ''}>`,
+            `Montant remboursé : ${formatAmount(amount, order.currency, 'fr')}`,
+            `Total remboursé : ${formatAmount(order.amountRefunded, order.currency, 'fr')} / ` +
+                formatAmount(order.amountTotal, order.currency, 'fr'),
+            `Remise en stock : ${restocked ? 'oui' : 'non'}`
+        ].join('\n')
+    });
+}
+
+/**
+ * Alerts the studio that the buyer's bank opened a dispute on an order.
+ * @param {import('./orders').Order} order - Disputed order
+ * @returns {Promise<{messageId: string}>} Delivery result
+ */
+async function sendDisputeNotification(order) {
+    const { dispute } = order;
+
+    return mailer.sendMail({
+        to: mailer.MAILER_CONFIG.STUDIO_EMAIL,
+        subject: `Litige ouvert sur la commande ${order.id}`,
+        text: [
+            `Commande : ${order.id}`,
+            `Client : ${order.customerName || ''} <${order.customerEmail || ''}>`,
+            `Montant contesté : ${formatAmount(dispute.amount, order.currency, 'fr')}`,
+            `Motif : ${dispute.reason}`,
+            `Preuves à fournir avant le : ${dispute.evidenceDueBy || 'non précisé'}`,
+            '',
+            'Répondez au litige depuis le tableau de bord Stripe.'
+        ].join('\n')
+    });
+}
+
+module.exports = {
+    t,
+    escapeHtml,
+    formatAmount,
+    renderLayout,
+    renderOrderConfirmation,
+    renderStatusUpdate,
+    renderCartReminder,
+    sendOrderConfirmation,
+    sendStatusUpdate,
+    sendCartReminder,
+    sendContactNotification,
+    sendRefundNotification,
+    sendDisputeNotification
+};
@@ -0,0 +1,371 @@
+/**
+ * @fileoverview Stock tracking for unique and limited-edition artworks.
+ * Quantities are seeded from the catalog and persisted in the storage
+ * directory. Artworks are held by a reservation while a buyer is in Stripe
+ * Checkout; the reservation is released if the session expires or is
+ * cancelled, and converted into a sale when the checkout completes.
+ * @author Urban Art Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const catalog = require('./catalog');
+const { JsonStore, storagePath } = require('./json-store');
+const { logger } = require('./logger');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Availability states exposed to the storefront.
+ * @readonly
+ * @enum {string}
+ */
+const StockStatus = Object.freeze({
+    AVAILABLE: 'available',
+    RESERVED: 'reserved',
+    SOLD_OUT: 'sold_out'
+});
+
+/**
+ * @typedef {Object} Reservation
+ * @property {Array<{id: string, quantity: number}>} items - Held artwork lines
+ * @property {number} expiresAt - Expiry timestamp (ms)
+ * @property {string} [sessionId] - Stripe checkout session holding the items
+ */
+
+/** @type {JsonStore} Persisted stock levels, reservations and applied sales */
+const store = new JsonStore(storagePath('inventory.json'), () => ({
+    stock: Object.fromEntries(
+        catalog.listArtworks().map(artwork => [artwork.id, artwork.stock])
+    ),
+    reservations: {},
+    sales: {}
+}));
+
+// ============================================================================
+// PRIVATE HELPERS
+// ============================================================================
+
+/**
+ * Returns the reservations map, creating it for stores written before
+ * reservations existed.
+ * @param {Object} data - Store document
+ * @returns {Object<string, Reservation>} Reservations keyed by ID
+ */
+function reservationsOf(data) {
+    if (!data.reservations) data.reservations = {};
+    return data.reservations;
+}
+
+/**
+ * Sums the quantity of an artwork held by unexpired reservations.
+ * @param {Object} data - Store document
+ * @param {string} id - Artwork ID
+ * @param {number} now - Current timestamp (ms)
+ * @returns {number} Held quantity
+ */
+function heldQuantity(data, id, now) {
+    let held = 0;
+    for (const reservation of Object.values(reservationsOf(data))) {
+        if (reservation.expiresAt <= now) continue;
+        for (const line of reservation.items) {
+            if (line.id === id) held += line.quantity;
+        }
+    }
+    return held;
+}
+
+/**
+ * Removes expired reservations from the store document.
+ * @param {Object} data - Store document
+ * @param {number} now - Current timestamp (ms)
+ */
+function purgeExpired(data, now) {
+    const reservations = reservationsOf(data);
+    for (const [reservationId, reservation] of Object.entries(reservations)) {
+        if (reservation.expiresAt <= now) {
+            delete reservations[reservationId];
+            logger.info('Reservation expired', { reservationId });
+        }
+    }
+}
+
+/**
+ * Checks resolved cart lines against stock minus other buyers' holds.
+ * @param {Object} data - Store document
+ * @param {import('./catalog').ResolvedItem[]} items - Resolved cart lines
+ * @param {number} now - Current timestamp (ms)
+ * @returns {{valid: boolean, error?: string, code?: string}} Check result
+ */
+function checkLines(data, items, now) {
+    for (const { artwork, quantity } of items) {
+        const remaining = getStock(artwork.id);
+        const available = remaining - heldQuantity(data, artwork.id, now);
+        const title = catalog.getTitle(artwork);
+
+        if (remaining <= 0) {
+            return { valid: false, code: 'sold_out', error: `"${title}" is sold out` };
+        }
+
+        if (available <= 0) {
+            return {
+                valid: false,
+                code: 'reserved',
+                error: `"${title}" is reserved by another buyer. Please try again later.`
+            };
+        }
+
+        if (quantity > available) {
+            return {
+                valid: false,
+                code: 'insufficient_stock',
+                error: `Only ${available} left of "${title}"`
+            };
+        }
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Removes sold quantities from the store document.
+ * Overselling is logged rather than thrown: the payment has already been
+ * taken, so the order must still be recorded and handled manually.
+ * @param {Object} data - Store document
+ * @param {Array<{id: string, quantity: number}>} lines - Sold artwork lines
+ */
+function applySale(data, lines) {
+    for (const { id, quantity } of lines) {
+        const remaining = getStock(id) - quantity;
+        data.stock[id] = remaining;
+
+        if (remaining < 0) {
+            logger.error('Artwork oversold', { artworkId: id, remaining });
+        } else {
+            logger.info('Stock updated', { artworkId: id, remaining });
+        }
+    }
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Returns the remaining quantity of an artwork.
+ * Artworks added to the catalog after the store was created fall back to
+ * their catalog stock.
+ * @param {string} id - Artwork ID
+ * @returns {number} Remaining quantity
+ */
+function getStock(id) {
+    const { stock } = store.read();
+    if (Object.prototype.hasOwnProperty.call(stock, id)) {
+        return stock[id];
+    }
+
+    const artwork = catalog.getArtwork(id);
+    return artwork ? artwork.stock : 0;
+}
+
+/**
+ * Returns the storefront status of an artwork.
+ * @param {import('./catalog').Artwork} artwork - Artwork to check
+ * @returns {string} A StockStatus value
+ */
+function getStatus(artwork) {
+    const remaining = getStock(artwork.id);
+
+    if (!artwork.available || remaining <= 0) {
+        return StockStatus.SOLD_OUT;
+    }
+
+    if (remaining - heldQuantity(store.read(), artwork.id, Date.now()) <= 0) {
+        return StockStatus.RESERVED;
+    }
+
+    return StockStatus.AVAILABLE;
+}
+
+/**
+ * Lists the availability of every artwork for the storefront.
+ * @returns {Array<{id: string, status: string, quantity: number}>} Availability entries
+ */
+function getAvailability() {
+    return catalog.listArtworks().map(artwork => ({
+        id: artwork.id,
+        status: getStatus(artwork),
+        quantity: Math.max(0, getStock(artwork.id))
+    }));
+}
+
+/**
+ * Checks that every resolved cart line can be fulfilled from stock that is
+ * not held by another buyer.
+ * @param {import('./catalog').ResolvedItem[]} items - Resolved cart lines
+ * @returns {{valid: boolean, error?: string, code?: string}} Check result
+ */
+function checkStock(items) {
+    return checkLines(store.read(), items, Date.now());
+}
+
+/**
+ * Holds artworks for a buyer until the given expiry.
+ * The availability check and the hold happen in one store update, so two
+ * buyers can never both reserve the last copy.
+ * @param {import('./catalog').ResolvedItem[]} items - Resolved cart lines
+ * @param {number} expiresAt - Expiry timestamp (ms)
+ * @returns {{valid: boolean, error?: string, code?: string, reservationId?: string}} Result
+ */
+function reserve(items, expiresAt) {
+    return store.update(data => {
+        const now = Date.now();
+        purgeExpired(data, now);
+
+        const check = checkLines(data, items, now);
+        if (!check.valid) return check;
+
+        const reservationId = crypto.randomUUID();
+        reservationsOf(data)[reservationId] = {
+            items: items.map(({ artwork, quantity }) => ({ id: artwork.id, quantity })),
+            expiresAt
+        };
+
+        logger.info('Artworks reserved', { reservationId, expiresAt: new Date(expiresAt).toISOString() });
+        return { valid: true, reservationId };
+    });
+}
+
+/**
+ * Links a reservation to the Stripe checkout session created for it.
+ * @param {string} reservationId - Reservation ID
+ * @param {string} sessionId - Stripe checkout session ID
+ */
+function attachSession(reservationId, sessionId) {
+    store.update(data => {
+        const reservation = reservationsOf(data)[reservationId];
+        if (reservation) reservation.sessionId = sessionId;
+    });
+}
+
+/**
+ * Finds an active reservation.
+ * @param {string} reservationId - Reservation ID
+ * @returns {Reservation|undefined} Reservation or undefined if released or expired
+ */
+function getReservation(reservationId) {
+    const reservation = reservationsOf(store.read())[reservationId];
+    if (!reservation || reservation.expiresAt <= Date.now()) return undefined;
+    return reservation;
+}
+
+/**
+ * Releases a reservation, making its artworks available again.
+ * @param {string} reservationId - Reservation ID
+ * @returns {boolean} True if a reservation was released
+ */
+function releaseReservation(reservationId) {
+    return store.update(data => {
+        const reservations = reservationsOf(data);
+        if (!reservations[reservationId]) return false;
+
+        delete reservations[reservationId];
+        logger.info('Reservation released', { reservationId });
+        return true;
+    });
+}
+
+/**
+ * Converts a reservation into a sale.
+ * If the reservation is gone (e.g. it expired just before payment
+ * completed), the given fallback lines are decremented instead. Each sale
+ * is applied once, so replaying the same webhook cannot decrement twice.
+ * @param {string} saleId - Unique sale reference (the checkout session ID)
+ * @param {string} [reservationId] - Reservation ID
+ * @param {Array<{id: string, quantity: number}>} fallbackLines - Lines sold
+ */
+function commitReservation(saleId, reservationId, fallbackLines) {
+    store.update(data => {
+        if (!data.sales) data.sales = {};
+        if (data.sales[saleId]) {
+            logger.info('Sale already applied to stock', { saleId });
+            return;
+        }
+
+        const reservations = reservationsOf(data);
+        const reservation = reservationId ? reservations[reservationId] : undefined;
+
+        if (reservation) {
+            delete reservations[reservationId];
+        } else {
+            logger.warn('Completing sale without an active reservation', { saleId, reservationId });
+        }
+
+        applySale(data, reservation ? reservation.items : fallbackLines);
+        data.sales[saleId] = new Date().toISOString();
+    });
+}
+
+/**
+ * Puts artworks back in stock, e.g. after a refunded piece is returned.
+ * Each restock is applied once, so replaying a webhook cannot add stock twice.
+ * @param {string} restockId - Unique restock reference (e.g. 'refund:UA-000042')
+ * @param {Array<{id: string, quantity: number}>} lines - Lines to put back
+ * @returns {boolean} True if stock was updated
+ */
+function restock(restockId, lines) {
+    return store.update(data => {
+        if (!data.restocks) data.restocks = {};
+        if (data.restocks[restockId]) {
+            logger.info('Restock already applied', { restockId });
+            return false;
+        }
+
+        for (const { id, quantity } of lines) {
+            data.stock[id] = getStock(id) + quantity;
+            logger.info('Stock restored', { artworkId: id, remaining: data.stock[id], restockId });
+        }
+
+        data.restocks[restockId] = new Date().toISOString();
+        return true;
+    });
+}
+
+/**
+ * Sets the remaining quantity of an artwork, e.g. after a correction in the
+ * back office. Reservations in progress are kept.
+ * @param {string} id - Artwork ID
+ * @param {number} quantity - New remaining quantity
+ * @returns {{valid: boolean, error?: string}} Result
+ */
+function setStock(id, quantity) {
+    if (!Number.isInteger(quantity) || quantity < 0) {
+        return { valid: false, error: 'stock must be a non-negative integer' };
+    }
+
+    return store.update(data => {
+        const previous = getStock(id);
+        data.stock[id] = quantity;
+        logger.info('Stock set', { artworkId: id, previous, remaining: quantity });
+        return { valid: true };
+    });
+}
+
+module.exports = {
+    StockStatus,
+    getStock,
+    getStatus,
+    getAvailability,
+    checkStock,
+    reserve,
+    attachSession,
+    getReservation,
+    releaseReservation,
+    commitReservation,
+    restock,
+    setStock
+};
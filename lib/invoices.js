@@ -0,0 +1,496 @@
+/**
+ * @fileoverview PDF invoices for Urban Art orders.
+ * Every paid order gets an invoice with a number from a single gapless
+ * sequence. The PDF is rendered once when the invoice is issued and kept in
+ * the storage directory, so later catalog edits never alter an issued
+ * invoice. Invoices are written in French, the studio's accounting language.
+ * The PDF is emailed to the buyer; the confirmation page may also download
+ * it for a short while after payment, through a signed, expiring link that
+ * only works in the browser the checkout was started from.
+ * @author Urban Art Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const catalog = require('./catalog');
+const tax = require('./tax');
+const { JsonStore, storagePath } = require('./json-store');
+const { logger } = require('./logger');
+const { config } = require('./config');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** @type {boolean} Whether the shop is served over HTTPS */
+const SECURE = config.server.frontendUrl.startsWith('https:');
+
+/** @type {Object} Invoice configuration */
+const INVOICE_CONFIG = Object.freeze({
+    NUMBER_PREFIX: 'FA-',
+    LOCALE: 'fr',
+    OUTPUT_DIR: config.storage.invoiceDir,
+    STUDIO: Object.freeze({
+        ...config.studio,
+        email: config.email.studioEmail
+    }),
+    // The confirmation page gets a download link this long after the invoice is issued
+    DOWNLOAD_WINDOW_MS: 60 * 60 * 1000,
+    // Download links expire after this long
+    DOWNLOAD_TOKEN_TTL_MS: 15 * 60 * 1000,
+    // Signs download links; a per-process secret only invalidates open pages on restart
+    DOWNLOAD_SECRET: config.security.invoiceLinkSecret,
+    // Random key set in the buyer's browser when checkout starts; its hash is
+    // kept on the checkout session, so the session ID alone gives no link
+    BUYER_COOKIE: SECURE ? '__Host-checkout' : 'checkout',
+    BUYER_COOKIE_MAX_AGE_MS: 24 * 60 * 60 * 1000,
+    SECURE
+});
+
+/** @type {Object} Page layout in PDF points (A4 is 595 x 842) */
+const LAYOUT = Object.freeze({
+    MARGIN: 50,
+    // Column x positions and widths of the line table
+    COLUMNS: Object.freeze({
+        description: { x: 50, width: 235 },
+        quantity: { x: 285, width: 35 },
+        unitPrice: { x: 320, width: 80 },
+        rate: { x: 400, width: 50 },
+        total: { x: 450, width: 95 }
+    }),
+    // Noto Sans SC covers Latin, Cyrillic and Chinese, so buyer names and
+    // addresses print in any shop language. The files come from an npm
+    // package (SIL OFL) and are only read when an invoice is rendered.
+    FONT: 'NotoSansSC',
+    FONT_BOLD: 'NotoSansSC-Bold',
+    FONT_MODULES: Object.freeze({
+        'NotoSansSC': '@expo-google-fonts/noto-sans-sc/NotoSansSC_400Regular.ttf',
+        'NotoSansSC-Bold': '@expo-google-fonts/noto-sans-sc/NotoSansSC_700Bold.ttf'
+    })
+});
+
+/** @type {JsonStore} Issued invoices keyed by order number */
+const store = new JsonStore(storagePath('invoices.json'), () => ({
+    lastNumber: 0,
+    invoices: {}
+}));
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc)
+// ============================================================================
+
+/**
+ * @typedef {Object} Invoice
+ * @property {string} number - Sequential invoice number (e.g. FA-000042)
+ * @property {string} orderId - Invoiced order number
+ * @property {string} issuedAt - ISO timestamp
+ * @property {string} fileName - PDF file name in the invoice directory
+ */
+
+// ============================================================================
+// FORMATTING HELPERS
+// ============================================================================
+
+/**
+ * Formats an amount in cents for the invoice.
+ * @param {number} cents - Amount in the smallest currency unit
+ * @param {string} currency - Lowercase ISO currency code
+ * @returns {string} Formatted amount
+ */
+function formatAmount(cents, currency) {
+    return new Intl.NumberFormat(INVOICE_CONFIG.LOCALE, {
+        style: 'currency',
+        currency: currency.toUpperCase()
+    }).format(cents / 100)
+        // The narrow no-break space used by Intl is missing from the invoice font
+        .replace(/\u202f/g, '\u00a0');
+}
+
+/**
+ * Formats a VAT rate.
+ * @param {number} rate - Rate in percent
+ * @returns {string} Formatted rate
+ */
+function formatRate(rate) {
+    return `${rate.toLocaleString(INVOICE_CONFIG.LOCALE)}\u00a0%`;
+}
+
+/**
+ * Formats an ISO timestamp as a French date.
+ * @param {string} iso - ISO timestamp
+ * @returns {string} Date such as 19/10/2026
+ */
+function formatDate(iso) {
+    return new Date(iso).toLocaleDateString('fr-FR');
+}
+
+/**
+ * Describes an artwork line with its catalog details.
+ * @param {import('./orders').OrderLine} line - Order line
+ * @returns {{title: string, details: string[], taxClass: string|null}} Line description
+ */
+function describeLine(line) {
+    const artwork = line.artworkId && catalog.getArtwork(line.artworkId);
+    if (!artwork) {
+        return { title: line.title, details: line.sku ? [`Réf. ${line.sku}`] : [], taxClass: null };
+    }
+
+    const { width, height, depth, unit } = artwork.dimensions;
+    const size = [width, height, depth].filter(Boolean).join(' × ') + ` ${unit}`;
+
+    return {
+        title: catalog.getTitle(artwork, INVOICE_CONFIG.LOCALE),
+        details: [
+            catalog.getDescription(artwork, INVOICE_CONFIG.LOCALE),
+            `Réf. ${artwork.sku} · ${size}`
+        ],
+        taxClass: tax.getTaxClass(artwork)
+    };
+}
+
+// ============================================================================
+// PDF RENDERING
+// ============================================================================
+
+/**
+ * Writes a table row.
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object<string, string>} cells - Text per column name
+ * @param {Object} [options] - Row options
+ * @param {boolean} [options.bold=false] - Use the bold font
+ * @returns {number} Height of the row
+ */
+function drawRow(doc, cells, { bold = false } = {}) {
+    const y = doc.y;
+    let height = 0;
+
+    doc.font(bold ? LAYOUT.FONT_BOLD : LAYOUT.FONT);
+    Object.entries(cells).forEach(([column, text]) => {
+        const { x, width } = LAYOUT.COLUMNS[column];
+        const align = column === 'description' ? 'left' : 'right';
+        doc.text(text, x, y, { width, align });
+        height = Math.max(height, doc.y - y);
+    });
+
+    doc.x = LAYOUT.MARGIN;
+    doc.y = y + height;
+    return height;
+}
+
+/**
+ * Draws a horizontal rule across the page.
+ * @param {PDFDocument} doc - PDF document
+ */
+function drawRule(doc) {
+    doc.moveDown(0.3);
+    doc.moveTo(LAYOUT.MARGIN, doc.y)
+        .lineTo(doc.page.width - LAYOUT.MARGIN, doc.y)
+        .strokeColor('#cccccc')
+        .stroke();
+    doc.moveDown(0.3);
+}
+
+/**
+ * Registers the invoice fonts on a document. PDFKit reads a font file the
+ * first time the font is used, and embeds only the glyphs printed.
+ * @param {PDFDocument} doc - PDF document
+ */
+function registerFonts(doc) {
+    Object.entries(LAYOUT.FONT_MODULES).forEach(([name, module]) => {
+        doc.registerFont(name, require.resolve(module));
+    });
+}
+
+/**
+ * Renders an invoice as a PDF.
+ * @param {import('./orders').Order} order - Invoiced order
+ * @param {Invoice} invoice - Invoice record
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+function renderPdf(order, invoice) {
+    const { STUDIO } = INVOICE_CONFIG;
+    const country = order.shippingAddress?.country || order.tax?.country;
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: LAYOUT.MARGIN,
+        info: { Title: `Facture ${invoice.number}`, Author: STUDIO.name }
+    });
+    registerFonts(doc);
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    // Seller
+    doc.font(LAYOUT.FONT_BOLD).fontSize(18).text(STUDIO.name);
+    doc.font(LAYOUT.FONT).fontSize(9).fillColor('#444444');
+    STUDIO.address.forEach(line => doc.text(line));
+    doc.text(STUDIO.email);
+    if (STUDIO.siret) doc.text(`SIRET : ${STUDIO.siret}`);
+    if (STUDIO.vatNumber) doc.text(`N° TVA intracommunautaire : ${STUDIO.vatNumber}`);
+
+    // Invoice header
+    doc.fillColor('#1a1a1a').moveDown(1.5);
+    doc.font(LAYOUT.FONT_BOLD).fontSize(14).text(`Facture ${invoice.number}`);
+    doc.font(LAYOUT.FONT).fontSize(10)
+        .text(`Date : ${formatDate(invoice.issuedAt)}`)
+        .text(`Commande : ${order.id}`);
+
+    // Buyer
+    doc.moveDown();
+    doc.font(LAYOUT.FONT_BOLD).text('Facturé à');
+    doc.font(LAYOUT.FONT);
+    const address = order.shippingAddress;
+    const buyerLines = [
+        order.customerName || address?.name,
+        address?.line1,
+        address?.line2,
+        [address?.postalCode, address?.city].filter(Boolean).join(' '),
+        address?.state,
+        address?.country,
+        order.customerEmail
+    ].filter(Boolean);
+    buyerLines.forEach(line => doc.text(line));
+    (order.customerTaxIds || []).forEach(taxId => doc.text(`N° TVA : ${taxId}`));
+
+    // Lines
+    doc.moveDown(1.5).fontSize(9);
+    drawRow(doc, {
+        description: 'Désignation',
+        quantity: 'Qté',
+        unitPrice: 'Prix unit. TTC',
+        rate: 'TVA',
+        total: 'Total TTC'
+    }, { bold: true });
+    drawRule(doc);
+
+    order.lineItems.forEach(line => {
+        const { title, details, taxClass } = describeLine(line);
+        const rate = taxClass && country ? formatRate(tax.getRate(country, taxClass)) : '';
+
+        drawRow(doc, {
+            description: title,
+            quantity: String(line.quantity),
+            unitPrice: formatAmount(line.unitAmount, order.currency),
+            rate,
+            total: formatAmount(line.amountTotal, order.currency)
+        }, { bold: true });
+
+        doc.fillColor('#666666').fontSize(8);
+        details.forEach(detail => drawRow(doc, { description: detail }));
+        doc.fillColor('#1a1a1a').fontSize(9).moveDown(0.5);
+    });
+
+    if (order.amountDiscount > 0) {
+        const label = order.promoCode ? `Remise (code ${order.promoCode})` : 'Remise';
+        drawRow(doc, { description: label, total: '-' + formatAmount(order.amountDiscount, order.currency) });
+    }
+    if (order.amountShipping > 0) {
+        drawRow(doc, { description: 'Livraison', total: formatAmount(order.amountShipping, order.currency) });
+    }
+    drawRule(doc);
+
+    // Totals, with VAT per rate as required on French invoices
+    const breakdown = order.tax ? order.tax.breakdown : [];
+    const amountTax = order.tax ? order.tax.amountTax : 0;
+
+    breakdown.forEach(entry => {
+        drawRow(doc, {
+            description: `Base HT à ${formatRate(entry.rate)}`,
+            total: formatAmount(entry.amountGross - entry.amountTax, order.currency)
+        });
+        drawRow(doc, {
+            description: `TVA ${formatRate(entry.rate)}`,
+            total: formatAmount(entry.amountTax, order.currency)
+        });
+    });
+    drawRow(doc, { description: 'Total HT', total: formatAmount(order.amountTotal - amountTax, order.currency) });
+    drawRow(doc, { description: 'Total TVA', total: formatAmount(amountTax, order.currency) });
+    drawRow(doc, { description: 'Total TTC', total: formatAmount(order.amountTotal, order.currency) }, { bold: true });
+
+    // Payment and legal notes
+    doc.moveDown(2).font(LAYOUT.FONT).fontSize(9)
+        .text(`Facture acquittée le ${formatDate(order.createdAt)} par carte bancaire.`);
+    if (breakdown.some(entry => entry.rate === 0)) {
+        doc.text('Exonération de TVA, livraison hors Union européenne (article 262 I du CGI).');
+    }
+
+    doc.end();
+    return done;
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Issues the invoice of an order, rendering its PDF if it does not exist
+ * yet. Issuing the same order twice returns the existing invoice.
+ * @param {import('./orders').Order} order - Paid order
+ * @returns {Promise<Invoice>} Issued invoice
+ */
+async function issueInvoice(order) {
+    const invoice = store.update(data => {
+        const existing = data.invoices[order.id];
+        if (existing) return existing;
+
+        data.lastNumber += 1;
+        const number = INVOICE_CONFIG.NUMBER_PREFIX + String(data.lastNumber).padStart(6, '0');
+        const issued = {
+            number,
+            orderId: order.id,
+            issuedAt: new Date().toISOString(),
+            fileName: `${number}.pdf`
+        };
+
+        data.invoices[order.id] = issued;
+        logger.info('Invoice issued', { invoiceNumber: number, orderId: order.id });
+        return issued;
+    });
+
+    // Also covers a previous attempt that stopped before writing the file
+    const filePath = path.join(INVOICE_CONFIG.OUTPUT_DIR, invoice.fileName);
+    if (!fs.existsSync(filePath)) {
+        const pdf = await renderPdf(order, invoice);
+        await fs.promises.mkdir(INVOICE_CONFIG.OUTPUT_DIR, { recursive: true });
+        await fs.promises.writeFile(filePath, pdf);
+    }
+
+    return invoice;
+}
+
+/**
+ * Finds the invoice of an order.
+ * @param {string} orderId - Order number
+ * @returns {Invoice|undefined} Issued invoice
+ */
+function getInvoice(orderId) {
+    return store.read().invoices[orderId];
+}
+
+/**
+ * Hashes a buyer key, the form kept on checkout sessions.
+ * @param {string} value - Buyer cookie value
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashBuyerKey(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Returns the buyer key of a browser, setting its cookie first if the
+ * browser has none yet. Called when checkout starts; the result is stored
+ * on the checkout session.
+ * @param {Object} req - Express request (cookies parsed)
+ * @param {Object} res - Express response
+ * @returns {string} Hash of the buyer key
+ */
+function issueBuyerKey(req, res) {
+    let value = req.cookies[INVOICE_CONFIG.BUYER_COOKIE];
+
+    if (typeof value !== 'string' || !/^[0-9a-f]{64}$/.test(value)) {
+        value = crypto.randomBytes(32).toString('hex');
+    }
+    res.cookie(INVOICE_CONFIG.BUYER_COOKIE, value, {
+        httpOnly: true,
+        secure: INVOICE_CONFIG.SECURE,
+        sameSite: 'lax',
+        path: '/',
+        maxAge: INVOICE_CONFIG.BUYER_COOKIE_MAX_AGE_MS
+    });
+
+    return hashBuyerKey(value);
+}
+
+/**
+ * Reads the buyer key of a browser.
+ * @param {Object} req - Express request (cookies parsed)
+ * @returns {string|null} Hash of the buyer key, or null without a cookie
+ */
+function readBuyerKey(req) {
+    const value = req.cookies[INVOICE_CONFIG.BUYER_COOKIE];
+    return typeof value === 'string' && value ? hashBuyerKey(value) : null;
+}
+
+/**
+ * Signs an invoice download link.
+ * @param {string} number - Invoice number
+ * @param {string} buyerKey - Hash of the buyer key the link is given to
+ * @param {string} expiresAt - Expiry timestamp in milliseconds, as a string
+ * @returns {string} Hex HMAC signature
+ */
+function signDownload(number, buyerKey, expiresAt) {
+    return crypto
+        .createHmac('sha256', INVOICE_CONFIG.DOWNLOAD_SECRET)
+        .update(`${number}.${buyerKey}.${expiresAt}`)
+        .digest('hex');
+}
+
+/**
+ * Issues a short-lived token allowing the confirmation page to download an
+ * invoice. Only recently issued invoices get one; later, the emailed copy
+ * is the buyer's invoice. The token is only valid with the buyer key it
+ * was issued for.
+ * @param {Invoice} invoice - Issued invoice
+ * @param {string} buyerKey - Hash of the buyer key, from readBuyerKey()
+ * @returns {string|null} Download token, or null once the window has passed
+ */
+function issueDownloadToken(invoice, buyerKey) {
+    const now = Date.now();
+    if (now - new Date(invoice.issuedAt).getTime() > INVOICE_CONFIG.DOWNLOAD_WINDOW_MS) {
+        return null;
+    }
+
+    const expiresAt = String(now + INVOICE_CONFIG.DOWNLOAD_TOKEN_TTL_MS);
+    return `${expiresAt}.${signDownload(invoice.number, buyerKey, expiresAt)}`;
+}
+
+/**
+ * Checks a download token for an invoice.
+ * @param {Invoice} invoice - Issued invoice
+ * @param {*} token - Token from issueDownloadToken()
+ * @param {string|null} buyerKey - Hash of the requesting browser's buyer key
+ * @returns {boolean} True if the token is genuine, unexpired and issued for this buyer key
+ */
+function checkDownloadToken(invoice, token, buyerKey) {
+    if (typeof token !== 'string' || !buyerKey) return false;
+
+    const [expiresAt, signature] = token.split('.');
+    const provided = Buffer.from(signature || '');
+    const expected = Buffer.from(signDownload(invoice.number, buyerKey, expiresAt || ''));
+
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return false;
+    }
+
+    return Date.now() < Number(expiresAt);
+}
+
+/**
+ * Reads the PDF of an issued invoice.
+ * @param {Invoice} invoice - Issued invoice
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+function readPdf(invoice) {
+    return fs.promises.readFile(path.join(INVOICE_CONFIG.OUTPUT_DIR, invoice.fileName));
+}
+
+module.exports = {
+    INVOICE_CONFIG,
+    renderPdf,
+    issueInvoice,
+    getInvoice,
+    issueBuyerKey,
+    readBuyerKey,
+    issueDownloadToken,
+    checkDownloadToken,
+    readPdf
+};
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview File-backed JSON store used for server-side persistence.
+ * Data is kept in memory and written through to disk synchronously, so a
+ * read-modify-write inside update() can never interleave with another
+ * request in the same process.
+ * @author Urban Art Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('./config');
+
+/** @type {string} Directory holding runtime data files */
+const STORAGE_DIR = config.storage.dir;
+
+/**
+ * Resolves a file name inside the storage directory.
+ * @param {string} fileName - File name (e.g. 'inventory.json')
+ * @returns {string} Absolute path
+ */
+function storagePath(fileName) {
+    return path.join(STORAGE_DIR, fileName);
+}
+
+/**
+ * Small JSON document store persisted to a single file.
+ */
+class JsonStore {
+    /**
+     * Creates a new JsonStore instance.
+     * @param {string} filePath - Absolute path of the JSON file
+     * @param {Function} createDefault - Returns the initial document when the file does not exist
+     */
+    constructor(filePath, createDefault) {
+        /** @type {string} */
+        this.filePath = filePath;
+
+        /** @type {Function} */
+        this._createDefault = createDefault;
+
+        /** @type {*} */
+        this._data = null;
+    }
+
+    // ========================================================================
+    // PRIVATE METHODS
+    // ========================================================================
+
+    /**
+     * Loads the document from disk, creating it from defaults if missing.
+     * @private
+     * @returns {*} Parsed document
+     */
+    _load() {
+        if (this._data !== null) return this._data;
+
+        if (fs.existsSync(this.filePath)) {
+            this._data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } else {
+            this._data = this._createDefault();
+            this._write();
+        }
+
+        return this._data;
+    }
+
+    /**
+     * Writes the document atomically (temp file + rename).
+     * @private
+     */
+    _write() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this._data, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    // ========================================================================
+    // PUBLIC METHODS
+    // ========================================================================
+
+    /**
+     * Returns the current document.
+     * Callers must not mutate it outside of update().
+     * @returns {*} Current document
+     */
+    read() {
+        return this._load();
+    }
+
+    /**
+     * Verifies the document can be read and the storage directory written.
+     * @throws {Error} If the file is unreadable or the directory read-only
+     */
+    check() {
+        this._load();
+        fs.accessSync(path.dirname(this.filePath), fs.constants.W_OK);
+    }
+
+    /**
+     * Applies a mutation to the document and persists it.
+     * If the mutator throws, nothing is written.
+     * @param {Function} mutator - Receives the document; may mutate it in place
+     * @returns {*} Value returned by the mutator
+     */
+    update(mutator) {
+        const data = this._load();
+        const snapshot = JSON.stringify(data);
+
+        try {
+            const result = mutator(data);
+            this._write();
+            return result;
+        } catch (error) {
+            this._data = JSON.parse(snapshot);
+            throw error;
+        }
+    }
+}
+
+module.exports = { JsonStore, STORAGE_DIR, storagePath };
@@ -0,0 +1,241 @@
+/**
+ * @fileoverview Logger utility shared by the Urban Art server modules.
+ * Each entry is written as one JSON line. Entries logged while handling a
+ * request carry its request ID, and any context added on the way (such as
+ * the checkout session ID), so a checkout, its webhooks and its emails can be
+ * followed across log lines. Emails and postal addresses are redacted.
+ * @author Urban Art Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { config } = require('./config');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Logging levels, from most to least verbose.
+ * @readonly
+ * @enum {string}
+ */
+const LogLevel = Object.freeze({
+    DEBUG: 'debug',
+    INFO: 'info',
+    WARN: 'warn',
+    ERROR: 'error'
+});
+
+/** @type {Object<string, number>} Severity of each level */
+const LEVEL_SEVERITY = Object.freeze({
+    [LogLevel.DEBUG]: 10,
+    [LogLevel.INFO]: 20,
+    [LogLevel.WARN]: 30,
+    [LogLevel.ERROR]: 40
+});
+
+/** @type {Object} Logger configuration constants */
+const LOGGER_CONFIG = Object.freeze({
+    // Entries below this level are dropped (LOG_LEVEL)
+    LEVEL: config.logging.level,
+    REQUEST_ID_HEADER: 'X-Request-Id',
+    // Request IDs accepted from a proxy; anything else is replaced
+    REQUEST_ID_PATTERN: /^[\w.-]{1,64}$/,
+    // Fields whose values are personal data
+    REDACTED_FIELDS: /email|address|^to$|^line[12]$|postal|phone/i,
+    EMAIL_PATTERN: /[^\s@"'<>]+@[^\s@"'<>]+\.[^\s@"'<>]+/g,
+    REDACTED: '[redacted]'
+});
+
+/** @type {AsyncLocalStorage<Object>} Context of the request being handled */
+const contextStorage = new AsyncLocalStorage();
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+/**
+ * Copies log data with personal data masked: fields named like an email or
+ * address are replaced, and email addresses inside other strings are masked.
+ * @param {*} value - Value to redact
+ * @param {number} [depth=0] - Current nesting depth
+ * @returns {*} Redacted copy
+ */
+function redact(value, depth = 0) {
+    if (typeof value === 'string') {
+        return value.replace(LOGGER_CONFIG.EMAIL_PATTERN, LOGGER_CONFIG.REDACTED);
+    }
+    if (!value || typeof value !== 'object' || depth > 5) return value;
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+    const result = {};
+    for (const [key, field] of Object.entries(value)) {
+        result[key] = LOGGER_CONFIG.REDACTED_FIELDS.test(key) && field != null
+            ? LOGGER_CONFIG.REDACTED
+            : redact(field, depth + 1);
+    }
+    return result;
+}
+
+/**
+ * Converts an error into plain data.
+ * @param {Error} error - Error to serialize
+ * @returns {{message: string, code?: string, stack: string}} Error data
+ */
+function serializeError(error) {
+    return {
+        message: error.message,
+        ...(error.code && { code: error.code }),
+        stack: error.stack
+    };
+}
+
+// ============================================================================
+// LOGGER
+// ============================================================================
+
+/**
+ * Logger utility for structured JSON logging.
+ */
+const logger = {
+    /**
+     * Formats a log entry as a JSON line.
+     * @param {string} level - The log level
+     * @param {string} message - The message to log
+     * @param {Object} [data] - Optional data to include
+     * @returns {string} JSON log line
+     */
+    format(level, message, data = null) {
+        return JSON.stringify(redact({
+            time: new Date().toISOString(),
+            level,
+            message,
+            ...contextStorage.getStore(),
+            ...data
+        }));
+    },
+
+    /**
+     * Tells whether entries of a level are written.
+     * @param {string} level - The log level
+     * @returns {boolean} True if enabled
+     */
+    isEnabled(level) {
+        return LEVEL_SEVERITY[level] >= LEVEL_SEVERITY[LOGGER_CONFIG.LEVEL];
+    },
+
+    /**
+     * Logs a debug message.
+     * @param {string} message - The message to log
+     * @param {Object} [data] - Optional data to include
+     */
+    debug(message, data) {
+        if (this.isEnabled(LogLevel.DEBUG)) {
+            console.log(this.format(LogLevel.DEBUG, message, data));
+        }
+    },
+
+    /**
+     * Logs an info message.
+     * @param {string} message - The message to log
+     * @param {Object} [data] - Optional data to include
+     */
+    info(message, data) {
+        if (this.isEnabled(LogLevel.INFO)) {
+            console.log(this.format(LogLevel.INFO, message, data));
+        }
+    },
+
+    /**
+     * Logs a warning message.
+     * @param {string} message - The message to log
+     * @param {Object} [data] - Optional data to include
+     */
+    warn(message, data) {
+        if (this.isEnabled(LogLevel.WARN)) {
+            console.warn(this.format(LogLevel.WARN, message, data));
+        }
+    },
+
+    /**
+     * Logs an error message.
+     * @param {string} message - The message to log
+     * @param {Error|Object} [error] - Optional error object
+     */
+    error(message, error) {
+        if (!this.isEnabled(LogLevel.ERROR)) return;
+
+        const errorData = error instanceof Error
+            ? { error: serializeError(error) }
+            : error;
+        console.error(this.format(LogLevel.ERROR, message, errorData));
+    },
+
+    /**
+     * Runs a function with a log context; entries logged during the call,
+     * including from awaited callbacks, carry its fields.
+     * @param {Object} context - Fields to attach (requestId, sessionId, ...)
+     * @param {Function} fn - Function to run
+     * @returns {*} Return value of fn
+     */
+    runWithContext(context, fn) {
+        return contextStorage.run({ ...contextStorage.getStore(), ...context }, fn);
+    },
+
+    /**
+     * Adds fields to the current log context, e.g. the checkout session ID
+     * once it is known. Does nothing outside a context.
+     * @param {Object} fields - Fields to attach
+     */
+    addContext(fields) {
+        const context = contextStorage.getStore();
+        if (context) Object.assign(context, fields);
+    }
+};
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+/**
+ * Creates an Express middleware giving each request an ID, returned in the
+ * X-Request-Id header and attached to every entry logged while handling it.
+ * An ID set by a reverse proxy is kept so both logs line up.
+ * @returns {function(Object, Object, Function): void} Express middleware
+ */
+function createRequestContextMiddleware() {
+    return function requestContext(req, res, next) {
+        const incoming = req.get(LOGGER_CONFIG.REQUEST_ID_HEADER);
+        const requestId = incoming && LOGGER_CONFIG.REQUEST_ID_PATTERN.test(incoming)
+            ? incoming
+            : crypto.randomUUID();
+        const startedAt = Date.now();
+
+        req.id = requestId;
+        res.set(LOGGER_CONFIG.REQUEST_ID_HEADER, requestId);
+
+        logger.runWithContext({ requestId }, () => {
+            res.on('finish', () => {
+                logger.debug('Request completed', {
+                    method: req.method,
+                    path: req.baseUrl + req.path,
+                    status: res.statusCode,
+                    durationMs: Date.now() - startedAt
+                });
+            });
+            next();
+        });
+    };
+}
+
+module.exports = {
+    logger,
+    LogLevel,
+    LOGGER_CONFIG,
+    redact,
+    createRequestContextMiddleware
+};
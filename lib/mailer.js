@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Outgoing email with pluggable transports.
+ * A transport is any object with a send(message) method returning a
+ * promise. SMTP is used in production; the file and console transports
+ * let the shop run and be tested without a mail server.
+ * @author Urban Art Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { logger } = require('./logger');
+const { config } = require('./config');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** @type {Object} Mailer configuration */
+const MAILER_CONFIG = Object.freeze({
+    TRANSPORT: config.email.transport,
+    FROM: config.email.from,
+    // Studio inbox receiving contact messages and shop notifications
+    STUDIO_EMAIL: config.email.studioEmail,
+    OUTBOX_DIR: config.storage.outboxDir,
+    SMTP: config.email.smtp
+});
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc)
+// ============================================================================
+
+/**
+ * @typedef {Object} EmailMessage
+ * @property {string} to - Recipient address
+ * @property {string} subject - Subject line
+ * @property {string} text - Plain-text body
+ * @property {string} [html] - HTML body
+ * @property {string} [replyTo] - Reply-To address
+ * @property {Array<{filename: string, content: Buffer|string, contentType?: string}>} [attachments]
+ */
+
+/**
+ * @typedef {Object} EmailTransport
+ * @property {string} name - Transport name for logs
+ * @property {function(EmailMessage): Promise<{messageId: string}>} send - Delivers a message
+ */
+
+// ============================================================================
+// TRANSPORTS
+// ============================================================================
+
+/**
+ * Creates an SMTP transport.
+ * @param {Object} options - SMTP settings (host, port, secure, user, pass)
+ * @returns {EmailTransport} SMTP transport
+ */
+function createSmtpTransport(options) {
+    const transporter = nodemailer.createTransport({
+        host: options.host,
+        port: options.port,
+        secure: options.secure,
+        auth: options.user ? { user: options.user, pass: options.pass } : undefined
+    });
+
+    return {
+        name: 'smtp',
+        async send(message) {
+            const info = await transporter.sendMail(message);
+            return { messageId: info.messageId };
+        }
+    };
+}
+
+/**
+ * Creates a transport that writes each message as an .eml file.
+ * @param {string} directory - Output directory
+ * @returns {EmailTransport} File transport
+ */
+function createFileTransport(directory) {
+    const transporter = nodemailer.createTransport({
+        streamTransport: true,
+        buffer: true,
+        newline: 'unix'
+    });
+
+    return {
+        name: 'file',
+        async send(message) {
+            const info = await transporter.sendMail(message);
+            const fileName = `${Date.now()}-${info.messageId.replace(/[^a-z0-9]+/gi, '_')}.eml`;
+
+            await fs.promises.mkdir(directory, { recursive: true });
+            await fs.promises.writeFile(path.join(directory, fileName), info.message);
+
+            return { messageId: info.messageId };
+        }
+    };
+}
+
+/**
+ * Creates a transport that prints messages to the console.
+ * @returns {EmailTransport} Console transport
+ */
+function createConsoleTransport() {
+    return {
+        name: 'console',
+        async send(message) {
+            const messageId = `console-${Date.now()}`;
+            logger.info('Email (console transport)', {
+                to: message.to,
+                subject: message.subject,
+                attachments: (message.attachments || []).map(a => a.filename)
+            });
+            console.log(message.text);
+            return { messageId };
+        }
+    };
+}
+
+/**
+ * Creates the transport selected by EMAIL_TRANSPORT.
+ * @param {string} name - Transport name (smtp, file or console)
+ * @returns {EmailTransport} Configured transport
+ * @throws {Error} If the transport name is unknown
+ */
+function createTransport(name) {
+    switch (name) {
+        case 'smtp':
+            return createSmtpTransport(MAILER_CONFIG.SMTP);
+        case 'file':
+            return createFileTransport(MAILER_CONFIG.OUTBOX_DIR);
+        case 'console':
+            return createConsoleTransport();
+        default:
+            throw new Error(`Unknown email transport "${name}"`);
+    }
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/** @type {EmailTransport} Active transport */
+let transport = createTransport(MAILER_CONFIG.TRANSPORT);
+
+/**
+ * Replaces the active transport (e.g. with a custom implementation).
+ * @param {EmailTransport} customTransport - Transport to use
+ */
+function setTransport(customTransport) {
+    transport = customTransport;
+}
+
+/**
+ * Sends an email through the active transport.
+ * @param {EmailMessage} message - Message to send
+ * @returns {Promise<{messageId: string}>} Delivery result
+ */
+async function sendMail(message) {
+    const result = await transport.send({ from: MAILER_CONFIG.FROM, ...message });
+
+    logger.info('Email sent', {
+        transport: transport.name,
+        subject: message.subject,
+        messageId: result.messageId
+    });
+
+    return result;
+}
+
+module.exports = {
+    MAILER_CONFIG,
+    createSmtpTransport,
+    createFileTransport,
+    createConsoleTransport,
+    setTransport,
+    sendMail
+};
@@ -0,0 +1,466 @@
+/**
+ * @fileoverview Offline payment provider for Urban Art development and tests.
+ * Implements the PaymentProvider interface of payments.js without any
+ * network access: checkout sessions are stored locally, the buyer pays on a
+ * simulated checkout page served by the shop itself, and every outcome is
+ * reported through a signed webhook posted to the shop, exactly like Stripe
+ * would. Objects and events use Stripe's shapes.
+ * @author Urban Art Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const express = require('express');
+const { escapeHtml, formatAmount } = require('./emails');
+const { JsonStore, storagePath } = require('./json-store');
+const { logger } = require('./logger');
+const { config } = require('./config');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** @type {Object} Mock provider configuration constants */
+const MOCK_CONFIG = Object.freeze({
+    // Random per process unless MOCK_WEBHOOK_SECRET is set
+    WEBHOOK_SECRET: config.payments.mock.webhookSecret,
+    SIGNATURE_HEADER: 'mock-signature',
+    // Maximum age of a signed webhook, as with Stripe
+    SIGNATURE_TOLERANCE_SECONDS: 300,
+    // Path the simulated checkout pages are mounted on
+    CHECKOUT_PATH: '/mock-checkout',
+    DECLINE_MESSAGE: 'Your card was declined.'
+});
+
+/** @type {JsonStore} Mock checkout sessions and their line items */
+const store = new JsonStore(storagePath('mock-payments.json'), () => ({
+    sessions: {},
+    lineItems: {}
+}));
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Generates a Stripe-like object ID.
+ * @param {string} prefix - Object prefix (e.g. 'cs')
+ * @returns {string} Random ID
+ */
+function mockId(prefix) {
+    return `${prefix}_mock_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Signs a webhook payload with Stripe's scheme (t=timestamp,v1=HMAC).
+ * @param {string} payload - Raw JSON body
+ * @param {number} [timestamp] - Unix timestamp in seconds
+ * @returns {string} Signature header value
+ */
+function signPayload(payload, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto
+        .createHmac('sha256', MOCK_CONFIG.WEBHOOK_SECRET)
+        .update(`${timestamp}.${payload}`)
+        .digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Verifies a signed webhook body and parses its event.
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string} header - Signature header value
+ * @returns {Object} Webhook event
+ * @throws {Error} If the signature is missing, invalid or too old
+ */
+function verifyWebhook(rawBody, header) {
+    const parts = Object.fromEntries(
+        String(header || '').split(',').map(part => part.split('=', 2))
+    );
+    const timestamp = Number(parts.t);
+    const payload = rawBody.toString('utf8');
+
+    if (!timestamp || !parts.v1) {
+        throw new Error('Malformed webhook signature');
+    }
+
+    const expected = Buffer.from(signPayload(payload, timestamp).split('v1=')[1]);
+    const provided = Buffer.from(parts.v1);
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        throw new Error('Webhook signature does not match');
+    }
+
+    if (Math.abs(Date.now() / 1000 - timestamp) > MOCK_CONFIG.SIGNATURE_TOLERANCE_SECONDS) {
+        throw new Error('Webhook timestamp outside the tolerance zone');
+    }
+
+    return JSON.parse(payload);
+}
+
+/**
+ * Applies changes to a stored session.
+ * @param {string} sessionId - Checkout session ID
+ * @param {function(Object): void} mutator - Receives the session to modify
+ * @returns {Object|undefined} Updated session, or undefined if not found
+ */
+function updateSession(sessionId, mutator) {
+    return store.update(data => {
+        const session = data.sessions[sessionId];
+        if (!session) return undefined;
+
+        mutator(session);
+        return session;
+    });
+}
+
+/**
+ * Reads the buyer details posted by the checkout page.
+ * @param {Object} form - Parsed form body
+ * @param {string} country - Shipping country of the session
+ * @returns {Object} Session fields with Stripe's shapes
+ */
+function buyerFromForm(form, country) {
+    const name = String(form.name || '').trim() || null;
+    const address = {
+        line1: String(form.line1 || '').trim() || null,
+        line2: null,
+        postal_code: String(form.postalCode || '').trim() || null,
+        city: String(form.city || '').trim() || null,
+        state: null,
+        country
+    };
+    const vatNumber = String(form.vatNumber || '').trim();
+
+    return {
+        customer_details: {
+            email: String(form.email || '').trim() || null,
+            name,
+            address,
+            tax_ids: vatNumber ? [{ type: 'eu_vat', value: vatNumber }] : []
+        },
+        shipping_details: { name, address }
+    };
+}
+
+// ============================================================================
+// CHECKOUT PAGE
+// ============================================================================
+
+/**
+ * Renders the simulated checkout page.
+ * @param {Object} session - Checkout session
+ * @param {Object[]} lineItems - Session line items
+ * @param {string} nonce - CSP nonce of the response, for the inline styles
+ * @param {string} [error] - Payment error to display
+ * @returns {string} HTML page
+ */
+function renderCheckoutPage(session, lineItems, nonce, error) {
+    const money = amount => escapeHtml(formatAmount(amount, session.currency, 'fr'));
+    const country = escapeHtml(session.metadata.shippingCountry || '');
+    const action = `${MOCK_CONFIG.CHECKOUT_PATH}/${encodeURIComponent(session.id)}`;
+
+    const rows = lineItems.map(item =>
+        `<tr><td>${escapeHtml(item.description)} &times; ${item.quantity}</td>` +
+        `<td class="amount">${money(item.amount_subtotal)}</td></tr>`
+    );
+    if (session.total_details.amount_discount > 0) {
+        rows.push(`<tr><td>Remise</td><td class="amount">-${money(session.total_details.amount_discount)}</td></tr>`);
+    }
+    rows.push(`<tr><td>Livraison</td><td class="amount">${money(session.shipping_cost.amount_total)}</td></tr>`);
+    rows.push(`<tr class="total"><td>Total</td><td class="amount">${money(session.amount_total)}</td></tr>`);
+
+    const body = session.status === 'open'
+        ? `${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+        <form method="post" action="${action}">
+            <label>Email <input type="email" name="email" required></label>
+            <label>Nom <input name="name" required></label>
+            <label>Adresse <input name="line1" required></label>
+            <label>Code postal <input name="postalCode" required></label>
+            <label>Ville <input name="city" required></label>
+            <p>Pays de livraison : <strong>${country}</strong></p>
+            <label>N° de TVA (facultatif) <input name="vatNumber"></label>
+            <button name="outcome" value="success">Payer (paiement accepté)</button>
+            <button name="outcome" value="failure">Simuler un refus de carte</button>
+            <button name="outcome" value="expire" formnovalidate>Laisser expirer la session</button>
+        </form>
+        <p><a href="${escapeHtml(session.cancel_url)}">Annuler et revenir à la boutique</a></p>`
+        : `<p>Cette session de paiement est ${session.status === 'complete' ? 'payée' : 'expirée'}.</p>`;
+
+    return `<!DOCTYPE html>
+<html lang="fr">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Paiement simulé - Urban Art</title>
+    <style nonce="${escapeHtml(nonce)}">
+        body { font-family: Arial, sans-serif; max-width: 520px; margin: 40px auto; color: #1a1a1a; }
+        .notice { background: #fff4d6; padding: 8px 12px; }
+        table { width: 100%; border-collapse: collapse; margin: 16px 0; }
+        td { padding: 4px 0; } .amount { text-align: right; } .total td { border-top: 1px solid #ccc; font-weight: bold; }
+        label { display: block; margin: 8px 0; } input { display: block; width: 100%; padding: 6px; }
+        button { display: block; width: 100%; margin: 8px 0; padding: 10px; cursor: pointer; }
+        .error { color: #b00020; }
+    </style>
+</head>
+<body>
+    <p class="notice">Mode test : aucun paiement réel n'est effectué.</p>
+    <h1>Urban Art</h1>
+    <table>${rows.join('')}</table>
+    ${body}
+</body>
+</html>`;
+}
+
+// ============================================================================
+// PROVIDER
+// ============================================================================
+
+/**
+ * Creates the mock provider.
+ * @param {Object} urls - Shop URLs
+ * @param {string} urls.baseUrl - Public URL of the shop, hosting the checkout pages
+ * @param {string} urls.webhookUrl - URL webhooks are posted to
+ * @param {function(Promise, string): void} runInBackground - Tracks a webhook
+ *   delivery as work the server waits for on shutdown, logging the message if it fails
+ * @returns {import('./payments').PaymentProvider} Mock provider
+ */
+function createMockProvider({ baseUrl, webhookUrl }, runInBackground) {
+    /**
+     * Posts a signed event to the shop's webhook endpoint.
+     * @param {string} type - Event type
+     * @param {Object} object - Event object
+     * @returns {Promise<void>}
+     * @throws {Error} If the endpoint cannot be reached or refuses the event
+     */
+    async function postEvent(type, object) {
+        const event = {
+            id: mockId('evt'),
+            object: 'event',
+            type,
+            created: Math.floor(Date.now() / 1000),
+            data: { object }
+        };
+        const payload = JSON.stringify(event);
+
+        const response = await fetch(webhookUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                [MOCK_CONFIG.SIGNATURE_HEADER]: signPayload(payload)
+            },
+            body: payload
+        });
+        if (!response.ok) {
+            throw new Error(`Webhook ${event.id} (${type}) answered ${response.status}`);
+        }
+        logger.info('Mock webhook delivered', { eventId: event.id, type, status: response.status });
+    }
+
+    /**
+     * Delivers an event after the current response, as Stripe does. The
+     * delivery is tracked so a shutdown waits for it; failures are logged,
+     * not retried.
+     * @param {string} type - Event type
+     * @param {Object} object - Event object
+     */
+    function deliverEvent(type, object) {
+        runInBackground(postEvent(type, object), 'Mock webhook delivery failed');
+    }
+
+    const router = express.Router();
+    router.use(express.urlencoded({ extended: false }));
+
+    router.get('/:sessionId', (req, res) => {
+        const { sessions, lineItems } = store.read();
+        const session = sessions[req.params.sessionId];
+        if (!session) {
+            return res.status(404).send('Session not found');
+        }
+
+        res.send(renderCheckoutPage(session, lineItems[session.id], res.locals.cspNonce));
+    });
+
+    router.post('/:sessionId', (req, res) => {
+        const { sessions, lineItems } = store.read();
+        const session = sessions[req.params.sessionId];
+        if (!session) {
+            return res.status(404).send('Session not found');
+        }
+        logger.addContext({ sessionId: session.id });
+        if (session.status !== 'open') {
+            return res.redirect(303, `${MOCK_CONFIG.CHECKOUT_PATH}/${encodeURIComponent(session.id)}`);
+        }
+
+        const buyer = buyerFromForm(req.body, session.metadata.shippingCountry || null);
+
+        switch (req.body.outcome) {
+            case 'success': {
+                const paid = updateSession(session.id, s => {
+                    Object.assign(s, buyer, {
+                        status: 'complete',
+                        payment_status: 'paid',
+                        payment_intent: mockId('pi')
+                    });
+                });
+                deliverEvent('checkout.session.completed', paid);
+                deliverEvent('payment_intent.succeeded', { id: paid.payment_intent, object: 'payment_intent' });
+                return res.redirect(303, session.success_url.replace('{CHECKOUT_SESSION_ID}', session.id));
+            }
+
+            case 'failure':
+                deliverEvent('payment_intent.payment_failed', {
+                    id: mockId('pi'),
+                    object: 'payment_intent',
+                    last_payment_error: { message: MOCK_CONFIG.DECLINE_MESSAGE }
+                });
+                return res.status(402).send(
+                    renderCheckoutPage(session, lineItems[session.id], res.locals.cspNonce, MOCK_CONFIG.DECLINE_MESSAGE)
+                );
+
+            case 'expire': {
+                // Keeps what the buyer typed, as Stripe does for cart recovery
+                const expired = updateSession(session.id, s => {
+                    Object.assign(s, buyer, { status: 'expired' });
+                });
+                deliverEvent('checkout.session.expired', expired);
+                return res.redirect(303, `${MOCK_CONFIG.CHECKOUT_PATH}/${encodeURIComponent(session.id)}`);
+            }
+
+            default:
+                return res.status(400).send('Unknown outcome');
+        }
+    });
+
+    return {
+        name: 'mock',
+        router,
+        routerPath: MOCK_CONFIG.CHECKOUT_PATH,
+
+        publicConfig() {
+            return {};
+        },
+
+        async checkHealth() {
+            store.check();
+        },
+
+        async createCheckoutSession(request) {
+            const id = mockId('cs');
+            const lineItems = request.lines.map(line => ({
+                id: mockId('li'),
+                object: 'item',
+                description: line.name,
+                quantity: line.quantity,
+                amount_subtotal: line.unitAmount * line.quantity,
+                amount_total: line.unitAmount * line.quantity,
+                currency: request.currency,
+                price: {
+                    unit_amount: line.unitAmount,
+                    currency: request.currency,
+                    product: { name: line.name, description: line.description, metadata: line.metadata }
+                }
+            }));
+
+            const subtotal = lineItems.reduce((sum, item) => sum + item.amount_subtotal, 0);
+            const discount = request.discount ? request.discount.amount : 0;
+
+            const session = {
+                id,
+                object: 'checkout.session',
+                url: `${baseUrl}${MOCK_CONFIG.CHECKOUT_PATH}/${id}`,
+                status: 'open',
+                payment_status: 'unpaid',
+                payment_intent: null,
+                currency: request.currency,
+                amount_subtotal: subtotal,
+                amount_total: subtotal - discount + request.shipping.amount,
+                shipping_cost: { amount_total: request.shipping.amount },
+                total_details: { amount_discount: discount },
+                customer_details: null,
+                shipping_details: null,
+                created: Math.floor(Date.now() / 1000),
+                expires_at: Math.floor(request.expiresAt / 1000),
+                success_url: request.successUrl,
+                cancel_url: request.cancelUrl,
+                // Stripe metadata values are strings
+                metadata: Object.fromEntries(
+                    Object.entries(request.metadata).map(([key, value]) => [key, String(value)])
+                )
+            };
+
+            store.update(data => {
+                data.sessions[id] = session;
+                data.lineItems[id] = lineItems;
+            });
+
+            return { id, url: session.url };
+        },
+
+        async retrieveCheckoutSession(sessionId) {
+            const session = store.read().sessions[sessionId];
+            if (!session) {
+                throw Object.assign(new Error(`No such checkout session: ${sessionId}`), {
+                    code: 'resource_missing'
+                });
+            }
+            return session;
+        },
+
+        async listLineItems(sessionId) {
+            return store.read().lineItems[sessionId] || [];
+        },
+
+        async expireCheckoutSession(sessionId) {
+            const expired = updateSession(sessionId, session => {
+                if (session.status !== 'open') {
+                    throw new Error(`Checkout session ${sessionId} is not open`);
+                }
+                session.status = 'expired';
+            });
+            // Not awaited: like Stripe, the webhook arrives after the call returns
+            if (expired) deliverEvent('checkout.session.expired', expired);
+        },
+
+        async deleteCheckoutDiscount() {
+            // The discount is stored on the session itself; there is no coupon to delete
+        },
+
+        signatureHeader: MOCK_CONFIG.SIGNATURE_HEADER,
+
+        verifyWebhook,
+
+        async createRefund({ paymentIntentId, amount }) {
+            const session = Object.values(store.read().sessions)
+                .find(s => s.payment_intent === paymentIntentId);
+            if (!session) {
+                throw new Error(`No such payment intent: ${paymentIntentId}`);
+            }
+
+            const charge = updateSession(session.id, s => {
+                const refunded = (s.amount_refunded || 0) + amount;
+                if (refunded > s.amount_total) {
+                    throw new Error('Refund amount exceeds the amount paid');
+                }
+                s.amount_refunded = refunded;
+            });
+
+            deliverEvent('charge.refunded', {
+                id: session.payment_intent.replace(/^pi_/, 'ch_'),
+                object: 'charge',
+                payment_intent: paymentIntentId,
+                amount: charge.amount_total,
+                amount_refunded: charge.amount_refunded,
+                refunded: charge.amount_refunded >= charge.amount_total
+            });
+
+            return { id: mockId('re'), amount, status: 'succeeded' };
+        }
+    };
+}
+
+module.exports = {
+    MOCK_CONFIG,
+    signPayload,
+    createMockProvider
+};
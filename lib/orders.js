@@ -0,0 +1,401 @@
+/**
+ * @fileoverview Order repository for Urban Art e-commerce platform.
+ * Orders are recorded from completed Stripe checkout sessions and persisted
+ * in the storage directory. This module is the only place that reads or
+ * writes order data.
+ * @author Urban Art Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+const { EventEmitter } = require('events');
+const { JsonStore, storagePath } = require('./json-store');
+const { logger } = require('./logger');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Order lifecycle states.
+ * @readonly
+ * @enum {string}
+ */
+const OrderStatus = Object.freeze({
+    PAID: 'paid',
+    PACKED: 'packed',
+    SHIPPED: 'shipped',
+    DELIVERED: 'delivered',
+    PARTIALLY_REFUNDED: 'partially_refunded',
+    REFUNDED: 'refunded',
+    DISPUTED: 'disputed'
+});
+
+/**
+ * Fulfilment steps worked in the back office: the status each status moves
+ * on to. Refunded and disputed orders leave the workflow.
+ * @type {Object<string, string>}
+ */
+const FULFILMENT_FLOW = Object.freeze({
+    [OrderStatus.PAID]: OrderStatus.PACKED,
+    [OrderStatus.PACKED]: OrderStatus.SHIPPED,
+    [OrderStatus.SHIPPED]: OrderStatus.DELIVERED
+});
+
+/** @type {RegExp} Carrier tracking number */
+const TRACKING_NUMBER_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 -]{2,48}[A-Za-z0-9]$/;
+
+/** @type {string} Prefix of human-readable order numbers */
+const ORDER_ID_PREFIX = 'UA-';
+
+/**
+ * Order events. Emits 'statusChanged' with (order, previousStatus) after
+ * every status transition.
+ * @type {EventEmitter}
+ */
+const events = new EventEmitter();
+
+/** @type {JsonStore} Persisted orders */
+const store = new JsonStore(storagePath('orders.json'), () => ({
+    lastNumber: 0,
+    orders: []
+}));
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc)
+// ============================================================================
+
+/**
+ * @typedef {Object} OrderLine
+ * @property {string|null} artworkId - Catalog artwork ID
+ * @property {string|null} sku - Catalog SKU
+ * @property {string} title - Title shown to the buyer
+ * @property {number} quantity - Quantity bought
+ * @property {number} unitAmount - Unit price in cents
+ * @property {number} amountTotal - Line total in cents, before discount
+ * @property {boolean} [discountable] - Whether the promo discount applied to the line
+ */
+
+/**
+ * @typedef {Object} Address
+ * @property {string} name - Recipient name
+ * @property {string|null} line1 - Street address
+ * @property {string|null} line2 - Additional address line
+ * @property {string|null} postalCode - Postal code
+ * @property {string|null} city - City
+ * @property {string|null} state - State or region
+ * @property {string|null} country - ISO country code
+ */
+
+/**
+ * @typedef {Object} Order
+ * @property {string} id - Order number (e.g. 'UA-000042')
+ * @property {string} sessionId - Stripe checkout session ID
+ * @property {string|null} paymentIntentId - Stripe payment intent ID
+ * @property {string} status - An OrderStatus value
+ * @property {string|null} customerEmail - Buyer email
+ * @property {string|null} customerName - Buyer name
+ * @property {string[]} [customerTaxIds] - VAT numbers entered by business buyers
+ * @property {string} locale - Buyer language
+ * @property {string} currency - ISO currency code (lowercase)
+ * @property {number} amountSubtotal - Subtotal in cents
+ * @property {number} amountShipping - Shipping charged in cents
+ * @property {number} amountDiscount - Promo code discount in cents
+ * @property {string|null} promoCode - Promo code applied at checkout
+ * @property {import('./tax').TaxBreakdown} [tax] - VAT included in the total
+ * @property {number} amountTotal - Total charged in cents
+ * @property {OrderLine[]} lineItems - Purchased lines
+ * @property {Address|null} shippingAddress - Delivery address
+ * @property {Array<{status: string, at: string}>} statusHistory - Status transitions
+ * @property {string|null} [confirmationSentAt] - When the confirmation email was sent
+ * @property {string|null} [trackingNumber] - Carrier tracking number once shipped
+ * @property {number} [amountRefunded] - Total refunded in cents
+ * @property {Array<{amount: number, at: string}>} [refunds] - Refunds in the order they were recorded
+ * @property {boolean} [restockOnRefund] - Whether a full refund puts the artworks back in stock
+ * @property {{id: string, reason: string, amount: number, status: string, evidenceDueBy: string|null}} [dispute]
+ *   Chargeback opened by the buyer's bank
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+// ============================================================================
+// MAPPING
+// ============================================================================
+
+/**
+ * Converts a Stripe address block to an order address.
+ * @param {Object|null|undefined} details - Stripe shipping details ({ name, address })
+ * @returns {Address|null} Order address or null
+ */
+function toAddress(details) {
+    if (!details || !details.address) return null;
+
+    const { address } = details;
+    return {
+        name: details.name || '',
+        line1: address.line1 || null,
+        line2: address.line2 || null,
+        postalCode: address.postal_code || null,
+        city: address.city || null,
+        state: address.state || null,
+        country: address.country || null
+    };
+}
+
+/**
+ * Builds order fields from a completed Stripe checkout session.
+ * @param {Object} session - Stripe checkout session object
+ * @param {Object[]} lineItems - Session line items with expanded products
+ * @returns {Object} Order fields accepted by recordOrder()
+ */
+function fromCheckoutSession(session, lineItems) {
+    const shippingDetails = session.shipping_details ||
+        session.collected_information?.shipping_details;
+
+    return {
+        sessionId: session.id,
+        paymentIntentId: typeof session.payment_intent === 'string'
+            ? session.payment_intent
+            : session.payment_intent?.id || null,
+        customerEmail: session.customer_details?.email || null,
+        customerName: session.customer_details?.name || null,
+        customerTaxIds: (session.customer_details?.tax_ids || []).map(taxId => taxId.value),
+        locale: session.metadata?.locale || 'fr',
+        currency: session.currency,
+        amountSubtotal: session.amount_subtotal,
+        amountShipping: session.shipping_cost?.amount_total ?? 0,
+        amountDiscount: session.total_details?.amount_discount ?? 0,
+        promoCode: session.metadata?.promoCode || null,
+        amountTotal: session.amount_total,
+        lineItems: lineItems.map(item => {
+            const metadata = item.price?.product?.metadata || {};
+            return {
+                artworkId: metadata.artworkId || null,
+                sku: metadata.sku || null,
+                title: item.description,
+                quantity: item.quantity,
+                unitAmount: item.price?.unit_amount ?? 0,
+                amountTotal: item.amount_subtotal ?? item.amount_total,
+                // Product metadata values are strings; older products have none
+                discountable: metadata.discountable !== 'false'
+            };
+        }),
+        shippingAddress: toAddress(shippingDetails)
+    };
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Records a paid order. Recording the same checkout session twice returns
+ * the existing order instead of creating a duplicate.
+ * @param {Object} fields - Order fields (see fromCheckoutSession)
+ * @returns {Order} Stored order
+ */
+function recordOrder(fields) {
+    return store.update(data => {
+        const existing = data.orders.find(order => order.sessionId === fields.sessionId);
+        if (existing) return existing;
+
+        data.lastNumber += 1;
+        const now = new Date().toISOString();
+        const order = {
+            id: ORDER_ID_PREFIX + String(data.lastNumber).padStart(6, '0'),
+            ...fields,
+            status: OrderStatus.PAID,
+            statusHistory: [{ status: OrderStatus.PAID, at: now }],
+            createdAt: now,
+            updatedAt: now
+        };
+
+        data.orders.push(order);
+        logger.info('Order recorded', { orderId: order.id, sessionId: order.sessionId });
+        return order;
+    });
+}
+
+/**
+ * Finds an order by its order number.
+ * @param {string} id - Order number
+ * @returns {Order|undefined} Matching order
+ */
+function getOrder(id) {
+    return store.read().orders.find(order => order.id === id);
+}
+
+/**
+ * Finds the order created from a checkout session.
+ * @param {string} sessionId - Stripe checkout session ID
+ * @returns {Order|undefined} Matching order
+ */
+function findBySessionId(sessionId) {
+    return store.read().orders.find(order => order.sessionId === sessionId);
+}
+
+/**
+ * Finds the order paid by a payment intent.
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @returns {Order|undefined} Matching order
+ */
+function findByPaymentIntentId(paymentIntentId) {
+    return store.read().orders.find(order => order.paymentIntentId === paymentIntentId);
+}
+
+/**
+ * Returns the catalog lines of an order, e.g. to adjust stock.
+ * @param {Order} order - Order to read
+ * @returns {Array<{id: string, quantity: number}>} Artwork IDs and quantities
+ */
+function stockLines(order) {
+    return order.lineItems
+        .filter(line => line.artworkId)
+        .map(line => ({ id: line.artworkId, quantity: line.quantity }));
+}
+
+/**
+ * Lists orders, newest first, optionally filtered.
+ * @param {Object} [filters] - Optional filters
+ * @param {string} [filters.status] - Only orders with this status
+ * @param {string} [filters.country] - Only orders shipped to this country
+ * @param {string|Date} [filters.from] - Only orders created at or after this date
+ * @param {string|Date} [filters.to] - Only orders created before this date
+ * @returns {Order[]} Matching orders
+ */
+function listOrders(filters = {}) {
+    const from = filters.from ? new Date(filters.from).getTime() : null;
+    const to = filters.to ? new Date(filters.to).getTime() : null;
+
+    return store.read().orders
+        .filter(order => {
+            const createdAt = new Date(order.createdAt).getTime();
+            if (filters.status && order.status !== filters.status) return false;
+            if (filters.country && order.shippingAddress?.country !== filters.country) return false;
+            if (from !== null && createdAt < from) return false;
+            if (to !== null && createdAt >= to) return false;
+            return true;
+        })
+        .reverse();
+}
+
+/**
+ * Applies changes to an order.
+ * @param {string} id - Order number
+ * @param {Object} changes - Fields to overwrite
+ * @returns {Order|undefined} Updated order, or undefined if not found
+ */
+function updateOrder(id, changes) {
+    return store.update(data => {
+        const order = data.orders.find(o => o.id === id);
+        if (!order) return undefined;
+
+        Object.assign(order, changes, { updatedAt: new Date().toISOString() });
+        return order;
+    });
+}
+
+/**
+ * Moves an order to a new status and notifies 'statusChanged' listeners.
+ * @param {string} id - Order number
+ * @param {string} status - New OrderStatus value
+ * @param {Object} [changes] - Other fields to update with the transition
+ * @returns {Order|undefined} Updated order, or undefined if not found
+ */
+function updateStatus(id, status, changes = {}) {
+    let previousStatus;
+
+    const order = store.update(data => {
+        const existing = data.orders.find(o => o.id === id);
+        if (!existing) return undefined;
+
+        const now = new Date().toISOString();
+        previousStatus = existing.status;
+
+        Object.assign(existing, changes, { status, updatedAt: now });
+        existing.statusHistory = (existing.statusHistory || []).concat({ status, at: now });
+        return existing;
+    });
+
+    if (order) {
+        logger.info('Order status changed', { orderId: id, previousStatus, status });
+        events.emit('statusChanged', order, previousStatus);
+    }
+
+    return order;
+}
+
+/**
+ * Returns the next fulfilment status of an order.
+ * @param {Order} order - Order to check
+ * @returns {string|null} Next OrderStatus value, or null at the end of the
+ *   workflow or outside it
+ */
+function nextStatus(order) {
+    return FULFILMENT_FLOW[order.status] || null;
+}
+
+/**
+ * Moves an order one step along the fulfilment workflow
+ * (paid → packed → shipped → delivered). Shipping requires the carrier
+ * tracking number, which the shipping email includes.
+ * @param {string} id - Order number
+ * @param {string} status - New OrderStatus value
+ * @param {Object} [details] - Transition details
+ * @param {string} [details.trackingNumber] - Tracking number, when shipping
+ * @returns {{valid: boolean, error?: string, code?: string, order?: Order}}
+ *   Result; order is missing if there is no such order
+ */
+function advanceStatus(id, status, details = {}) {
+    const order = getOrder(id);
+    if (!order) return { valid: true };
+
+    if (nextStatus(order) !== status) {
+        return {
+            valid: false,
+            code: 'invalid_transition',
+            error: `Order ${id} cannot go from ${order.status} to ${status}`
+        };
+    }
+
+    const changes = {};
+    if (status === OrderStatus.SHIPPED) {
+        const trackingNumber = typeof details.trackingNumber === 'string' ? details.trackingNumber.trim() : '';
+        if (!TRACKING_NUMBER_PATTERN.test(trackingNumber)) {
+            return {
+                valid: false,
+                code: 'invalid_tracking_number',
+                error: 'trackingNumber must be 4-50 letters, digits, spaces or "-"'
+            };
+        }
+        changes.trackingNumber = trackingNumber;
+    }
+
+    return { valid: true, order: updateStatus(id, status, changes) };
+}
+
+/**
+ * Verifies the order store can be read and written, for readiness checks.
+ * @throws {Error} If the store is unavailable
+ */
+function checkStore() {
+    store.check();
+}
+
+module.exports = {
+    OrderStatus,
+    events,
+    checkStore,
+    fromCheckoutSession,
+    recordOrder,
+    getOrder,
+    findBySessionId,
+    findByPaymentIntentId,
+    stockLines,
+    listOrders,
+    updateOrder,
+    updateStatus,
+    nextStatus,
+    advanceStatus
+};
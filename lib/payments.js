@@ -0,0 +1,319 @@
+/**
+ * @fileoverview Payment providers for Urban Art e-commerce platform.
+ * A provider is any object implementing the PaymentProvider interface
+ * below. Stripe is used in production; the mock provider (see
+ * mock-payments.js) runs the whole checkout offline, with simulated payment
+ * pages and signed webhooks, so the shop can be developed and tested
+ * without Stripe credentials.
+ *
+ * Sessions, line items and webhook events keep Stripe's object shapes,
+ * which the order, inventory and recovery code already read.
+ * @author Urban Art Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const tax = require('./tax');
+const { config } = require('./config');
+const { JsonStore, storagePath } = require('./json-store');
+const { logger } = require('./logger');
+const { createMockProvider } = require('./mock-payments');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** @type {Object} Payment configuration */
+const PAYMENT_CONFIG = Object.freeze({
+    PROVIDER: config.payments.provider,
+    STRIPE: config.payments.stripe,
+    // Checkout page languages supported by Stripe; others fall back to 'auto'
+    STRIPE_LOCALES: Object.freeze(['fr', 'en', 'ru', 'zh'])
+});
+
+/** @type {JsonStore} Stripe product IDs keyed by a hash of the product details */
+const stripeProducts = new JsonStore(storagePath('stripe-products.json'), () => ({
+    products: {}
+}));
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc)
+// ============================================================================
+
+/**
+ * @typedef {Object} CheckoutLine
+ * @property {string} name - Product name shown to the buyer
+ * @property {string} description - Product description
+ * @property {string} image - Absolute image URL
+ * @property {number} unitAmount - Unit price in the smallest currency unit
+ * @property {number} quantity - Quantity
+ * @property {number} taxRate - Included VAT rate in percent (0 for none)
+ * @property {boolean} discountable - Whether the discount applies to the line
+ * @property {Object<string, string>} metadata - Product metadata (artworkId, sku)
+ */
+
+/**
+ * @typedef {Object} CheckoutRequest
+ * @property {string} currency - Lowercase ISO currency code
+ * @property {string} locale - Buyer language
+ * @property {number} expiresAt - Session expiry as a millisecond timestamp, in whole seconds
+ * @property {string} successUrl - Redirect after payment; {CHECKOUT_SESSION_ID} is replaced
+ * @property {string} cancelUrl - Redirect when the buyer gives up
+ * @property {string} country - The only shipping country the buyer may enter
+ * @property {CheckoutLine[]} lines - Purchased lines
+ * @property {{name: string, amount: number, deliveryDays: {min: number, max: number}}} shipping
+ *   Shipping rate, amount in the smallest currency unit
+ * @property {{name: string, amount: number}|null} discount - Discount in the smallest currency unit
+ * @property {Object<string, string|number>} metadata - Session metadata
+ */
+
+/**
+ * @typedef {Object} PaymentProvider
+ * @property {string} name - Provider name for logs and /api/config
+ * @property {function(): Object} publicConfig - Settings safe to share with the browser
+ * @property {function(CheckoutRequest): Promise<{id: string, url: string}>} createCheckoutSession
+ *   Creates a hosted checkout session
+ * @property {function(string): Promise<Object>} retrieveCheckoutSession - Fetches a session
+ * @property {function(string): Promise<Object[]>} listLineItems - Fetches a session's line items with products
+ * @property {function(string): Promise<void>} expireCheckoutSession - Closes an open session
+ * @property {function(Object): Promise<void>} deleteCheckoutDiscount - Deletes the discount
+ *   created for a session that expired unpaid
+ * @property {string} signatureHeader - Request header carrying the webhook signature
+ * @property {function(Buffer, string): Object} verifyWebhook - Verifies a raw webhook body and
+ *   returns the event; throws if the signature is invalid
+ * @property {function({paymentIntentId: string, amount: number, reason?: string, metadata?: Object}):
+ *   Promise<{id: string, amount: number, status: string}>} createRefund - Refunds a payment
+ * @property {function(): Promise<void>} checkHealth - Resolves if the provider can take payments;
+ *   throws otherwise (readiness checks)
+ * @property {Object} [router] - Express router the provider needs mounted (mock checkout pages)
+ * @property {string} [routerPath] - Path the router is mounted on
+ */
+
+// ============================================================================
+// STRIPE HELPERS
+// ============================================================================
+
+/**
+ * Returns the ID of a Stripe product with the given details, creating it on
+ * first use. Products are only needed to restrict a coupon to some lines.
+ * @param {Object} stripe - Stripe client
+ * @param {Object} productData - Product details (name, description, images, metadata)
+ * @returns {Promise<string>} Stripe product ID
+ */
+async function ensureStripeProduct(stripe, productData) {
+    const key = crypto.createHash('sha256').update(JSON.stringify(productData)).digest('hex');
+    const cached = stripeProducts.read().products[key];
+    if (cached) return cached;
+
+    const product = await stripe.products.create(productData);
+
+    stripeProducts.update(data => {
+        data.products[key] = product.id;
+    });
+    logger.info('Stripe product created', { productId: product.id, artworkId: productData.metadata.artworkId });
+
+    return product.id;
+}
+
+// ============================================================================
+// PROVIDERS
+// ============================================================================
+
+/**
+ * Creates the Stripe provider.
+ * @param {Object} options - Stripe settings (secretKey, publishableKey, webhookSecret)
+ * @returns {PaymentProvider} Stripe provider
+ */
+function createStripeProvider(options) {
+    // Loaded lazily so the mock provider works without Stripe keys
+    const stripe = require('stripe')(options.secretKey);
+
+    return {
+        name: 'stripe',
+
+        publicConfig() {
+            return { publishableKey: options.publishableKey };
+        },
+
+        async checkHealth() {
+            // Cheapest authenticated call: proves the API is reachable and the key valid
+            await stripe.balance.retrieve();
+        },
+
+        async createCheckoutSession(request) {
+            // A discount that leaves out some lines needs a coupon restricted to
+            // the products of the others, so only then are lines saved as products
+            const restrictDiscount = Boolean(request.discount) &&
+                request.lines.some(line => !line.discountable);
+            const discountedProducts = [];
+
+            const lineItems = [];
+            for (const line of request.lines) {
+                const productData = {
+                    name: line.name,
+                    description: line.description,
+                    images: [line.image],
+                    metadata: line.metadata
+                };
+                const item = {
+                    price_data: {
+                        currency: request.currency,
+                        unit_amount: line.unitAmount,
+                    },
+                    quantity: line.quantity,
+                };
+
+                if (restrictDiscount) {
+                    item.price_data.product = await ensureStripeProduct(stripe, productData);
+                    if (line.discountable) discountedProducts.push(item.price_data.product);
+                } else {
+                    item.price_data.product_data = productData;
+                }
+
+                // Inclusive tax rates make Stripe show the VAT contained in each price
+                if (line.taxRate > 0) {
+                    item.tax_rates = [await tax.ensureStripeTaxRate(stripe, request.country, line.taxRate)];
+                }
+                lineItems.push(item);
+            }
+
+            // A single-use coupon carries the discount computed from our own rules;
+            // its ID is kept in the metadata so it can be deleted if the session expires
+            const discounts = [];
+            const metadata = { ...request.metadata };
+            if (request.discount) {
+                const coupon = await stripe.coupons.create({
+                    name: request.discount.name,
+                    amount_off: request.discount.amount,
+                    currency: request.currency,
+                    duration: 'once',
+                    max_redemptions: 1,
+                    ...(restrictDiscount && { applies_to: { products: discountedProducts } })
+                });
+                discounts.push({ coupon: coupon.id });
+                metadata.couponId = coupon.id;
+            }
+
+            let session;
+            try {
+                session = await stripe.checkout.sessions.create({
+                    payment_method_types: ['card'],
+                    line_items: lineItems,
+                    discounts,
+                    mode: 'payment',
+                    locale: PAYMENT_CONFIG.STRIPE_LOCALES.includes(request.locale) ? request.locale : 'auto',
+                    expires_at: Math.floor(request.expiresAt / 1000),
+                    success_url: request.successUrl,
+                    cancel_url: request.cancelUrl,
+                    // Only the quoted country can be entered so the rate always matches
+                    shipping_address_collection: {
+                        allowed_countries: [request.country],
+                    },
+                    // Galleries and businesses can enter a VAT number for their invoice
+                    tax_id_collection: {
+                        enabled: true,
+                    },
+                    // Keeps the buyer's email on the session once it expires
+                    after_expiration: {
+                        recovery: { enabled: true },
+                    },
+                    shipping_options: [{
+                        shipping_rate_data: {
+                            type: 'fixed_amount',
+                            display_name: request.shipping.name,
+                            fixed_amount: {
+                                amount: request.shipping.amount,
+                                currency: request.currency,
+                            },
+                            delivery_estimate: {
+                                minimum: { unit: 'business_day', value: request.shipping.deliveryDays.min },
+                                maximum: { unit: 'business_day', value: request.shipping.deliveryDays.max },
+                            },
+                        },
+                    }],
+                    metadata,
+                });
+            } catch (error) {
+                // Without a session the coupon could never be used
+                if (metadata.couponId) await stripe.coupons.del(metadata.couponId).catch(() => {});
+                throw error;
+            }
+
+            return { id: session.id, url: session.url };
+        },
+
+        retrieveCheckoutSession(sessionId) {
+            return stripe.checkout.sessions.retrieve(sessionId);
+        },
+
+        async listLineItems(sessionId) {
+            const lineItems = await stripe.checkout.sessions.listLineItems(sessionId, {
+                limit: 100,
+                expand: ['data.price.product']
+            });
+            return lineItems.data;
+        },
+
+        async expireCheckoutSession(sessionId) {
+            await stripe.checkout.sessions.expire(sessionId);
+        },
+
+        async deleteCheckoutDiscount(session) {
+            const couponId = session.metadata?.couponId;
+            if (!couponId) return;
+
+            try {
+                await stripe.coupons.del(couponId);
+            } catch (error) {
+                // Already deleted, e.g. when the expiry webhook is replayed
+                if (error.code !== 'resource_missing') throw error;
+            }
+        },
+
+        signatureHeader: 'stripe-signature',
+
+        verifyWebhook(rawBody, signature) {
+            return stripe.webhooks.constructEvent(rawBody, signature, options.webhookSecret);
+        },
+
+        async createRefund({ paymentIntentId, amount, reason, metadata }) {
+            const refund = await stripe.refunds.create({
+                payment_intent: paymentIntentId,
+                amount,
+                reason,
+                metadata
+            });
+            return { id: refund.id, amount: refund.amount, status: refund.status };
+        }
+    };
+}
+
+/**
+ * Creates the provider selected by PAYMENT_PROVIDER.
+ * @param {string} name - Provider name (stripe or mock)
+ * @param {Object} urls - Shop URLs the mock provider links to
+ * @param {string} urls.baseUrl - Public URL of the shop
+ * @param {string} urls.webhookUrl - URL the mock provider posts webhooks to
+ * @param {function(Promise, string): void} runInBackground - Tracks work the
+ *   server waits for on shutdown (the mock provider's webhook deliveries)
+ * @returns {PaymentProvider} Configured provider
+ * @throws {Error} If the provider name is unknown
+ */
+function createProvider(name, urls, runInBackground) {
+    switch (name) {
+        case 'stripe':
+            return createStripeProvider(PAYMENT_CONFIG.STRIPE);
+        case 'mock':
+            return createMockProvider(urls, runInBackground);
+        default:
+            throw new Error(`Unknown payment provider "${name}"`);
+    }
+}
+
+module.exports = {
+    PAYMENT_CONFIG,
+    createStripeProvider,
+    createProvider
+};
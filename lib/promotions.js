@@ -0,0 +1,397 @@
+/**
+ * @fileoverview Promo codes and discounts for Urban Art e-commerce platform.
+ * Codes are managed through the admin API and persisted in the storage
+ * directory. Amounts in a code (fixed discount, minimum total) are set in
+ * euros and converted with the exchange table for other currencies.
+ * Like stock, a use of a limited code is held while a buyer is in checkout;
+ * the hold is released if the session expires or is cancelled, and turned
+ * into a redemption when the checkout completes.
+ * @author Urban Art Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+const catalog = require('./catalog');
+const currency = require('./currency');
+const { JsonStore, storagePath } = require('./json-store');
+const { logger } = require('./logger');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Kinds of discount a code can grant.
+ * @readonly
+ * @enum {string}
+ */
+const DiscountType = Object.freeze({
+    PERCENT: 'percent',
+    FIXED: 'fixed'
+});
+
+/** @type {Object} Promo code configuration constants */
+const PROMO_CONFIG = Object.freeze({
+    CODE_PATTERN: /^[A-Z0-9_-]{3,32}$/
+});
+
+/** @type {JsonStore} Persisted promo codes keyed by code */
+const store = new JsonStore(storagePath('promo-codes.json'), () => ({
+    codes: {}
+}));
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc)
+// ============================================================================
+
+/**
+ * @typedef {Object} PromoCode
+ * @property {string} code - Uppercase code typed by the buyer
+ * @property {string} type - A DiscountType value
+ * @property {number} value - Percentage (1-100) or amount in euros
+ * @property {string|null} startsAt - ISO timestamp before which the code is not valid
+ * @property {string|null} expiresAt - ISO timestamp after which the code is not valid
+ * @property {number|null} maxUses - Maximum number of orders using the code, open checkouts included
+ * @property {number|null} minTotal - Minimum cart total in euros
+ * @property {string[]} excludedArtworks - Artwork IDs the discount does not apply to
+ * @property {boolean} active - Whether the code can be used
+ * @property {string[]} redemptions - Checkout session IDs that used the code
+ * @property {Object<string, number>} [holds] - Expiry timestamps (ms) of the uses
+ *   held by open checkouts, keyed by stock reservation ID
+ * @property {string} createdAt - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} DiscountResult
+ * @property {boolean} valid - Whether the code applies to the cart
+ * @property {string} [code] - Error code when invalid
+ * @property {string} [error] - Error message when invalid
+ * @property {PromoCode} [promo] - Applied promo code
+ * @property {number} [amount] - Discount in the smallest currency unit
+ */
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Normalizes a code as typed by a buyer.
+ * @param {*} code - Raw code
+ * @returns {string} Uppercase trimmed code, or '' if not a string
+ */
+function normalizeCode(code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+/**
+ * Parses an optional date field.
+ * @param {*} value - ISO date string, null or undefined
+ * @returns {{valid: boolean, value?: string|null}} Parsed ISO timestamp
+ */
+function parseOptionalDate(value) {
+    if (value === undefined || value === null || value === '') {
+        return { valid: true, value: null };
+    }
+
+    const time = new Date(value).getTime();
+    if (typeof value !== 'string' || isNaN(time)) return { valid: false };
+
+    return { valid: true, value: new Date(time).toISOString() };
+}
+
+/**
+ * Checks an optional positive number field.
+ * @param {*} value - Number, null or undefined
+ * @param {boolean} integer - Whether the value must be an integer
+ * @returns {boolean} True if the value is absent or a positive number
+ */
+function isOptionalPositive(value, integer) {
+    if (value === undefined || value === null) return true;
+    if (typeof value !== 'number' || !isFinite(value) || value <= 0) return false;
+    return !integer || Number.isInteger(value);
+}
+
+/**
+ * Returns the holds of a code, creating the map for codes written before
+ * holds existed.
+ * @param {PromoCode} promo - Promo code
+ * @returns {Object<string, number>} Hold expiry timestamps keyed by hold ID
+ */
+function holdsOf(promo) {
+    if (!promo.holds) promo.holds = {};
+    return promo.holds;
+}
+
+/**
+ * Counts the uses of a code: paid orders plus unexpired holds.
+ * @param {PromoCode} promo - Promo code
+ * @param {number} now - Current timestamp (ms)
+ * @returns {number} Uses counted against maxUses
+ */
+function countUses(promo, now) {
+    const held = Object.values(promo.holds || {}).filter(expiresAt => expiresAt > now).length;
+    return promo.redemptions.length + held;
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Tells whether a code's discount applies to an artwork.
+ * @param {PromoCode} promo - Promo code
+ * @param {string} artworkId - Artwork ID
+ * @returns {boolean} False for excluded artworks
+ */
+function appliesTo(promo, artworkId) {
+    return !promo.excludedArtworks.includes(artworkId);
+}
+
+/**
+ * Creates a promo code.
+ * @param {Object} fields - Code settings from the admin API
+ * @returns {{valid: boolean, error?: string, promo?: PromoCode}} Creation result
+ */
+function createCode(fields) {
+    const code = normalizeCode(fields.code);
+
+    if (!PROMO_CONFIG.CODE_PATTERN.test(code)) {
+        return { valid: false, error: 'Code must be 3-32 letters, digits, "-" or "_"' };
+    }
+
+    if (!Object.values(DiscountType).includes(fields.type)) {
+        return { valid: false, error: 'Type must be "percent" or "fixed"' };
+    }
+
+    if (typeof fields.value !== 'number' || !isOptionalPositive(fields.value, false) ||
+        (fields.type === DiscountType.PERCENT && fields.value > 100)) {
+        return { valid: false, error: 'Invalid discount value' };
+    }
+
+    const startsAt = parseOptionalDate(fields.startsAt);
+    const expiresAt = parseOptionalDate(fields.expiresAt);
+    if (!startsAt.valid || !expiresAt.valid) {
+        return { valid: false, error: 'Invalid start or expiry date' };
+    }
+
+    if (!isOptionalPositive(fields.maxUses, true)) {
+        return { valid: false, error: 'maxUses must be a positive integer' };
+    }
+
+    if (!isOptionalPositive(fields.minTotal, false)) {
+        return { valid: false, error: 'minTotal must be a positive number' };
+    }
+
+    const excludedArtworks = fields.excludedArtworks || [];
+    if (!Array.isArray(excludedArtworks) ||
+        excludedArtworks.some(id => !catalog.getArtwork(id))) {
+        return { valid: false, error: 'excludedArtworks must list catalog artwork IDs' };
+    }
+
+    return store.update(data => {
+        if (data.codes[code]) {
+            return { valid: false, error: `Code "${code}" already exists` };
+        }
+
+        const promo = {
+            code,
+            type: fields.type,
+            value: fields.value,
+            startsAt: startsAt.value,
+            expiresAt: expiresAt.value,
+            maxUses: fields.maxUses || null,
+            minTotal: fields.minTotal || null,
+            excludedArtworks,
+            active: true,
+            redemptions: [],
+            holds: {},
+            createdAt: new Date().toISOString()
+        };
+
+        data.codes[code] = promo;
+        logger.info('Promo code created', { code, type: promo.type, value: promo.value });
+        return { valid: true, promo };
+    });
+}
+
+/**
+ * Lists every promo code, newest first.
+ * @returns {PromoCode[]} Promo codes
+ */
+function listCodes() {
+    return Object.values(store.read().codes)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Finds a promo code.
+ * @param {string} code - Code, in any case
+ * @returns {PromoCode|undefined} Matching promo code
+ */
+function getCode(code) {
+    return store.read().codes[normalizeCode(code)];
+}
+
+/**
+ * Enables or disables a promo code.
+ * @param {string} code - Code, in any case
+ * @param {boolean} active - Whether the code can be used
+ * @returns {PromoCode|undefined} Updated promo code, or undefined if not found
+ */
+function setActive(code, active) {
+    return store.update(data => {
+        const promo = data.codes[normalizeCode(code)];
+        if (!promo) return undefined;
+
+        promo.active = active;
+        return promo;
+    });
+}
+
+/**
+ * Computes the discount a code grants on resolved cart items.
+ * @param {string} code - Code typed by the buyer
+ * @param {import('./catalog').ResolvedItem[]} items - Resolved cart items
+ * @param {string} currencyCode - Supported currency of the cart
+ * @returns {DiscountResult} Discount result
+ */
+function evaluate(code, items, currencyCode) {
+    const promo = getCode(code);
+    const now = Date.now();
+
+    if (!promo || !promo.active) {
+        return { valid: false, code: 'promo_unknown', error: 'Unknown promo code' };
+    }
+
+    if (promo.startsAt && now < new Date(promo.startsAt).getTime()) {
+        return { valid: false, code: 'promo_not_started', error: 'This promo code is not valid yet' };
+    }
+
+    if (promo.expiresAt && now >= new Date(promo.expiresAt).getTime()) {
+        return { valid: false, code: 'promo_expired', error: 'This promo code has expired' };
+    }
+
+    if (promo.maxUses && countUses(promo, now) >= promo.maxUses) {
+        return { valid: false, code: 'promo_used_up', error: 'This promo code has been fully used' };
+    }
+
+    const lineTotal = ({ artwork, quantity }) =>
+        currency.toMinorUnits(currency.getPrice(artwork, currencyCode)) * quantity;
+
+    const cartTotal = items.reduce((sum, item) => sum + lineTotal(item), 0);
+    if (promo.minTotal &&
+        cartTotal < currency.toMinorUnits(currency.convert(promo.minTotal, currencyCode))) {
+        return {
+            valid: false,
+            code: 'promo_min_total',
+            error: `This promo code requires a cart total of at least ${promo.minTotal} EUR`
+        };
+    }
+
+    const eligibleTotal = items
+        .filter(item => appliesTo(promo, item.artwork.id))
+        .reduce((sum, item) => sum + lineTotal(item), 0);
+
+    if (eligibleTotal === 0) {
+        return {
+            valid: false,
+            code: 'promo_no_eligible_items',
+            error: 'This promo code does not apply to the artworks in your cart'
+        };
+    }
+
+    const amount = promo.type === DiscountType.PERCENT
+        ? Math.round(eligibleTotal * promo.value / 100)
+        : Math.min(
+            eligibleTotal,
+            currency.toMinorUnits(currency.convert(promo.value, currencyCode))
+        );
+
+    return { valid: true, promo, amount };
+}
+
+/**
+ * Holds a use of a code for an open checkout. The usage limit is checked
+ * again here, in the same write, so concurrent checkouts cannot overrun it.
+ * @param {string} code - Applied code
+ * @param {string} holdId - Stock reservation ID of the checkout
+ * @param {number} expiresAt - Expiry timestamp (ms)
+ * @returns {{valid: boolean, code?: string, error?: string}} Hold result
+ */
+function holdUse(code, holdId, expiresAt) {
+    return store.update(data => {
+        const promo = data.codes[normalizeCode(code)];
+        if (!promo) {
+            return { valid: false, code: 'promo_unknown', error: 'Unknown promo code' };
+        }
+
+        const now = Date.now();
+        const holds = holdsOf(promo);
+        for (const [id, holdExpiresAt] of Object.entries(holds)) {
+            if (holdExpiresAt <= now) delete holds[id];
+        }
+
+        if (promo.maxUses && countUses(promo, now) >= promo.maxUses) {
+            return { valid: false, code: 'promo_used_up', error: 'This promo code has been fully used' };
+        }
+
+        holds[holdId] = expiresAt;
+        return { valid: true };
+    });
+}
+
+/**
+ * Releases the use held by a checkout that expired or was cancelled.
+ * @param {string} holdId - Stock reservation ID of the checkout
+ * @returns {boolean} True if a hold was released
+ */
+function releaseUse(holdId) {
+    return store.update(data => {
+        for (const promo of Object.values(data.codes)) {
+            if (promo.holds && promo.holds[holdId] !== undefined) {
+                delete promo.holds[holdId];
+                logger.info('Promo code use released', { code: promo.code, holdId });
+                return true;
+            }
+        }
+        return false;
+    });
+}
+
+/**
+ * Counts a paid order against a code's usage limit, replacing the use held
+ * by its checkout. Recording the same checkout session twice has no effect.
+ * @param {string} code - Applied code
+ * @param {string} sessionId - Stripe checkout session ID
+ * @param {string} [holdId] - Stock reservation ID of the checkout
+ * @returns {PromoCode|undefined} Updated promo code, or undefined if not found
+ */
+function recordRedemption(code, sessionId, holdId) {
+    return store.update(data => {
+        const promo = data.codes[normalizeCode(code)];
+        if (!promo) return undefined;
+
+        if (holdId) delete holdsOf(promo)[holdId];
+
+        if (!promo.redemptions.includes(sessionId)) {
+            promo.redemptions.push(sessionId);
+            logger.info('Promo code redeemed', { code: promo.code, sessionId });
+        }
+        return promo;
+    });
+}
+
+module.exports = {
+    DiscountType,
+    normalizeCode,
+    appliesTo,
+    createCode,
+    listCodes,
+    getCode,
+    setActive,
+    evaluate,
+    holdUse,
+    releaseUse,
+    recordRedemption
+};
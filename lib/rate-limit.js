@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Rate limiting for Urban Art e-commerce platform.
+ * Requests are counted per client IP in fixed windows, under named policies
+ * chosen per route. Counters live in a pluggable store: the in-memory store
+ * suits a single server, and any backend implementing RateLimitStore (e.g.
+ * Redis) can replace it when several instances share the limits.
+ * Responses carry the IETF RateLimit-* headers, plus Retry-After when blocked.
+ * @author Urban Art Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+const { logger } = require('./logger');
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc)
+// ============================================================================
+
+/**
+ * @typedef {Object} RateLimitPolicy
+ * @property {number} WINDOW_MS - Window length in milliseconds
+ * @property {number} MAX_REQUESTS - Requests allowed per window
+ * @property {string} [MESSAGE] - Error message returned when blocked
+ */
+
+/**
+ * @typedef {Object} RateLimitStore
+ * @property {function(string, number): Promise<{count: number, resetTime: number}>} increment
+ *   Counts a request for a key and returns the count in the current window
+ *   and when that window ends (millisecond timestamp)
+ * @property {function(): void} [cleanup] - Drops expired counters
+ */
+
+/** @type {string} Error message when a policy defines none */
+const DEFAULT_MESSAGE = 'Too many requests. Please try again later.';
+
+// ============================================================================
+// STORES
+// ============================================================================
+
+/**
+ * Creates a store keeping counters in process memory.
+ * @returns {RateLimitStore} In-memory store
+ */
+function createMemoryStore() {
+    /** @type {Map<string, {count: number, resetTime: number}>} */
+    const counters = new Map();
+
+    return {
+        async increment(key, windowMs) {
+            const now = Date.now();
+            let record = counters.get(key);
+
+            if (!record || now >= record.resetTime) {
+                record = { count: 0, resetTime: now + windowMs };
+                counters.set(key, record);
+            }
+
+            record.count++;
+            return { count: record.count, resetTime: record.resetTime };
+        },
+
+        cleanup() {
+            const now = Date.now();
+            for (const [key, record] of counters.entries()) {
+                if (now >= record.resetTime) {
+                    counters.delete(key);
+                }
+            }
+        }
+    };
+}
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+/**
+ * Creates an Express middleware applying the policy chosen for each request.
+ * If the store fails, requests are let through rather than blocked.
+ * @param {Object} options - Limiter options
+ * @param {RateLimitStore} options.store - Counter store
+ * @param {Object<string, RateLimitPolicy>} options.policies - Policies by name
+ * @param {function(Object): (string|null)} options.resolvePolicy - Returns the
+ *   policy name for a request, or null to skip limiting
+ * @returns {function(Object, Object, Function): Promise<void>} Express middleware
+ */
+function createRateLimitMiddleware({ store, policies, resolvePolicy }) {
+    return async function rateLimit(req, res, next) {
+        const name = resolvePolicy(req);
+        if (!name) return next();
+
+        const policy = policies[name];
+        const clientIp = req.ip || req.socket.remoteAddress || 'unknown';
+
+        let record;
+        try {
+            record = await store.increment(`${name}:${clientIp}`, policy.WINDOW_MS);
+        } catch (err) {
+            logger.error('Rate limit store unavailable', err);
+            return next();
+        }
+
+        const resetSeconds = Math.max(0, Math.ceil((record.resetTime - Date.now()) / 1000));
+
+        res.set({
+            'RateLimit-Policy': `${policy.MAX_REQUESTS};w=${Math.ceil(policy.WINDOW_MS / 1000)}`,
+            'RateLimit-Limit': String(policy.MAX_REQUESTS),
+            'RateLimit-Remaining': String(Math.max(0, policy.MAX_REQUESTS - record.count)),
+            'RateLimit-Reset': String(resetSeconds)
+        });
+
+        if (record.count > policy.MAX_REQUESTS) {
+            logger.warn('Rate limit exceeded', { policy: name, ip: clientIp, path: req.path });
+            res.set('Retry-After', String(resetSeconds));
+            return res.status(429).json({ error: policy.MESSAGE || DEFAULT_MESSAGE });
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    createMemoryStore,
+    createRateLimitMiddleware
+};
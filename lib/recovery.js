@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Abandoned checkout recovery for Urban Art e-commerce platform.
+ * When a checkout session expires unpaid and the buyer agreed to be
+ * contacted (the consent checkbox of the cart, carried in the session
+ * metadata), the cart is stored under a random token. A single reminder
+ * email links back to the shop, where the token restores the exact cart.
+ * @author Urban Art Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { JsonStore, storagePath } = require('./json-store');
+const { logger } = require('./logger');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** @type {Object} Recovery configuration constants */
+const RECOVERY_CONFIG = Object.freeze({
+    // Wait before reminding, so buyers who come back on their own are left alone
+    REMINDER_DELAY_MS: 60 * 60 * 1000,
+    // Carts older than this are no longer reminded nor restorable
+    MAX_AGE_MS: 7 * 24 * 60 * 60 * 1000
+});
+
+/** @type {JsonStore} Persisted abandoned carts keyed by token */
+const store = new JsonStore(storagePath('abandoned-carts.json'), () => ({
+    carts: {}
+}));
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc)
+// ============================================================================
+
+/**
+ * @typedef {Object} AbandonedCart
+ * @property {string} token - Random token used in the restore link
+ * @property {string} sessionId - Expired Stripe checkout session ID
+ * @property {string} email - Buyer email
+ * @property {string} locale - Buyer language
+ * @property {string} currency - Cart currency
+ * @property {string|null} shippingCountry - Destination chosen in the cart
+ * @property {Array<{id: string, quantity: number}>} items - Cart contents
+ * @property {string} abandonedAt - ISO timestamp of the session expiry
+ * @property {string|null} remindedAt - When the reminder was handled
+ * @property {string} [reminderOutcome] - 'sent', or why no email was sent
+ * @property {string|null} restoredAt - When the cart was first restored
+ */
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Stores the cart of an expired checkout session. Nothing is stored unless
+ * the buyer entered an email and ticked the consent box of the cart.
+ * @param {Object} session - Expired Stripe checkout session
+ * @param {Array<{id: string, quantity: number}>} items - Cart contents
+ * @returns {AbandonedCart|null} Stored cart, or null without consent
+ */
+function recordAbandonedCart(session, items) {
+    const email = session.customer_details?.email;
+    const consented = session.metadata?.marketingConsent === 'true';
+
+    if (!email || !consented || items.length === 0) return null;
+
+    return store.update(data => {
+        const existing = Object.values(data.carts).find(c => c.sessionId === session.id);
+        if (existing) return existing;
+
+        const cart = {
+            token: crypto.randomBytes(16).toString('hex'),
+            sessionId: session.id,
+            email,
+            locale: session.metadata?.locale || 'fr',
+            currency: session.currency,
+            shippingCountry: session.metadata?.shippingCountry || null,
+            items,
+            abandonedAt: new Date().toISOString(),
+            remindedAt: null,
+            restoredAt: null
+        };
+
+        data.carts[cart.token] = cart;
+        logger.info('Abandoned cart recorded', { sessionId: session.id });
+        return cart;
+    });
+}
+
+/**
+ * Lists carts whose reminder is due.
+ * @returns {AbandonedCart[]} Carts to remind
+ */
+function listDueReminders() {
+    const now = Date.now();
+
+    return Object.values(store.read().carts).filter(cart => {
+        const age = now - new Date(cart.abandonedAt).getTime();
+        return !cart.remindedAt &&
+            age >= RECOVERY_CONFIG.REMINDER_DELAY_MS &&
+            age < RECOVERY_CONFIG.MAX_AGE_MS;
+    });
+}
+
+/**
+ * Marks a cart as reminded so it is never emailed again.
+ * @param {string} token - Cart token
+ * @param {string} [outcome='sent'] - 'sent', or why no email was sent
+ */
+function markReminded(token, outcome = 'sent') {
+    store.update(data => {
+        const cart = data.carts[token];
+        if (!cart) return;
+
+        cart.remindedAt = new Date().toISOString();
+        cart.reminderOutcome = outcome;
+    });
+}
+
+/**
+ * Finds a restorable cart by token and records the first restore.
+ * @param {string} token - Token from the reminder link
+ * @returns {AbandonedCart|undefined} Cart, or undefined if unknown or too old
+ */
+function restoreCart(token) {
+    if (typeof token !== 'string') return undefined;
+
+    return store.update(data => {
+        const cart = Object.prototype.hasOwnProperty.call(data.carts, token)
+            ? data.carts[token]
+            : undefined;
+        if (!cart) return undefined;
+
+        const age = Date.now() - new Date(cart.abandonedAt).getTime();
+        if (age >= RECOVERY_CONFIG.MAX_AGE_MS) return undefined;
+
+        if (!cart.restoredAt) {
+            cart.restoredAt = new Date().toISOString();
+            logger.info('Abandoned cart restored', { sessionId: cart.sessionId });
+        }
+        return cart;
+    });
+}
+
+module.exports = {
+    RECOVERY_CONFIG,
+    recordAbandonedCart,
+    listDueReminders,
+    markReminded,
+    restoreCart
+};
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Shipping rates for Urban Art e-commerce platform.
+ * Destination countries are grouped into zones, each with a rate table by
+ * billable weight. Every artwork ships in its own crate, so a cart's
+ * shipping cost is the sum of one parcel per unit.
+ * @author Urban Art Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+const path = require('path');
+const { config } = require('./config');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** @type {Object} Shipping configuration constants */
+const SHIPPING_CONFIG = Object.freeze({
+    DATA_FILE: path.join(__dirname, '..', 'data', 'shipping.json'),
+    // Countries open for delivery, among those of the zones (SHIPPING_COUNTRIES)
+    COUNTRIES: config.shop.shippingCountries
+});
+
+/** @type {Object} Rate tables loaded from the data file */
+const rates = require(SHIPPING_CONFIG.DATA_FILE);
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc)
+// ============================================================================
+
+/**
+ * @typedef {Object} ShippingZone
+ * @property {string} id - Zone identifier
+ * @property {string} name - Name shown on the Stripe checkout page
+ * @property {string[]} countries - ISO country codes in the zone
+ * @property {{min: number, max: number}} deliveryDays - Delivery estimate in business days
+ * @property {Array<{maxKg: number, price: number}>} brackets - Parcel prices in euros by billable weight
+ * @property {{base: number, perKg: number}} freight - Pricing for parcels above the last bracket
+ */
+
+/**
+ * @typedef {Object} ShippingQuote
+ * @property {string} country - Destination country
+ * @property {ShippingZone} zone - Zone of the destination
+ * @property {number} amount - Shipping cost in euros
+ */
+
+// ============================================================================
+// RATE CALCULATION
+// ============================================================================
+
+/**
+ * Computes the billable weight of a crated artwork: the greater of its
+ * actual weight and its volumetric weight, packaging included.
+ * @param {import('./catalog').Artwork} artwork - Catalog artwork
+ * @returns {number} Billable weight in kilograms
+ */
+function billableWeight(artwork) {
+    const { width, height, depth = rates.defaultDepthCm } = artwork.dimensions;
+    const margin = rates.packagingMarginCm;
+    const volumetric = (width + margin) * (height + margin) * (depth + margin) /
+        rates.volumetricDivisor;
+
+    return Math.max(artwork.weight || 0, volumetric);
+}
+
+/**
+ * Prices one parcel in a zone.
+ * @param {ShippingZone} zone - Destination zone
+ * @param {number} weight - Billable weight in kilograms
+ * @returns {number} Parcel price in euros
+ */
+function parcelPrice(zone, weight) {
+    const bracket = zone.brackets.find(b => weight <= b.maxKg);
+    if (bracket) return bracket.price;
+
+    return Math.round(zone.freight.base + zone.freight.perKg * weight);
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Returns every country we ship to, in zone order.
+ * @returns {string[]} ISO country codes
+ */
+function listCountries() {
+    return rates.zones
+        .flatMap(zone => zone.countries)
+        .filter(country => SHIPPING_CONFIG.COUNTRIES.includes(country));
+}
+
+/**
+ * Finds the zone of a destination country.
+ * @param {string} country - ISO country code
+ * @returns {ShippingZone|undefined} Matching zone, undefined if not shipped to
+ */
+function getZone(country) {
+    if (!SHIPPING_CONFIG.COUNTRIES.includes(country)) return undefined;
+    return rates.zones.find(zone => zone.countries.includes(country));
+}
+
+/**
+ * Quotes shipping for resolved cart items to a country.
+ * @param {import('./catalog').ResolvedItem[]} items - Resolved cart items
+ * @param {string} country - ISO country code
+ * @returns {{valid: boolean, error?: string, quote?: ShippingQuote}} Quote result
+ */
+function quote(items, country) {
+    const zone = typeof country === 'string' ? getZone(country) : undefined;
+    if (!zone) {
+        return { valid: false, error: 'We do not ship to this country' };
+    }
+
+    const amount = items.reduce(
+        (total, { artwork, quantity }) =>
+            total + parcelPrice(zone, billableWeight(artwork)) * quantity,
+        0
+    );
+
+    return { valid: true, quote: { country, zone, amount } };
+}
+
+module.exports = {
+    SHIPPING_CONFIG,
+    billableWeight,
+    listCountries,
+    getZone,
+    quote
+};
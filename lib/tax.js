@@ -0,0 +1,209 @@
+/**
+ * @fileoverview VAT for Urban Art e-commerce platform.
+ * Shop prices include VAT. The rate depends on the destination country and
+ * on the artwork's tax class (original works of art are taxed at reduced
+ * rates in most countries, prints at the standard rate). Rates are kept in
+ * data/vat.json and must be checked with the accountant when they change.
+ * @author Urban Art Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+const path = require('path');
+const catalog = require('./catalog');
+const { JsonStore, storagePath } = require('./json-store');
+const { logger } = require('./logger');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** @type {Object} Tax configuration constants */
+const TAX_CONFIG = Object.freeze({
+    DATA_FILE: path.join(__dirname, '..', 'data', 'vat.json'),
+    STRIPE_DISPLAY_NAME: 'TVA'
+});
+
+/** @type {Object} VAT rates loaded from the data file */
+const vat = require(TAX_CONFIG.DATA_FILE);
+
+/** @type {JsonStore} Stripe tax rate IDs keyed by "country:percentage" */
+const stripeRates = new JsonStore(storagePath('stripe-tax-rates.json'), () => ({
+    rates: {}
+}));
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc)
+// ============================================================================
+
+/**
+ * @typedef {Object} TaxLine
+ * @property {string} taxClass - Tax class of the artwork
+ * @property {number} amount - Line total including VAT, in the smallest currency unit
+ * @property {boolean} [discountable=true] - Whether the promo discount applies to the line
+ */
+
+/**
+ * @typedef {Object} TaxBreakdown
+ * @property {string} country - ISO country code the rates apply to
+ * @property {number} amountTax - Total VAT included, in the smallest currency unit
+ * @property {Array<{rate: number, amountGross: number, amountTax: number}>} breakdown
+ *   VAT per rate, in the smallest currency unit
+ */
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Splits an amount across lines in proportion to their weights.
+ * The last line absorbs rounding so the parts always add up.
+ * @param {number} amount - Amount to split, in the smallest currency unit
+ * @param {number[]} weights - Line weights
+ * @returns {number[]} Share of each line
+ */
+function allocate(amount, weights) {
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    if (total === 0) return weights.map(() => 0);
+
+    let remaining = amount;
+    return weights.map((weight, i) => {
+        if (i === weights.length - 1) return remaining;
+        const share = Math.round(amount * weight / total);
+        remaining -= share;
+        return share;
+    });
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Returns the tax class of an artwork.
+ * @param {import('./catalog').Artwork} artwork - Catalog artwork
+ * @returns {string} Tax class (e.g. 'original_art')
+ */
+function getTaxClass(artwork) {
+    return vat.taxClasses[artwork.category] || vat.defaultTaxClass;
+}
+
+/**
+ * Returns the VAT rate for a tax class in a country.
+ * @param {string} country - ISO country code
+ * @param {string} taxClass - Tax class
+ * @returns {number} Rate in percent
+ * @throws {Error} If no rate is configured for the country
+ */
+function getRate(country, taxClass) {
+    const rates = vat.countries[country];
+    if (!rates || typeof rates[taxClass] !== 'number') {
+        throw new Error(`No VAT rate configured for ${country}/${taxClass}`);
+    }
+    return rates[taxClass];
+}
+
+/**
+ * Computes the VAT included in a sale. The discount is allocated to the
+ * lines it applies to, and the shipping cost to every line, in proportion to
+ * their amounts, so shipping follows the rate of the goods it carries.
+ * @param {Object} sale - Sale to tax
+ * @param {string} sale.country - Destination country
+ * @param {TaxLine[]} sale.lines - Lines before discount
+ * @param {number} [sale.discount=0] - Discount, in the smallest currency unit
+ * @param {number} [sale.shipping=0] - Shipping, in the smallest currency unit
+ * @returns {TaxBreakdown} VAT breakdown
+ */
+function calculate({ country, lines, discount = 0, shipping = 0 }) {
+    const discounts = allocate(
+        discount,
+        lines.map(line => (line.discountable === false ? 0 : line.amount))
+    );
+    const discounted = lines.map((line, i) => line.amount - discounts[i]);
+    // When the discount covers every artwork, shipping still follows their rates
+    const shippingShares = allocate(
+        shipping,
+        discounted.some(amount => amount > 0) ? discounted : lines.map(line => line.amount)
+    );
+
+    const byRate = new Map();
+    lines.forEach((line, i) => {
+        const rate = getRate(country, line.taxClass);
+        const gross = discounted[i] + shippingShares[i];
+        byRate.set(rate, (byRate.get(rate) || 0) + gross);
+    });
+
+    const breakdown = Array.from(byRate.entries())
+        .sort((a, b) => a[0] - b[0])
+        .map(([rate, amountGross]) => ({
+            rate,
+            amountGross,
+            amountTax: Math.round(amountGross * rate / (100 + rate))
+        }));
+
+    return {
+        country,
+        amountTax: breakdown.reduce((sum, entry) => sum + entry.amountTax, 0),
+        breakdown
+    };
+}
+
+/**
+ * Computes the VAT of a recorded order.
+ * @param {Object} fields - Order fields (see orders.fromCheckoutSession)
+ * @param {string} country - Destination country
+ * @returns {TaxBreakdown} VAT breakdown
+ */
+function calculateForOrder(fields, country) {
+    return calculate({
+        country,
+        lines: fields.lineItems.map(line => {
+            const artwork = line.artworkId && catalog.getArtwork(line.artworkId);
+            return {
+                taxClass: artwork ? getTaxClass(artwork) : vat.defaultTaxClass,
+                amount: line.amountTotal,
+                discountable: line.discountable !== false
+            };
+        }),
+        discount: fields.amountDiscount || 0,
+        shipping: fields.amountShipping || 0
+    });
+}
+
+/**
+ * Returns the ID of an inclusive Stripe tax rate, creating it on first use.
+ * @param {Object} stripe - Stripe client
+ * @param {string} country - ISO country code
+ * @param {number} rate - Rate in percent
+ * @returns {Promise<string>} Stripe tax rate ID
+ */
+async function ensureStripeTaxRate(stripe, country, rate) {
+    const key = `${country}:${rate}`;
+    const cached = stripeRates.read().rates[key];
+    if (cached) return cached;
+
+    const taxRate = await stripe.taxRates.create({
+        display_name: TAX_CONFIG.STRIPE_DISPLAY_NAME,
+        percentage: rate,
+        inclusive: true,
+        country,
+        description: `VAT ${rate}% ${country}`
+    });
+
+    stripeRates.update(data => {
+        data.rates[key] = taxRate.id;
+    });
+    logger.info('Stripe tax rate created', { country, rate, taxRateId: taxRate.id });
+
+    return taxRate.id;
+}
+
+module.exports = {
+    TAX_CONFIG,
+    getTaxClass,
+    getRate,
+    calculate,
+    calculateForOrder,
+    ensureStripeTaxRate
+};
@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Journal of verified Stripe webhook events.
+ * Every event is stored with its processing outcome so that duplicates
+ * delivered by Stripe retries are skipped. The payload, which holds the
+ * buyer's personal data, is kept only until the event is processed, so that
+ * failed events can be replayed; entries are purged after a retention window.
+ * @author Urban Art Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+const { JsonStore, storagePath } = require('./json-store');
+const { logger } = require('./logger');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Processing states of a journaled event.
+ * @readonly
+ * @enum {string}
+ */
+const EventStatus = Object.freeze({
+    PROCESSING: 'processing',
+    PROCESSED: 'processed',
+    FAILED: 'failed'
+});
+
+/** @type {Object} Journal configuration constants */
+const JOURNAL_CONFIG = Object.freeze({
+    // An event stuck in 'processing' longer than this is assumed abandoned
+    // (e.g. the process crashed) and may be processed again.
+    STALE_PROCESSING_MS: 5 * 60 * 1000,
+    // Entries are deleted this long after their first delivery, well past
+    // the 3 days over which Stripe retries an event
+    RETENTION_MS: 30 * 24 * 60 * 60 * 1000
+});
+
+/** @type {JsonStore} Persisted journal entries keyed by event ID */
+const store = new JsonStore(storagePath('webhook-events.json'), () => ({
+    events: {}
+}));
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc)
+// ============================================================================
+
+/**
+ * @typedef {Object} JournalEntry
+ * @property {string} id - Stripe event ID
+ * @property {string} type - Stripe event type
+ * @property {string} status - An EventStatus value
+ * @property {number} attempts - Number of processing attempts
+ * @property {string} receivedAt - ISO timestamp of first delivery
+ * @property {string} startedAt - ISO timestamp of the latest attempt
+ * @property {string|null} processedAt - ISO timestamp of success
+ * @property {string|null} lastError - Error message of the latest failure
+ * @property {Object} [payload] - Verified event as received from Stripe,
+ *   removed once the event is processed
+ */
+
+// ============================================================================
+// PRIVATE HELPERS
+// ============================================================================
+
+/**
+ * Deletes entries older than the retention window from the store document.
+ * @param {Object} data - Store document
+ * @param {number} now - Current timestamp (ms)
+ */
+function purgeExpired(data, now) {
+    for (const [eventId, entry] of Object.entries(data.events)) {
+        if (now - new Date(entry.receivedAt).getTime() < JOURNAL_CONFIG.RETENTION_MS) continue;
+
+        if (entry.status !== EventStatus.PROCESSED) {
+            logger.warn('Unprocessed webhook event purged', { eventId, type: entry.type, status: entry.status });
+        }
+        delete data.events[eventId];
+    }
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Records the start of processing for an event.
+ * Returns false when the event was already processed or another attempt
+ * is still in progress, in which case the caller must skip it.
+ * @param {Object} event - Verified Stripe event
+ * @returns {boolean} True if the caller should process the event
+ */
+function begin(event) {
+    return store.update(data => {
+        const now = Date.now();
+        purgeExpired(data, now);
+        const existing = data.events[event.id];
+
+        if (existing) {
+            if (existing.status === EventStatus.PROCESSED) return false;
+
+            const startedAt = new Date(existing.startedAt).getTime();
+            if (existing.status === EventStatus.PROCESSING &&
+                now - startedAt < JOURNAL_CONFIG.STALE_PROCESSING_MS) {
+                return false;
+            }
+
+            existing.status = EventStatus.PROCESSING;
+            existing.attempts += 1;
+            existing.startedAt = new Date(now).toISOString();
+            return true;
+        }
+
+        data.events[event.id] = {
+            id: event.id,
+            type: event.type,
+            status: EventStatus.PROCESSING,
+            attempts: 1,
+            receivedAt: new Date(now).toISOString(),
+            startedAt: new Date(now).toISOString(),
+            processedAt: null,
+            lastError: null,
+            payload: event
+        };
+        return true;
+    });
+}
+
+/**
+ * Marks an event as successfully processed and drops its payload, which is
+ * no longer needed.
+ * @param {string} eventId - Stripe event ID
+ */
+function markProcessed(eventId) {
+    store.update(data => {
+        const entry = data.events[eventId];
+        if (!entry) return;
+
+        entry.status = EventStatus.PROCESSED;
+        entry.processedAt = new Date().toISOString();
+        entry.lastError = null;
+        delete entry.payload;
+    });
+}
+
+/**
+ * Marks an event as failed so it can be replayed.
+ * @param {string} eventId - Stripe event ID
+ * @param {Error} error - Processing error
+ */
+function markFailed(eventId, error) {
+    store.update(data => {
+        const entry = data.events[eventId];
+        if (!entry) return;
+
+        entry.status = EventStatus.FAILED;
+        entry.lastError = error && error.message ? error.message : String(error);
+    });
+}
+
+/**
+ * Finds a journal entry.
+ * @param {string} eventId - Stripe event ID
+ * @returns {JournalEntry|undefined} Entry or undefined
+ */
+function getEntry(eventId) {
+    return store.read().events[eventId];
+}
+
+/**
+ * Lists journal entries, newest first, without their payloads.
+ * @param {Object} [filters] - Optional filters
+ * @param {string} [filters.status] - Only entries with this status
+ * @returns {Array<Object>} Entry summaries
+ */
+function listEntries(filters = {}) {
+    return Object.values(store.read().events)
+        .filter(entry => !filters.status || entry.status === filters.status)
+        .sort((a, b) => b.receivedAt.localeCompare(a.receivedAt))
+        .map(({ payload, ...summary }) => summary);
+}
+
+module.exports = {
+    EventStatus,
+    begin,
+    markProcessed,
+    markFailed,
+    getEntry,
+    listEntries
+};
@@ -0,0 +1,875 @@
+/**
+ * @fileoverview Back-office interactions for Urban Art (pages under /admin).
+ * Handles login, order fulfilment, the logged-in user's account, and artwork
+ * and user management for the owner. Every request goes through adminApi(), which adds the CSRF token
+ * and sends the user back to the login page when the session has expired.
+ * @author Urban Art Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** @type {Object} Back-office configuration constants */
+const ADMIN_CONFIG = Object.freeze({
+    LOGIN_PATH: '/admin/login',
+    HOME_PATH: '/admin',
+    MESSAGE_DURATION: 5000
+});
+
+/** @type {Object<string, string>} Labels of the back-office roles */
+const ROLE_LABELS = Object.freeze({
+    owner: 'Propriétaire',
+    assistant: 'Assistant'
+});
+
+/** @type {Object<string, string>} Labels of the order statuses */
+const ORDER_STATUS_LABELS = Object.freeze({
+    paid: 'Payée',
+    packed: 'Emballée',
+    shipped: 'Expédiée',
+    delivered: 'Livrée',
+    partially_refunded: 'Partiellement remboursée',
+    refunded: 'Remboursée',
+    disputed: 'Litige'
+});
+
+/** @type {Object<string, string>} Button label of each fulfilment step, by new status */
+const ORDER_ACTIONS = Object.freeze({
+    packed: 'Marquer comme emballée',
+    shipped: 'Marquer comme expédiée',
+    delivered: 'Marquer comme livrée'
+});
+
+/** @type {string[]} Locales of artwork titles and descriptions, French first */
+const ARTWORK_LOCALES = Object.freeze(['fr', 'en', 'ru', 'zh', 'uz']);
+
+/** @type {{username: string, role: string}|null} Logged-in user */
+let currentUser = null;
+
+// ============================================================================
+// API
+// ============================================================================
+
+/** @type {Promise<string>|null} CSRF token from /api/config, fetched once */
+let csrfTokenRequest = null;
+
+/**
+ * Loads the CSRF token sent with state-changing requests.
+ * @param {boolean} [refresh=false] - Load it again (e.g. after a server restart)
+ * @returns {Promise<string>} CSRF token
+ */
+function loadCsrfToken(refresh = false) {
+    if (!csrfTokenRequest || refresh) {
+        csrfTokenRequest = fetch('/api/config')
+            .then(response => response.json())
+            .then(data => data.csrfToken);
+        csrfTokenRequest.catch(() => { csrfTokenRequest = null; });
+    }
+    return csrfTokenRequest;
+}
+
+/**
+ * Calls an admin endpoint. A request refused for an expired CSRF token is
+ * sent once more with a fresh one; an expired session leads to the login page.
+ * @param {string} method - HTTP method
+ * @param {string} url - Endpoint path
+ * @param {Object|Blob} [body] - JSON body, or a file sent as is
+ * @returns {Promise<{ok: boolean, status: number, data: Object}>} Response
+ */
+async function adminApi(method, url, body) {
+    const isFile = body instanceof Blob;
+
+    const send = async (refresh) => {
+        const headers = {};
+        if (method !== 'GET') {
+            headers['Content-Type'] = isFile ? body.type : 'application/json';
+            headers['X-CSRF-Token'] = await loadCsrfToken(refresh);
+        }
+        const response = await fetch(url, {
+            method,
+            headers,
+            body: body === undefined || isFile ? body : JSON.stringify(body)
+        });
+        const data = await response.json().catch(() => ({}));
+        return { ok: response.ok, status: response.status, data };
+    };
+
+    let result = await send(false);
+    if (result.status === 403 && result.data.code === 'csrf_token_invalid') {
+        result = await send(true);
+    }
+
+    if (result.status === 401 && currentUser) {
+        window.location.href = ADMIN_CONFIG.LOGIN_PATH;
+    }
+    return result;
+}
+
+// ============================================================================
+// UI HELPERS
+// ============================================================================
+
+/** @type {number|null} Timer hiding the current message */
+let messageTimer = null;
+
+/**
+ * Shows a message above the page content.
+ * @param {string} text - Message text
+ * @param {string} [type='success'] - 'success' or 'error'
+ */
+function showMessage(text, type = 'success') {
+    const message = document.querySelector('.admin-message');
+    if (!message) return;
+
+    message.textContent = text;
+    message.className = `admin-message ${type}`;
+    message.hidden = false;
+
+    clearTimeout(messageTimer);
+    if (type === 'success') {
+        messageTimer = setTimeout(() => { message.hidden = true; }, ADMIN_CONFIG.MESSAGE_DURATION);
+    }
+}
+
+/**
+ * Formats an ISO timestamp for display.
+ * @param {string|null} value - ISO timestamp
+ * @returns {string} Local date and time, or a dash
+ */
+function formatDateTime(value) {
+    return value ? new Date(value).toLocaleString('fr-FR') : '—';
+}
+
+/**
+ * Creates an element with text content.
+ * @param {string} tag - Tag name
+ * @param {string} [text] - Text content
+ * @param {string} [className] - Class name
+ * @returns {HTMLElement} Element
+ */
+function createElement(tag, text, className) {
+    const element = document.createElement(tag);
+    if (text !== undefined) element.textContent = text;
+    if (className) element.className = className;
+    return element;
+}
+
+/**
+ * Formats an order amount for display.
+ * @param {number} cents - Amount in cents
+ * @param {string} currency - Lowercase ISO currency code
+ * @returns {string} Formatted amount
+ */
+function formatAmount(cents, currency) {
+    return new Intl.NumberFormat('fr-FR', { style: 'currency', currency: currency.toUpperCase() })
+        .format(cents / 100);
+}
+
+/**
+ * Formats a euro amount for display.
+ * @param {number} amount - Amount in euros
+ * @returns {string} Formatted amount
+ */
+function formatPrice(amount) {
+    return new Intl.NumberFormat('fr-FR', { style: 'currency', currency: 'EUR' }).format(amount);
+}
+
+/**
+ * Reads a form into a plain object.
+ * @param {HTMLFormElement} form - Form element
+ * @returns {Object<string, string>} Field values by name
+ */
+function readForm(form) {
+    return Object.fromEntries(new FormData(form).entries());
+}
+
+// ============================================================================
+// LOGIN
+// ============================================================================
+
+/**
+ * Initializes the login form.
+ * @param {HTMLFormElement} form - Login form
+ */
+function initLoginForm(form) {
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const button = form.querySelector('button[type="submit"]');
+        button.disabled = true;
+
+        try {
+            const { ok, data } = await adminApi('POST', '/admin/login', readForm(form));
+            if (ok) {
+                window.location.href = ADMIN_CONFIG.HOME_PATH;
+                return;
+            }
+            showMessage(data.error || 'Connexion impossible', 'error');
+        } catch (error) {
+            showMessage('Connexion impossible. Vérifiez votre réseau.', 'error');
+        }
+
+        form.password.value = '';
+        button.disabled = false;
+    });
+}
+
+// ============================================================================
+// NAVIGATION AND SESSION
+// ============================================================================
+
+/**
+ * Shows one section of the back office.
+ * @param {string} name - Section name (data-section)
+ */
+function showSection(name) {
+    document.querySelectorAll('.admin-section').forEach(section => {
+        section.hidden = section.dataset.section !== name;
+    });
+    document.querySelectorAll('.admin-nav-link').forEach(link => {
+        link.classList.toggle('active', link.dataset.section === name);
+    });
+    document.dispatchEvent(new CustomEvent('admin:section', { detail: name }));
+}
+
+/**
+ * Loads the logged-in user, fills the header and reveals the sections the
+ * user's role allows.
+ * @returns {Promise<boolean>} True if a user is logged in
+ */
+async function initSession() {
+    const { ok, data } = await adminApi('GET', '/admin/session');
+    if (!ok) {
+        window.location.href = ADMIN_CONFIG.LOGIN_PATH;
+        return false;
+    }
+
+    currentUser = data.user;
+    document.querySelector('.admin-user-name').textContent = currentUser.username;
+    document.querySelector('.admin-user-role').textContent = ROLE_LABELS[currentUser.role] || currentUser.role;
+
+    document.querySelectorAll('.admin-nav-link[data-role]').forEach(link => {
+        link.hidden = link.dataset.role !== currentUser.role;
+    });
+    document.querySelectorAll('.admin-nav-link').forEach(link => {
+        link.addEventListener('click', () => showSection(link.dataset.section));
+    });
+
+    document.querySelector('.admin-logout').addEventListener('click', async () => {
+        await adminApi('POST', '/admin/logout').catch(() => {});
+        window.location.href = ADMIN_CONFIG.LOGIN_PATH;
+    });
+
+    return true;
+}
+
+// ============================================================================
+// ORDERS
+// ============================================================================
+
+/** @type {string|null} Order shown in the detail panel */
+let shownOrderId = null;
+
+/**
+ * Builds the badge of an order status.
+ * @param {string} status - Order status
+ * @returns {HTMLElement} Badge
+ */
+function createStatusBadge(status) {
+    return createElement('span', ORDER_STATUS_LABELS[status] || status, `order-status ${status}`);
+}
+
+/**
+ * Builds the table row of an order.
+ * @param {Object} order - Order from GET /admin/orders
+ * @returns {HTMLTableRowElement} Row
+ */
+function renderOrderRow(order) {
+    const row = document.createElement('tr');
+    row.appendChild(createElement('td', order.id));
+    row.appendChild(createElement('td', formatDateTime(order.createdAt)));
+    row.appendChild(createElement('td', order.customerName || order.customerEmail || '—'));
+    row.appendChild(createElement('td', order.country || '—'));
+    row.appendChild(createElement('td', String(order.itemCount)));
+    row.appendChild(createElement('td', formatAmount(order.amountTotal, order.currency)));
+
+    const statusCell = document.createElement('td');
+    statusCell.appendChild(createStatusBadge(order.status));
+    row.appendChild(statusCell);
+
+    const actionCell = document.createElement('td');
+    const open = createElement('button', 'Détails', 'admin-btn');
+    open.type = 'button';
+    open.addEventListener('click', () => showOrder(order.id));
+    actionCell.appendChild(open);
+    row.appendChild(actionCell);
+
+    return row;
+}
+
+/**
+ * Loads and displays the orders matching the filter form.
+ * @returns {Promise<void>}
+ */
+async function loadOrders() {
+    const filters = readForm(document.querySelector('.order-filters'));
+    const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value.trim() !== ''));
+
+    const { ok, data } = await adminApi('GET', `/admin/orders?${query}`);
+    if (!ok) {
+        showMessage(data.error || 'Chargement des commandes impossible', 'error');
+        return;
+    }
+
+    document.querySelector('.orders-table tbody').replaceChildren(...data.orders.map(renderOrderRow));
+    document.querySelector('.orders-empty').hidden = data.orders.length > 0;
+}
+
+/**
+ * Adds a label and amount row to the totals of the order lines table.
+ * @param {HTMLElement} tfoot - Table footer
+ * @param {string} label - Row label
+ * @param {string} amount - Formatted amount
+ */
+function addTotalRow(tfoot, label, amount) {
+    const row = document.createElement('tr');
+    const labelCell = createElement('td', label);
+    labelCell.colSpan = 4;
+    row.append(labelCell, createElement('td', amount));
+    tfoot.appendChild(row);
+}
+
+/**
+ * Fills the detail panel with an order.
+ * @param {Object} order - Order from GET /admin/orders/:orderId
+ */
+function renderOrderDetail(order) {
+    const panel = document.querySelector('.order-detail');
+    const { currency } = order;
+
+    panel.querySelector('.order-detail-title').textContent = `Commande ${order.id}`;
+    panel.querySelector('.order-status').replaceWith(createStatusBadge(order.status));
+    panel.querySelector('.order-invoice').href = `/admin/orders/${encodeURIComponent(order.id)}/invoice`;
+
+    panel.querySelector('.order-customer').replaceChildren(
+        ...[order.customerName, order.customerEmail, order.trackingNumber && `Suivi : ${order.trackingNumber}`]
+            .filter(Boolean)
+            .flatMap(line => [line, document.createElement('br')])
+    );
+
+    const address = order.shippingAddress;
+    const addressLines = address
+        ? [address.name, address.line1, address.line2,
+            [address.postalCode, address.city].filter(Boolean).join(' '), address.state, address.country]
+        : ['—'];
+    panel.querySelector('.order-address').replaceChildren(
+        ...addressLines.filter(Boolean).flatMap(line => [line, document.createElement('br')])
+    );
+
+    panel.querySelector('.order-history').replaceChildren(...(order.statusHistory || []).map(entry => (
+        createElement('li', `${formatDateTime(entry.at)} — ${ORDER_STATUS_LABELS[entry.status] || entry.status}`)
+    )));
+
+    panel.querySelector('.order-lines tbody').replaceChildren(...order.lineItems.map(line => {
+        const row = document.createElement('tr');
+        row.append(
+            createElement('td', line.title),
+            createElement('td', line.sku || '—'),
+            createElement('td', String(line.quantity)),
+            createElement('td', formatAmount(line.unitAmount, currency)),
+            createElement('td', formatAmount(line.amountTotal, currency))
+        );
+        return row;
+    }));
+
+    const tfoot = panel.querySelector('.order-lines tfoot');
+    tfoot.replaceChildren();
+    if (order.amountDiscount > 0) {
+        addTotalRow(tfoot, `Réduction${order.promoCode ? ` (${order.promoCode})` : ''}`,
+            formatAmount(-order.amountDiscount, currency));
+    }
+    addTotalRow(tfoot, 'Livraison', formatAmount(order.amountShipping, currency));
+    if (order.amountRefunded > 0) {
+        addTotalRow(tfoot, 'Remboursé', formatAmount(-order.amountRefunded, currency));
+    }
+    addTotalRow(tfoot, 'Total payé', formatAmount(order.amountTotal, currency));
+
+    const form = panel.querySelector('.order-status-form');
+    form.reset();
+    form.hidden = !order.nextStatus;
+    form.dataset.status = order.nextStatus || '';
+    form.querySelector('button[type="submit"]').textContent = ORDER_ACTIONS[order.nextStatus] || '';
+    form.querySelectorAll('.order-tracking').forEach(element => {
+        element.hidden = order.nextStatus !== 'shipped';
+    });
+
+    panel.hidden = false;
+}
+
+/**
+ * Loads an order into the detail panel.
+ * @param {string} orderId - Order number
+ * @returns {Promise<void>}
+ */
+async function showOrder(orderId) {
+    const { ok, data } = await adminApi('GET', `/admin/orders/${encodeURIComponent(orderId)}`);
+    if (!ok) {
+        showMessage(data.error || 'Commande introuvable', 'error');
+        return;
+    }
+
+    shownOrderId = orderId;
+    renderOrderDetail(data);
+    document.querySelector('.order-detail').scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Moves the shown order to its next status.
+ * @param {HTMLFormElement} form - Status form of the detail panel
+ * @returns {Promise<void>}
+ */
+async function advanceOrder(form) {
+    const body = { status: form.dataset.status };
+    if (body.status === 'shipped') {
+        body.trackingNumber = form.trackingNumber.value.trim();
+        if (!body.trackingNumber) {
+            showMessage('Indiquez le numéro de suivi du transporteur', 'error');
+            return;
+        }
+    }
+
+    const { ok, data } = await adminApi('POST', `/admin/orders/${encodeURIComponent(shownOrderId)}/status`, body);
+    if (!ok) {
+        showMessage(data.error || 'Changement de statut impossible', 'error');
+        return;
+    }
+
+    showMessage(`Commande ${data.id} : ${ORDER_STATUS_LABELS[data.status]}`);
+    renderOrderDetail(data);
+    await loadOrders();
+}
+
+/**
+ * Initializes the order section, shown first for every role.
+ */
+function initOrders() {
+    const filters = document.querySelector('.order-filters');
+    if (!filters) return;
+
+    filters.addEventListener('submit', (e) => {
+        e.preventDefault();
+        loadOrders();
+    });
+
+    const panel = document.querySelector('.order-detail');
+    panel.querySelector('.order-detail-close').addEventListener('click', () => {
+        panel.hidden = true;
+        shownOrderId = null;
+    });
+    panel.querySelector('.order-status-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        advanceOrder(e.target);
+    });
+
+    document.addEventListener('admin:section', (e) => {
+        if (e.detail === 'orders') loadOrders();
+    });
+    loadOrders();
+}
+
+// ============================================================================
+// ACCOUNT
+// ============================================================================
+
+/**
+ * Initializes the password change form.
+ */
+function initPasswordForm() {
+    const form = document.querySelector('.password-form');
+    if (!form) return;
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const { ok, data } = await adminApi('POST', '/admin/password', readForm(form));
+        if (!ok) {
+            showMessage(data.error || 'Modification impossible', 'error');
+            return;
+        }
+
+        form.reset();
+        showMessage('Mot de passe modifié');
+    });
+}
+
+// ============================================================================
+// ARTWORKS
+// ============================================================================
+
+/** @type {Object[]} Artworks from GET /admin/artworks, in storefront order */
+let artworks = [];
+
+/** @type {Object|null} Artwork shown in the form, null when creating one */
+let editedArtwork = null;
+
+/**
+ * Reads an optional number field.
+ * @param {string} value - Field value
+ * @returns {number|null} Number, or null if the field is empty
+ */
+function readNumber(value) {
+    return value === '' ? null : Number(value);
+}
+
+/**
+ * Builds the artwork fields sent to the API from the artwork form.
+ * @param {HTMLFormElement} form - Artwork form
+ * @returns {Object} Artwork fields
+ */
+function readArtworkForm(form) {
+    const values = readForm(form);
+    const title = {};
+    const description = {};
+
+    for (const locale of ARTWORK_LOCALES) {
+        title[locale] = values[`title.${locale}`].trim();
+        description[locale] = values[`description.${locale}`].trim();
+    }
+
+    return {
+        id: values.id.trim(),
+        sku: values.sku.trim().toUpperCase(),
+        category: values.category,
+        title,
+        description,
+        price: readNumber(values.price),
+        weight: readNumber(values.weight),
+        dimensions: {
+            width: readNumber(values.width),
+            height: readNumber(values.height),
+            depth: readNumber(values.depth),
+            unit: 'cm'
+        },
+        image: values.image,
+        available: form.available.checked,
+        retired: form.retired.checked,
+        stock: readNumber(values.stock)
+    };
+}
+
+/**
+ * Shows an artwork in the form for editing, or an empty form.
+ * @param {HTMLFormElement} form - Artwork form
+ * @param {Object|null} artwork - Artwork to edit, or null for a new one
+ */
+function fillArtworkForm(form, artwork) {
+    editedArtwork = artwork;
+    form.reset();
+
+    form.querySelector('.artwork-form-title').textContent = artwork
+        ? `Modifier « ${artwork.title.fr} »`
+        : 'Nouvelle œuvre';
+    // form.id is the form's own id attribute, so the field is looked up by name
+    const idInput = form.elements.namedItem('id');
+    idInput.readOnly = Boolean(artwork);
+
+    const preview = form.querySelector('.artwork-image-preview');
+    preview.hidden = !artwork;
+    form.image.value = '';
+    if (!artwork) return;
+
+    idInput.value = artwork.id;
+    form.sku.value = artwork.sku;
+    form.category.value = artwork.category;
+    form.price.value = artwork.price;
+    form.stock.value = artwork.remaining;
+    form.weight.value = artwork.weight || '';
+    form.width.value = artwork.dimensions.width;
+    form.height.value = artwork.dimensions.height;
+    form.depth.value = artwork.dimensions.depth || '';
+    form.image.value = artwork.image;
+    preview.src = `/${artwork.image}`;
+    form.available.checked = artwork.available;
+    form.retired.checked = artwork.retired;
+
+    for (const locale of ARTWORK_LOCALES) {
+        form.elements[`title.${locale}`].value = artwork.title[locale] || '';
+        form.elements[`description.${locale}`].value = artwork.description[locale] || '';
+    }
+
+    form.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Moves an artwork up or down in the storefront order.
+ * @param {number} index - Current position
+ * @param {number} offset - -1 to move up, 1 to move down
+ * @returns {Promise<void>}
+ */
+async function moveArtwork(index, offset) {
+    const ids = artworks.map(artwork => artwork.id);
+    [ids[index], ids[index + offset]] = [ids[index + offset], ids[index]];
+
+    const { ok, data } = await adminApi('POST', '/admin/artworks/order', { ids });
+    if (!ok) {
+        showMessage(data.error || 'Réorganisation impossible', 'error');
+    }
+    await loadArtworks();
+}
+
+/**
+ * Builds the table row of an artwork.
+ * @param {Object} artwork - Artwork from GET /admin/artworks
+ * @param {number} index - Position in the storefront order
+ * @returns {HTMLTableRowElement} Row
+ */
+function renderArtworkRow(artwork, index) {
+    const row = document.createElement('tr');
+    row.classList.toggle('retired', artwork.retired);
+
+    const orderCell = document.createElement('td');
+    const up = createElement('button', '↑', 'admin-btn');
+    up.type = 'button';
+    up.title = 'Monter';
+    up.disabled = index === 0;
+    up.addEventListener('click', () => moveArtwork(index, -1));
+    const down = createElement('button', '↓', 'admin-btn');
+    down.type = 'button';
+    down.title = 'Descendre';
+    down.disabled = index === artworks.length - 1;
+    down.addEventListener('click', () => moveArtwork(index, 1));
+    orderCell.append(up, down);
+    row.appendChild(orderCell);
+
+    const imageCell = document.createElement('td');
+    const thumb = createElement('img', undefined, 'artwork-thumb');
+    thumb.src = `/${artwork.image}`;
+    thumb.alt = '';
+    imageCell.appendChild(thumb);
+    row.appendChild(imageCell);
+
+    row.appendChild(createElement('td', artwork.title.fr));
+    row.appendChild(createElement('td', formatPrice(artwork.price)));
+    row.appendChild(createElement('td', String(Math.max(0, artwork.remaining))));
+
+    let status = 'En vente';
+    if (artwork.retired) status = 'Retirée';
+    else if (!artwork.available || artwork.remaining <= 0) status = 'Épuisée';
+    row.appendChild(createElement('td', status));
+
+    const actionCell = document.createElement('td');
+    const edit = createElement('button', 'Modifier', 'admin-btn');
+    edit.type = 'button';
+    edit.addEventListener('click', () => fillArtworkForm(document.querySelector('.artwork-form'), artwork));
+    actionCell.appendChild(edit);
+    row.appendChild(actionCell);
+
+    return row;
+}
+
+/**
+ * Loads and displays the artworks.
+ * @returns {Promise<void>}
+ */
+async function loadArtworks() {
+    const tbody = document.querySelector('.artworks-table tbody');
+    const { ok, data } = await adminApi('GET', '/admin/artworks');
+    if (!ok) return;
+
+    artworks = data.artworks;
+    tbody.replaceChildren(...artworks.map(renderArtworkRow));
+}
+
+/**
+ * Uploads the image chosen in the artwork form and shows it.
+ * @param {HTMLFormElement} form - Artwork form
+ * @param {File} file - Chosen image
+ * @returns {Promise<void>}
+ */
+async function uploadArtworkImage(form, file) {
+    const { ok, data } = await adminApi('POST', '/admin/artworks/images', file);
+    if (!ok) {
+        showMessage(data.error || 'Envoi de l\'image impossible', 'error');
+        return;
+    }
+
+    const preview = form.querySelector('.artwork-image-preview');
+    form.image.value = data.image;
+    preview.src = `/${data.image}`;
+    preview.hidden = false;
+}
+
+/**
+ * Saves the artwork form, creating or changing an artwork. The stock is
+ * only sent when it was changed, so sales made meanwhile are not undone.
+ * @param {HTMLFormElement} form - Artwork form
+ * @returns {Promise<void>}
+ */
+async function saveArtwork(form) {
+    const fields = readArtworkForm(form);
+    let result;
+
+    if (editedArtwork) {
+        const { id, stock, ...changes } = fields;
+        if (stock !== editedArtwork.remaining) changes.stock = stock;
+        result = await adminApi('PATCH', `/admin/artworks/${encodeURIComponent(editedArtwork.id)}`, changes);
+    } else {
+        result = await adminApi('POST', '/admin/artworks', fields);
+    }
+
+    if (!result.ok) {
+        showMessage(result.data.error || 'Enregistrement impossible', 'error');
+        return;
+    }
+
+    showMessage(`Œuvre « ${result.data.title.fr} » enregistrée`);
+    fillArtworkForm(form, null);
+    await loadArtworks();
+}
+
+/**
+ * Initializes the artwork management section (owner only).
+ */
+function initArtworks() {
+    const form = document.querySelector('.artwork-form');
+    if (!form || currentUser.role !== 'owner') return;
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveArtwork(form);
+    });
+    form.querySelector('.artwork-form-reset').addEventListener('click', () => fillArtworkForm(form, null));
+
+    const fileInput = form.querySelector('#artwork-image-file');
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files[0]) uploadArtworkImage(form, fileInput.files[0]);
+    });
+
+    document.addEventListener('admin:section', (e) => {
+        if (e.detail === 'artworks') loadArtworks();
+    });
+}
+
+// ============================================================================
+// USERS
+// ============================================================================
+
+/**
+ * Sends changes to a user and refreshes the list.
+ * @param {string} username - Login name
+ * @param {Object} changes - Fields to change (role, disabled)
+ * @returns {Promise<void>}
+ */
+async function updateUser(username, changes) {
+    const { ok, data } = await adminApi('PATCH', `/admin/users/${encodeURIComponent(username)}`, changes);
+    if (!ok) {
+        showMessage(data.error || 'Modification impossible', 'error');
+    } else {
+        showMessage(`Utilisateur ${username} modifié`);
+    }
+    await loadUsers();
+}
+
+/**
+ * Builds the table row of a user.
+ * @param {Object} user - User from GET /admin/users
+ * @returns {HTMLTableRowElement} Row
+ */
+function renderUserRow(user) {
+    const row = document.createElement('tr');
+    row.appendChild(createElement('td', user.username));
+
+    const roleCell = document.createElement('td');
+    const roleSelect = document.createElement('select');
+    for (const [value, label] of Object.entries(ROLE_LABELS)) {
+        const option = createElement('option', label);
+        option.value = value;
+        option.selected = value === user.role;
+        roleSelect.appendChild(option);
+    }
+    roleSelect.addEventListener('change', () => updateUser(user.username, { role: roleSelect.value }));
+    roleCell.appendChild(roleSelect);
+    row.appendChild(roleCell);
+
+    row.appendChild(createElement('td', formatDateTime(user.lastLoginAt)));
+
+    const statusCell = document.createElement('td');
+    const toggle = createElement('button', user.disabled ? 'Réactiver' : 'Désactiver', 'admin-btn');
+    toggle.type = 'button';
+    toggle.addEventListener('click', () => updateUser(user.username, { disabled: !user.disabled }));
+    statusCell.append(createElement('span', user.disabled ? 'Désactivé ' : 'Actif '), toggle);
+    row.appendChild(statusCell);
+
+    return row;
+}
+
+/**
+ * Loads and displays the back-office users.
+ * @returns {Promise<void>}
+ */
+async function loadUsers() {
+    const tbody = document.querySelector('.users-table tbody');
+    const { ok, data } = await adminApi('GET', '/admin/users');
+    if (!ok) return;
+
+    tbody.replaceChildren(...data.users.map(renderUserRow));
+}
+
+/**
+ * Initializes the user management section (owner only).
+ */
+function initUsers() {
+    const form = document.querySelector('.user-form');
+    if (!form || currentUser.role !== 'owner') return;
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const { ok, data } = await adminApi('POST', '/admin/users', readForm(form));
+        if (!ok) {
+            showMessage(data.error || 'Création impossible', 'error');
+            return;
+        }
+
+        form.reset();
+        showMessage(`Utilisateur ${data.username} créé`);
+        await loadUsers();
+    });
+
+    document.addEventListener('admin:section', (e) => {
+        if (e.detail === 'users') loadUsers();
+    });
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Initializes the current back-office page.
+ * @returns {Promise<void>}
+ */
+async function initAdmin() {
+    const loginForm = document.querySelector('.login-form');
+    if (loginForm) {
+        initLoginForm(loginForm);
+        return;
+    }
+
+    if (!await initSession()) return;
+
+    initOrders();
+    initPasswordForm();
+    initArtworks();
+    initUsers();
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initAdmin);
+} else {
+    initAdmin();
+}
@@ -0,0 +1,1166 @@
+/**
+ * @fileoverview Shopping cart management for Urban Art e-commerce platform.
+ * Handles cart operations, localStorage persistence, and Stripe checkout integration.
+ * @author Urban Art Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** @type {Object} Cart configuration constants */
+const CART_CONFIG = Object.freeze({
+    STORAGE_KEY: 'urbanArtCart',
+    MAX_QUANTITY_PER_ITEM: 99,
+    MAX_ITEMS: 50,
+    NOTIFICATION_DURATION: 3000,
+    NOTIFICATION_FADE_DELAY: 300,
+    CURRENCY_STORAGE_KEY: 'preferredCurrency',
+    DEFAULT_CURRENCY: 'eur',
+    SHIPPING_COUNTRY_KEY: 'shippingCountry',
+    DEFAULT_SHIPPING_COUNTRY: 'FR',
+    DECIMAL_PLACES: 2
+});
+
+/** @type {Object<string, string>} Messages for stock errors returned by checkout */
+const CHECKOUT_STOCK_ERRORS = Object.freeze({
+    reserved: 'Une œuvre de votre panier est en cours d\'achat par un autre client. Réessayez dans quelques minutes.',
+    sold_out: 'Une œuvre de votre panier vient d\'être vendue.',
+    insufficient_stock: 'Quantité indisponible pour une œuvre de votre panier.'
+});
+
+/** @type {Object<string, string>} Messages for promo code errors returned by the server */
+const PROMO_ERRORS = Object.freeze({
+    promo_unknown: 'Ce code promo n\'existe pas.',
+    promo_not_started: 'Ce code promo n\'est pas encore valable.',
+    promo_expired: 'Ce code promo a expiré.',
+    promo_used_up: 'Ce code promo a atteint sa limite d\'utilisation.',
+    promo_min_total: 'Le montant de votre panier est insuffisant pour ce code promo.',
+    promo_no_eligible_items: 'Ce code promo ne s\'applique pas aux œuvres de votre panier.'
+});
+
+/** @type {Object<string, string>} Messages for requests refused by the CSRF protection */
+const CSRF_ERRORS = Object.freeze({
+    csrf_origin_mismatch: 'Requête refusée : elle ne provient pas du site Urban Art.',
+    csrf_token_missing: 'Votre session a expiré. Rechargez la page puis réessayez.',
+    csrf_token_invalid: 'Votre session a expiré. Rechargez la page puis réessayez.'
+});
+
+// ============================================================================
+// TYPE DEFINITIONS (JSDoc)
+// ============================================================================
+
+/**
+ * @typedef {Object} CartItem
+ * @property {string} id - Unique identifier for the product
+ * @property {string} name - Product name
+ * @property {number} price - Product price in the cart currency
+ * @property {string} [description] - Product description
+ * @property {string} [image] - Product image URL
+ * @property {number} quantity - Quantity in cart
+ */
+
+/**
+ * @typedef {Object} ShippingQuote
+ * @property {string} country - ISO destination country code
+ * @property {number} amount - Shipping cost in the quoted currency
+ * @property {string} currency - Lowercase ISO currency code
+ * @property {{min: number, max: number}} deliveryDays - Delivery estimate in business days
+ */
+
+/**
+ * @typedef {Object} TaxQuote
+ * @property {number} amountTax - VAT included in the total, in the cart currency
+ * @property {Array<{rate: number, amountTax: number}>} breakdown - VAT per rate
+ * @property {string} currency - Lowercase ISO currency code
+ */
+
+/**
+ * @typedef {Object} Discount
+ * @property {string} code - Applied promo code
+ * @property {number} amount - Discount in the cart currency
+ * @property {string} currency - Lowercase ISO currency code
+ */
+
+/**
+ * @typedef {Object} Product
+ * @property {string} id - Unique identifier for the product
+ * @property {string} name - Product name
+ * @property {number} price - Product price in the cart currency
+ * @property {string} [description] - Product description
+ * @property {string} [image] - Product image URL
+ */
+
+// ============================================================================
+// API REQUESTS
+// ============================================================================
+
+/** @type {Promise<Object>|null} Pending or completed GET /api/config request */
+let apiConfigRequest = null;
+
+/**
+ * Loads the payment provider settings and the CSRF token, once per page.
+ * @param {boolean} [refresh=false] - Load them again (e.g. after a server restart)
+ * @returns {Promise<Object>} Response of GET /api/config
+ */
+function loadApiConfig(refresh = false) {
+    if (!apiConfigRequest || refresh) {
+        apiConfigRequest = fetch('/api/config').then(response => {
+            if (!response.ok) {
+                throw new Error('Impossible de charger la configuration de paiement');
+            }
+            return response.json();
+        });
+        // A failed request is retried by the next caller
+        apiConfigRequest.catch(() => { apiConfigRequest = null; });
+    }
+    return apiConfigRequest;
+}
+
+/**
+ * Sends a JSON POST request with the CSRF token. A request refused for an
+ * expired token is sent once more with a fresh one.
+ * @param {string} url - API path
+ * @param {Object} body - Request body
+ * @returns {Promise<Response>} Server response
+ */
+async function postJson(url, body) {
+    const send = async (refresh) => {
+        const { csrfToken } = await loadApiConfig(refresh);
+        return fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken
+            },
+            body: JSON.stringify(body)
+        });
+    };
+
+    const response = await send(false);
+    if (response.status !== 403) return response;
+
+    const errorData = await response.clone().json().catch(() => ({}));
+    return errorData.code === 'csrf_token_invalid' ? send(true) : response;
+}
+
+// ============================================================================
+// SHOPPING CART CLASS
+// ============================================================================
+
+/**
+ * Shopping cart manager class.
+ * Handles all cart operations including CRUD, persistence, and UI updates.
+ */
+class ShoppingCart {
+    /**
+     * Creates a new ShoppingCart instance.
+     * Loads existing cart data from localStorage if available.
+     */
+    constructor() {
+        /** @type {CartItem[]} */
+        this.items = this._loadCart();
+        /** @type {string} Lowercase ISO code of the currency shown and charged */
+        this.currency = this._loadCurrency();
+        /** @type {string} ISO code of the destination country for shipping */
+        this.shippingCountry = this._loadShippingCountry();
+        /** @type {ShippingQuote|null} Shipping estimate for the current cart */
+        this.shippingQuote = null;
+        /** @type {number} Sequence number used to ignore outdated quotes */
+        this._shippingRequest = 0;
+        /** @type {string|null} Promo code entered by the buyer */
+        this.promoCode = null;
+        /** @type {Discount|null} Discount granted by the promo code */
+        this.discount = null;
+        /** @type {number} Sequence number used to ignore outdated discounts */
+        this._discountRequest = 0;
+        /** @type {TaxQuote|null} VAT included in the cart total */
+        this.taxQuote = null;
+        /** @type {number} Sequence number used to ignore outdated tax quotes */
+        this._taxRequest = 0;
+
+        this._initShippingCountries();
+        this._initPromoForm();
+        this._initCartControls();
+        this.updateCartUI();
+    }
+
+    // ========================================================================
+    // PRIVATE METHODS
+    // ========================================================================
+
+    /**
+     * Loads cart data from localStorage.
+     * @private
+     * @returns {CartItem[]} Array of cart items or empty array
+     */
+    _loadCart() {
+        try {
+            const saved = localStorage.getItem(CART_CONFIG.STORAGE_KEY);
+            if (!saved) return [];
+
+            const parsed = JSON.parse(saved);
+
+            // Validate parsed data is an array
+            if (!Array.isArray(parsed)) {
+                this._clearCorruptedCart();
+                return [];
+            }
+
+            // Validate and sanitize each item
+            return parsed.filter(item => this._isValidCartItem(item));
+
+        } catch (error) {
+            this._clearCorruptedCart();
+            return [];
+        }
+    }
+
+    /**
+     * Loads the preferred currency from localStorage.
+     * @private
+     * @returns {string} Lowercase ISO currency code
+     */
+    _loadCurrency() {
+        try {
+            return localStorage.getItem(CART_CONFIG.CURRENCY_STORAGE_KEY) ||
+                CART_CONFIG.DEFAULT_CURRENCY;
+        } catch {
+            return CART_CONFIG.DEFAULT_CURRENCY;
+        }
+    }
+
+    /**
+     * Loads the shipping destination from localStorage.
+     * @private
+     * @returns {string} ISO country code
+     */
+    _loadShippingCountry() {
+        try {
+            return localStorage.getItem(CART_CONFIG.SHIPPING_COUNTRY_KEY) ||
+                CART_CONFIG.DEFAULT_SHIPPING_COUNTRY;
+        } catch {
+            return CART_CONFIG.DEFAULT_SHIPPING_COUNTRY;
+        }
+    }
+
+    /**
+     * Validates a cart item has required properties.
+     * @private
+     * @param {*} item - Item to validate
+     * @returns {boolean} True if item is valid
+     */
+    _isValidCartItem(item) {
+        return (
+            item &&
+            typeof item === 'object' &&
+            typeof item.id === 'string' &&
+            item.id.length > 0 &&
+            typeof item.name === 'string' &&
+            item.name.length > 0 &&
+            typeof item.price === 'number' &&
+            item.price > 0 &&
+            typeof item.quantity === 'number' &&
+            item.quantity > 0 &&
+            item.quantity <= CART_CONFIG.MAX_QUANTITY_PER_ITEM
+        );
+    }
+
+    /**
+     * Clears corrupted cart data from localStorage.
+     * @private
+     */
+    _clearCorruptedCart() {
+        try {
+            localStorage.removeItem(CART_CONFIG.STORAGE_KEY);
+        } catch {
+            // localStorage might be unavailable
+        }
+    }
+
+    /**
+     * Saves cart to localStorage.
+     * @private
+     */
+    _saveCart() {
+        try {
+            localStorage.setItem(
+                CART_CONFIG.STORAGE_KEY,
+                JSON.stringify(this.items)
+            );
+        } catch (error) {
+            // Handle quota exceeded or unavailable localStorage
+            this._showNotification('Erreur de sauvegarde du panier', 'error');
+        }
+    }
+
+    /**
+     * Formats a price for display.
+     * @private
+     * @param {number} price - Price to format
+     * @returns {string} Formatted price string
+     */
+    _formatPrice(price) {
+        return new Intl.NumberFormat(document.documentElement.lang || 'fr', {
+            style: 'currency',
+            currency: this.currency.toUpperCase(),
+            minimumFractionDigits: CART_CONFIG.DECIMAL_PLACES
+        }).format(price);
+    }
+
+    /**
+     * Finds an item in the cart by ID.
+     * @private
+     * @param {string} productId - Product ID to find
+     * @returns {CartItem|undefined} Found item or undefined
+     */
+    _findItem(productId) {
+        return this.items.find(item => item.id === productId);
+    }
+
+    // ========================================================================
+    // PUBLIC CART OPERATIONS
+    // ========================================================================
+
+    /**
+     * Adds a product to the cart.
+     * @param {Product} product - Product to add
+     * @returns {boolean} True if item was added successfully
+     */
+    addItem(product) {
+        // Validate product
+        if (!product || typeof product.id !== 'string' || !product.name) {
+            return false;
+        }
+
+        const existingItem = this._findItem(product.id);
+
+        if (existingItem) {
+            // Check quantity limit
+            if (existingItem.quantity >= CART_CONFIG.MAX_QUANTITY_PER_ITEM) {
+                this._showNotification(
+                    `Quantité maximale atteinte (${CART_CONFIG.MAX_QUANTITY_PER_ITEM})`
+                );
+                return false;
+            }
+            existingItem.quantity += 1;
+        } else {
+            // Check item limit
+            if (this.items.length >= CART_CONFIG.MAX_ITEMS) {
+                this._showNotification(
+                    `Panier limité à ${CART_CONFIG.MAX_ITEMS} articles différents`
+                );
+                return false;
+            }
+
+            this.items.push({
+                id: String(product.id),
+                name: String(product.name),
+                price: Number(product.price) || 0,
+                description: product.description ? String(product.description) : '',
+                image: product.image ? String(product.image) : '',
+                quantity: 1
+            });
+        }
+
+        this._saveCart();
+        this.updateCartUI();
+        this._showNotification(product.name + ' ajouté au panier');
+        return true;
+    }
+
+    /**
+     * Removes an item from the cart.
+     * @param {string} productId - ID of product to remove
+     * @returns {boolean} True if item was removed
+     */
+    removeItem(productId) {
+        const initialLength = this.items.length;
+        this.items = this.items.filter(item => item.id !== productId);
+
+        if (this.items.length !== initialLength) {
+            this._saveCart();
+            this.updateCartUI();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Updates the quantity of an item in the cart.
+     * @param {string} productId - ID of product to update
+     * @param {number} quantity - New quantity
+     * @returns {boolean} True if quantity was updated
+     */
+    updateQuantity(productId, quantity) {
+        // Validate quantity
+        const parsedQuantity = parseInt(quantity, 10);
+
+        if (isNaN(parsedQuantity) || parsedQuantity < 0) {
+            return false;
+        }
+
+        if (parsedQuantity === 0) {
+            return this.removeItem(productId);
+        }
+
+        if (parsedQuantity > CART_CONFIG.MAX_QUANTITY_PER_ITEM) {
+            this._showNotification(
+                `Quantité maximale: ${CART_CONFIG.MAX_QUANTITY_PER_ITEM}`
+            );
+            return false;
+        }
+
+        const item = this._findItem(productId);
+        if (item) {
+            item.quantity = parsedQuantity;
+            this._saveCart();
+            this.updateCartUI();
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Calculates the total price of all items in the cart.
+     * @returns {number} Total price
+     */
+    getTotal() {
+        return this.items.reduce(
+            (total, item) => total + (item.price * item.quantity),
+            0
+        );
+    }
+
+    /**
+     * Gets the total count of items in the cart.
+     * @returns {number} Total item count
+     */
+    getItemCount() {
+        return this.items.reduce(
+            (count, item) => count + item.quantity,
+            0
+        );
+    }
+
+    /**
+     * Clears all items from the cart.
+     */
+    clear() {
+        this.items = [];
+        this._saveCart();
+        this.updateCartUI();
+    }
+
+    /**
+     * Replaces the cart with an abandoned cart from a reminder email link.
+     * @param {string} token - Token from the reminder link
+     * @returns {Promise<boolean>} True if the cart was restored
+     */
+    async restore(token) {
+        let data;
+        try {
+            const response = await fetch(
+                '/api/abandoned-carts/' + encodeURIComponent(token) +
+                '?locale=' + encodeURIComponent(document.documentElement.lang || 'fr')
+            );
+            if (!response.ok) {
+                this._showNotification('Ce lien de panier a expiré', 'error');
+                return false;
+            }
+            data = await response.json();
+        } catch (error) {
+            this._showNotification('Impossible de récupérer votre panier', 'error');
+            return false;
+        }
+
+        this.items = data.items.filter(item => this._isValidCartItem(item));
+        this.promoCode = null;
+        this.discount = null;
+        this.currency = data.currency;
+
+        try {
+            localStorage.setItem(CART_CONFIG.CURRENCY_STORAGE_KEY, data.currency);
+        } catch {
+            // localStorage might be unavailable
+        }
+
+        const selector = document.querySelector('.shipping-country');
+        if (data.shippingCountry) {
+            if (selector) selector.value = data.shippingCountry;
+            this.setShippingCountry(data.shippingCountry);
+        }
+
+        this._saveCart();
+        this.updateCartUI();
+        this._showNotification('Votre panier a été restauré');
+        return true;
+    }
+
+    /**
+     * Switches the cart to another currency and reprices its items.
+     * @param {string} currency - Lowercase ISO currency code
+     * @param {Map<string, number>} prices - Artwork prices in that currency, by ID
+     */
+    setCurrency(currency, prices) {
+        this.currency = currency;
+        this.items.forEach(item => {
+            if (prices.has(item.id)) item.price = prices.get(item.id);
+        });
+
+        try {
+            localStorage.setItem(CART_CONFIG.CURRENCY_STORAGE_KEY, currency);
+        } catch {
+            // localStorage might be unavailable
+        }
+
+        this._saveCart();
+        this.updateCartUI();
+    }
+
+    /**
+     * Changes the shipping destination and refreshes the estimate.
+     * @param {string} country - ISO country code
+     */
+    setShippingCountry(country) {
+        this.shippingCountry = country;
+
+        try {
+            localStorage.setItem(CART_CONFIG.SHIPPING_COUNTRY_KEY, country);
+        } catch {
+            // localStorage might be unavailable
+        }
+
+        this.updateCartUI();
+    }
+
+    /**
+     * Gets the estimated shipping cost for the cart.
+     * @returns {number} Shipping cost, or 0 while no estimate is available
+     */
+    getShippingAmount() {
+        return this.shippingQuote ? this.shippingQuote.amount : 0;
+    }
+
+    /**
+     * Gets the promo code discount for the cart.
+     * @returns {number} Discount, or 0 without a valid promo code
+     */
+    getDiscountAmount() {
+        return this.discount ? this.discount.amount : 0;
+    }
+
+    /**
+     * Applies a promo code after checking it with the server.
+     * @param {string} code - Code typed by the buyer
+     * @returns {Promise<boolean>} True if the code was applied
+     */
+    async applyPromoCode(code) {
+        const trimmed = String(code || '').trim();
+        if (!trimmed || this.isEmpty()) return false;
+
+        this.promoCode = trimmed;
+        const applied = await this._refreshDiscount();
+
+        if (applied) {
+            this._showNotification('Code ' + this.discount.code + ' appliqué');
+        }
+        return applied;
+    }
+
+    /**
+     * Removes the promo code from the cart.
+     */
+    removePromoCode() {
+        this.promoCode = null;
+        this.discount = null;
+        this._discountRequest++; // Drop any check still in flight
+        this._renderTotals();
+        this._refreshTaxQuote();
+    }
+
+    /**
+     * Checks if the cart is empty.
+     * @returns {boolean} True if cart has no items
+     */
+    isEmpty() {
+        return this.items.length === 0;
+    }
+
+    // ========================================================================
+    // UI METHODS
+    // ========================================================================
+
+    /**
+     * Updates all cart-related UI elements.
+     */
+    updateCartUI() {
+        this._updateBadge();
+        this._updateCartModal();
+    }
+
+    /**
+     * Updates the cart badge with current item count.
+     * @private
+     */
+    _updateBadge() {
+        const cartBadge = document.querySelector('.cart-badge');
+        const cartCount = document.querySelector('.cart-count');
+        const count = this.getItemCount();
+
+        if (cartBadge) {
+            cartBadge.textContent = String(count);
+            cartBadge.style.display = count > 0 ? 'block' : 'none';
+        }
+
+        if (cartCount) {
+            cartCount.textContent = String(count);
+        }
+    }
+
+    /**
+     * Creates a cart item DOM element using safe methods.
+     * @private
+     * @param {CartItem} item - Cart item to render
+     * @returns {HTMLElement} Cart item element
+     */
+    _createCartItemElement(item) {
+        const cartItem = document.createElement('div');
+        cartItem.className = 'cart-item';
+        cartItem.dataset.id = item.id;
+
+        // Image
+        const img = document.createElement('img');
+        img.src = item.image || '';
+        img.alt = item.name;
+        img.className = 'cart-item-image';
+        img.loading = 'lazy';
+
+        // Info section
+        const info = document.createElement('div');
+        info.className = 'cart-item-info';
+
+        const title = document.createElement('h4');
+        title.textContent = item.name;
+
+        const price = document.createElement('p');
+        price.className = 'cart-item-price';
+        price.textContent = this._formatPrice(item.price);
+
+        info.appendChild(title);
+        info.appendChild(price);
+
+        // Controls section
+        const controls = document.createElement('div');
+        controls.className = 'cart-item-controls';
+
+        const minusBtn = document.createElement('button');
+        minusBtn.className = 'quantity-btn minus';
+        minusBtn.textContent = '−';
+        minusBtn.type = 'button';
+        minusBtn.setAttribute('aria-label', 'Diminuer la quantité');
+        minusBtn.addEventListener('click', () => {
+            this.updateQuantity(item.id, item.quantity - 1);
+        });
+
+        const quantitySpan = document.createElement('span');
+        quantitySpan.className = 'quantity';
+        quantitySpan.textContent = String(item.quantity);
+        quantitySpan.setAttribute('aria-label', `Quantité: ${item.quantity}`);
+
+        const plusBtn = document.createElement('button');
+        plusBtn.className = 'quantity-btn plus';
+        plusBtn.textContent = '+';
+        plusBtn.type = 'button';
+        plusBtn.setAttribute('aria-label', 'Augmenter la quantité');
+        plusBtn.addEventListener('click', () => {
+            this.updateQuantity(item.id, item.quantity + 1);
+        });
+
+        controls.appendChild(minusBtn);
+        controls.appendChild(quantitySpan);
+        controls.appendChild(plusBtn);
+
+        // Remove button
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'remove-item';
+        removeBtn.textContent = '×';
+        removeBtn.type = 'button';
+        removeBtn.setAttribute('aria-label', 'Supprimer ' + item.name);
+        removeBtn.addEventListener('click', () => {
+            this.removeItem(item.id);
+        });
+
+        // Assemble
+        cartItem.appendChild(img);
+        cartItem.appendChild(info);
+        cartItem.appendChild(controls);
+        cartItem.appendChild(removeBtn);
+
+        return cartItem;
+    }
+
+    /**
+     * Updates the cart modal content.
+     * @private
+     */
+    _updateCartModal() {
+        const cartItems = document.querySelector('.cart-items');
+        const emptyCart = document.querySelector('.empty-cart');
+        const checkoutBtn = document.querySelector('.checkout-btn');
+
+        if (!cartItems) return;
+
+        // Clear existing items
+        cartItems.textContent = '';
+
+        if (this.isEmpty()) {
+            if (emptyCart) emptyCart.hidden = false;
+            if (checkoutBtn) checkoutBtn.disabled = true;
+            this._shippingRequest++; // Drop any quote still in flight
+            this.shippingQuote = null;
+            this.removePromoCode();
+            return;
+        }
+
+        if (emptyCart) emptyCart.hidden = true;
+        if (checkoutBtn) checkoutBtn.disabled = false;
+
+        // Add items using safe DOM methods
+        this.items.forEach(item => {
+            const itemElement = this._createCartItemElement(item);
+            cartItems.appendChild(itemElement);
+        });
+
+        this._refreshShippingQuote();
+        this._refreshTaxQuote();
+        if (this.promoCode) this._refreshDiscount();
+    }
+
+    /**
+     * Renders the shipping estimate, the discount and the cart total.
+     * @private
+     */
+    _renderTotals() {
+        const cartTotal = document.querySelector('.cart-total-amount');
+        const shippingAmount = document.querySelector('.cart-shipping-amount');
+        const discountRow = document.querySelector('.cart-discount');
+        const taxLine = document.querySelector('.cart-tax');
+
+        if (shippingAmount) {
+            shippingAmount.textContent = this.shippingQuote
+                ? this._formatPrice(this.shippingQuote.amount)
+                : '—';
+        }
+
+        if (discountRow) {
+            discountRow.hidden = !this.discount;
+            if (this.discount) {
+                discountRow.querySelector('.cart-discount-label').textContent =
+                    'Réduction (' + this.discount.code + ')';
+                discountRow.querySelector('.cart-discount-amount').textContent =
+                    '−' + this._formatPrice(this.discount.amount);
+            }
+        }
+
+        if (cartTotal) {
+            cartTotal.textContent = this._formatPrice(
+                this.getTotal() + this.getShippingAmount() - this.getDiscountAmount()
+            );
+        }
+
+        if (taxLine) {
+            const entries = this.taxQuote
+                ? this.taxQuote.breakdown.filter(entry => entry.amountTax > 0)
+                : [];
+
+            taxLine.hidden = entries.length === 0;
+            taxLine.textContent = entries
+                .map(entry => 'Dont TVA ' + entry.rate.toLocaleString('fr') + ' % : ' +
+                    this._formatPrice(entry.amountTax))
+                .join(' · ');
+        }
+    }
+
+    /**
+     * Loads the VAT included in the cart for the shipping destination.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _refreshTaxQuote() {
+        const request = ++this._taxRequest;
+        this.taxQuote = null;
+        this._renderTotals();
+
+        if (this.isEmpty()) return;
+
+        let quote = null;
+        try {
+            const response = await postJson('/api/tax/quote', {
+                items: this.items.map(item => ({
+                    id: item.id,
+                    quantity: item.quantity
+                })),
+                country: this.shippingCountry,
+                currency: this.currency,
+                promoCode: this.promoCode || undefined
+            });
+
+            if (response.ok) {
+                quote = await response.json();
+            }
+        } catch (error) {
+            // No breakdown shown; Stripe still applies the VAT rates
+        }
+
+        // Ignore responses overtaken by a later cart change
+        if (request !== this._taxRequest) return;
+
+        this.taxQuote = quote;
+        this._renderTotals();
+    }
+
+    /**
+     * Checks the promo code against the current items and currency.
+     * A code that no longer applies (e.g. after removing an artwork) is dropped.
+     * @private
+     * @returns {Promise<boolean>} True if the code applies
+     */
+    async _refreshDiscount() {
+        const request = ++this._discountRequest;
+
+        let result;
+        try {
+            const response = await postJson('/api/promo-codes/validate', {
+                code: this.promoCode,
+                items: this.items.map(item => ({
+                    id: item.id,
+                    quantity: item.quantity
+                })),
+                currency: this.currency
+            });
+            result = { ok: response.ok, data: await response.json().catch(() => ({})) };
+        } catch (error) {
+            result = { ok: false, data: {} };
+        }
+
+        // Ignore responses overtaken by a later cart change
+        if (request !== this._discountRequest) return false;
+
+        if (!result.ok) {
+            this._showNotification(
+                PROMO_ERRORS[result.data.code] || 'Impossible de vérifier le code promo',
+                'error'
+            );
+            this.removePromoCode();
+            return false;
+        }
+
+        this.discount = result.data;
+        this._renderTotals();
+        this._refreshTaxQuote();
+        return true;
+    }
+
+    /**
+     * Binds the buttons opening and closing the cart modal and starting checkout.
+     * @private
+     */
+    _initCartControls() {
+        const openBtn = document.querySelector('.cart-button');
+        const closeBtn = document.querySelector('.close-cart');
+        const checkoutBtn = document.querySelector('.checkout-btn');
+
+        if (openBtn) openBtn.addEventListener('click', () => this.openCart());
+        if (closeBtn) closeBtn.addEventListener('click', () => this.closeCart());
+        if (checkoutBtn) checkoutBtn.addEventListener('click', () => this.checkout());
+    }
+
+    /**
+     * Binds the promo code form of the cart modal.
+     * @private
+     */
+    _initPromoForm() {
+        const form = document.querySelector('.cart-promo');
+        const input = document.querySelector('.promo-code-input');
+        const removeBtn = document.querySelector('.promo-remove-btn');
+
+        if (form && input) {
+            form.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                if (await this.applyPromoCode(input.value)) {
+                    input.value = '';
+                }
+            });
+        }
+
+        if (removeBtn) {
+            removeBtn.addEventListener('click', () => this.removePromoCode());
+        }
+    }
+
+    /**
+     * Loads the shipping estimate for the current items, destination and currency.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _refreshShippingQuote() {
+        const request = ++this._shippingRequest;
+        this.shippingQuote = null;
+        this._renderTotals();
+
+        let quote = null;
+        try {
+            const response = await postJson('/api/shipping/quote', {
+                items: this.items.map(item => ({
+                    id: item.id,
+                    quantity: item.quantity
+                })),
+                country: this.shippingCountry,
+                currency: this.currency
+            });
+
+            if (response.ok) {
+                quote = await response.json();
+            }
+        } catch (error) {
+            // The estimate stays empty; checkout prices shipping server-side
+        }
+
+        // Ignore responses overtaken by a later cart change
+        if (request !== this._shippingRequest) return;
+
+        this.shippingQuote = quote;
+        this._renderTotals();
+    }
+
+    /**
+     * Fills the destination selector with the countries we ship to.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _initShippingCountries() {
+        const selector = document.querySelector('.shipping-country');
+        if (!selector) return;
+
+        selector.addEventListener('change', () => {
+            this.setShippingCountry(selector.value);
+        });
+
+        try {
+            const response = await fetch('/api/shipping/countries');
+            if (!response.ok) return;
+
+            const { countries } = await response.json();
+            const names = new Intl.DisplayNames(
+                [document.documentElement.lang || 'fr'],
+                { type: 'region' }
+            );
+
+            selector.textContent = '';
+            countries.forEach(code => {
+                const option = document.createElement('option');
+                option.value = code;
+                option.textContent = names.of(code);
+                selector.appendChild(option);
+            });
+
+            if (!countries.includes(this.shippingCountry)) {
+                this.setShippingCountry(countries[0]);
+            }
+            selector.value = this.shippingCountry;
+        } catch (error) {
+            // Keep the default destination
+        }
+    }
+
+    /**
+     * Shows a notification message to the user.
+     * @private
+     * @param {string} message - Message to display
+     * @param {string} [type='success'] - Notification type ('success' or 'error')
+     */
+    _showNotification(message, type = 'success') {
+        // Remove existing notification
+        const existing = document.querySelector('.cart-notification');
+        if (existing) existing.remove();
+
+        // Create new notification
+        const notification = document.createElement('div');
+        notification.className = `cart-notification ${type}`;
+        notification.textContent = message;
+        notification.setAttribute('role', 'alert');
+        notification.setAttribute('aria-live', 'polite');
+        document.body.appendChild(notification);
+
+        // Animate in
+        requestAnimationFrame(() => {
+            notification.classList.add('show');
+        });
+
+        // Remove after duration
+        setTimeout(() => {
+            notification.classList.remove('show');
+            setTimeout(() => {
+                if (notification.parentNode) {
+                    notification.remove();
+                }
+            }, CART_CONFIG.NOTIFICATION_FADE_DELAY);
+        }, CART_CONFIG.NOTIFICATION_DURATION);
+    }
+
+    // ========================================================================
+    // MODAL METHODS
+    // ========================================================================
+
+    /**
+     * Opens the cart modal.
+     */
+    openCart() {
+        const modal = document.querySelector('.cart-modal');
+        if (modal) {
+            modal.classList.add('active');
+            document.body.style.overflow = 'hidden';
+            this._updateCartModal();
+
+            // Focus management for accessibility
+            const firstFocusable = modal.querySelector('button, [href], input');
+            if (firstFocusable) {
+                firstFocusable.focus();
+            }
+        }
+    }
+
+    /**
+     * Closes the cart modal.
+     */
+    closeCart() {
+        const modal = document.querySelector('.cart-modal');
+        if (modal) {
+            modal.classList.remove('active');
+            document.body.style.overflow = '';
+        }
+    }
+
+    // ========================================================================
+    // CHECKOUT METHODS
+    // ========================================================================
+
+    /**
+     * Initiates the checkout process with the payment provider.
+     * @returns {Promise<void>}
+     */
+    async checkout() {
+        if (this.isEmpty()) {
+            this._showNotification('Votre panier est vide', 'error');
+            return;
+        }
+
+        const checkoutBtn = document.querySelector('.checkout-btn');
+        const originalText = checkoutBtn?.textContent || 'Passer au paiement';
+
+        try {
+            // Show loading state
+            this._setCheckoutLoading(true);
+
+            // Check that payments are configured
+            const { provider } = await loadApiConfig();
+
+            if (!provider) {
+                throw new Error('Configuration de paiement invalide');
+            }
+
+            // Create checkout session (the server prices items from its catalog)
+            const response = await postJson('/api/create-checkout-session', {
+                items: this.items.map(item => ({
+                    id: item.id,
+                    quantity: item.quantity
+                })),
+                locale: document.documentElement.lang,
+                currency: this.currency,
+                shippingCountry: this.shippingCountry,
+                promoCode: this.promoCode || undefined,
+                marketingConsent: document.querySelector('.marketing-consent')?.checked === true
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+
+                if (CSRF_ERRORS[errorData.code]) {
+                    throw new Error(CSRF_ERRORS[errorData.code]);
+                }
+
+                if (PROMO_ERRORS[errorData.code]) {
+                    this.removePromoCode();
+                    throw new Error(PROMO_ERRORS[errorData.code]);
+                }
+
+                if (CHECKOUT_STOCK_ERRORS[errorData.code]) {
+                    this._refreshAvailability();
+                    throw new Error(CHECKOUT_STOCK_ERRORS[errorData.code]);
+                }
+
+                throw new Error(
+                    errorData.error || 'Erreur lors de la création de la session'
+                );
+            }
+
+            const { url } = await response.json();
+
+            if (!url) {
+                throw new Error('URL de paiement invalide');
+            }
+
+            // Redirect to the hosted checkout page
+            window.location.href = url;
+
+        } catch (error) {
+            this._showNotification(
+                error.message || 'Une erreur est survenue. Veuillez réessayer.',
+                'error'
+            );
+            this._setCheckoutLoading(false, originalText);
+        }
+    }
+
+    /**
+     * Refreshes product availability badges after a stock conflict.
+     * @private
+     */
+    _refreshAvailability() {
+        if (typeof initProductAvailability === 'function') {
+            initProductAvailability();
+        }
+    }
+
+    /**
+     * Sets the checkout button loading state.
+     * @private
+     * @param {boolean} loading - Whether loading is in progress
+     * @param {string} [text] - Button text to restore when not loading
+     */
+    _setCheckoutLoading(loading, text = 'Passer au paiement') {
+        const checkoutBtn = document.querySelector('.checkout-btn');
+        if (checkoutBtn) {
+            checkoutBtn.disabled = loading;
+            checkoutBtn.textContent = loading ? 'Chargement...' : text;
+            checkoutBtn.setAttribute('aria-busy', String(loading));
+        }
+    }
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/** @type {ShoppingCart} Global cart instance */
+const cart = new ShoppingCart();
+
+// Export for module systems (if used)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ShoppingCart, cart, CART_CONFIG, postJson };
+}
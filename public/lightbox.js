@@ -323,6 +323,13 @@ class Lightbox {
     // PUBLIC METHODS
     // ========================================================================
 
+    /**
+     * Adds the images of product cards rendered after the lightbox was created.
+     */
+    addProductImages() {
+        this._collectProductImages();
+    }
+
     /**
      * Opens the lightbox at the specified image index.
      * @param {number} index - Index of image to display
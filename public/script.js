@@ -0,0 +1,753 @@
+/**
+ * @fileoverview Main site interactions for Urban Art e-commerce platform.
+ * Handles navigation, forms, smooth scrolling, product cards rendered from the
+ * catalog, and buy button functionality.
+ * @author Urban Art Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** @type {Object} Site configuration constants */
+const SITE_CONFIG = Object.freeze({
+    SCROLL_OFFSET: 60,
+    NAVBAR_SCROLL_THRESHOLD: 100,
+    EMAIL_REGEX: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    NAME_MIN_LENGTH: 2,
+    NAME_MAX_LENGTH: 100,
+    MESSAGE_MIN_LENGTH: 10,
+    MESSAGE_MAX_LENGTH: 2000
+});
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Validates an email address format.
+ * @param {string} email - Email address to validate
+ * @returns {boolean} True if email format is valid
+ */
+function isValidEmail(email) {
+    if (!email || typeof email !== 'string') return false;
+    return SITE_CONFIG.EMAIL_REGEX.test(email.trim());
+}
+
+/**
+ * Validates a name string.
+ * @param {string} name - Name to validate
+ * @returns {boolean} True if name is valid
+ */
+function isValidName(name) {
+    if (!name || typeof name !== 'string') return false;
+    const trimmed = name.trim();
+    return (
+        trimmed.length >= SITE_CONFIG.NAME_MIN_LENGTH &&
+        trimmed.length <= SITE_CONFIG.NAME_MAX_LENGTH
+    );
+}
+
+/**
+ * Validates a message string.
+ * @param {string} message - Message to validate
+ * @returns {boolean} True if message is valid
+ */
+function isValidMessage(message) {
+    if (!message || typeof message !== 'string') return false;
+    const trimmed = message.trim();
+    return (
+        trimmed.length >= SITE_CONFIG.MESSAGE_MIN_LENGTH &&
+        trimmed.length <= SITE_CONFIG.MESSAGE_MAX_LENGTH
+    );
+}
+
+/**
+ * Sanitizes a string by trimming whitespace.
+ * @param {string} str - String to sanitize
+ * @returns {string} Sanitized string
+ */
+function sanitizeInput(str) {
+    if (!str || typeof str !== 'string') return '';
+    return str.trim();
+}
+
+/**
+ * Extracts numeric price from a price string.
+ * @param {string} priceText - Price text (e.g., "150 €" or "150€")
+ * @returns {number} Numeric price or 0 if invalid
+ */
+function extractPrice(priceText) {
+    if (!priceText || typeof priceText !== 'string') return 0;
+    const cleaned = priceText.replace(/[^\d.,]/g, '').replace(',', '.');
+    const price = parseFloat(cleaned);
+    return isNaN(price) ? 0 : price;
+}
+
+/**
+ * Generates a URL-safe ID from a product name.
+ * @param {string} name - Product name
+ * @returns {string} URL-safe ID
+ */
+function generateProductId(name) {
+    if (!name || typeof name !== 'string') return '';
+    return name
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '') // Remove diacritics
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// ============================================================================
+// NAVIGATION
+// ============================================================================
+
+/**
+ * Initializes the mobile navigation toggle functionality.
+ */
+function initMobileNav() {
+    const hamburger = document.querySelector('.hamburger');
+    const navMenu = document.querySelector('.nav-menu');
+
+    if (!hamburger || !navMenu) return;
+
+    hamburger.addEventListener('click', function() {
+        navMenu.classList.toggle('active');
+        hamburger.classList.toggle('active');
+
+        // Update ARIA attributes
+        const isExpanded = navMenu.classList.contains('active');
+        hamburger.setAttribute('aria-expanded', String(isExpanded));
+    });
+
+    // Close mobile menu when clicking on a link
+    const navLinks = navMenu.querySelectorAll('a');
+    navLinks.forEach(function(link) {
+        link.addEventListener('click', function() {
+            navMenu.classList.remove('active');
+            hamburger.classList.remove('active');
+            hamburger.setAttribute('aria-expanded', 'false');
+        });
+    });
+}
+
+/**
+ * Initializes smooth scrolling for anchor links.
+ */
+function initSmoothScrolling() {
+    const anchorLinks = document.querySelectorAll('a[href^="#"]');
+
+    anchorLinks.forEach(function(anchor) {
+        anchor.addEventListener('click', function(e) {
+            const href = this.getAttribute('href');
+
+            // Skip if just "#"
+            if (href === '#') return;
+
+            const target = document.querySelector(href);
+            if (target) {
+                e.preventDefault();
+                const targetPosition = target.offsetTop - SITE_CONFIG.SCROLL_OFFSET;
+
+                window.scrollTo({
+                    top: targetPosition,
+                    behavior: 'smooth'
+                });
+            }
+        });
+    });
+}
+
+/**
+ * Initializes navbar background change on scroll.
+ */
+function initNavbarScroll() {
+    const navbar = document.querySelector('.navbar');
+    if (!navbar) return;
+
+    let ticking = false;
+
+    window.addEventListener('scroll', function() {
+        if (!ticking) {
+            requestAnimationFrame(function() {
+                if (window.scrollY > SITE_CONFIG.NAVBAR_SCROLL_THRESHOLD) {
+                    navbar.style.background = 'rgba(26, 26, 26, 0.98)';
+                } else {
+                    navbar.style.background = 'linear-gradient(135deg, #1e1e1e 0%, #0a0a0a 100%)';
+                }
+                ticking = false;
+            });
+            ticking = true;
+        }
+    }, { passive: true });
+}
+
+// ============================================================================
+// PRODUCT HANDLING
+// ============================================================================
+
+/**
+ * Extracts product data from a product card element.
+ * @param {HTMLElement} productCard - Product card DOM element
+ * @returns {Object|null} Product data object or null if invalid
+ */
+function extractProductData(productCard) {
+    if (!productCard) return null;
+
+    const nameEl = productCard.querySelector('h3');
+    const priceEl = productCard.querySelector('.product-price');
+    const descEl = productCard.querySelector('.product-description');
+    const imageEl = productCard.querySelector('.product-image img');
+
+    if (!nameEl || !priceEl) return null;
+
+    const id = productCard.dataset.artworkId;
+    const name = sanitizeInput(nameEl.textContent);
+    // Prices rendered by loadPrices() carry the exact amount in the cart currency
+    const price = priceEl.dataset.price
+        ? Number(priceEl.dataset.price)
+        : extractPrice(priceEl.textContent);
+
+    if (!id || !name || price <= 0) return null;
+
+    return {
+        id: id,
+        name: name,
+        price: price,
+        description: descEl ? sanitizeInput(descEl.textContent) : '',
+        image: imageEl ? imageEl.src : ''
+    };
+}
+
+/**
+ * Storefront rendering for each availability status returned by the server.
+ * @type {Object<string, {badge: string, button: string, className: string, disabled: boolean}>}
+ */
+const AVAILABILITY_DISPLAY = Object.freeze({
+    available: { badge: 'badge_available', button: 'btn_buy', className: '', disabled: false },
+    reserved: { badge: 'badge_reserved', button: 'btn_reserved', className: 'reserved', disabled: true },
+    sold_out: { badge: 'badge_sold_out', button: 'btn_sold_out', className: 'sold-out', disabled: true }
+});
+
+/**
+ * Looks up a translation for the current page language.
+ * @param {string} key - Translation key
+ * @returns {string} Translated text, falling back to French
+ */
+function translate(key) {
+    if (typeof translations === 'undefined') return '';
+    const lang = document.documentElement.lang;
+    return (translations[lang] && translations[lang][key]) || translations.fr[key] || '';
+}
+
+/**
+ * Renders the availability badge and buy button of a product card.
+ * The data-i18n keys are updated too so language switches keep the state.
+ * @param {HTMLElement} productCard - Product card DOM element
+ * @param {string} status - Availability status from the server
+ */
+function applyAvailability(productCard, status) {
+    const display = AVAILABILITY_DISPLAY[status];
+    if (!display) return;
+
+    const badge = productCard.querySelector('.product-badge');
+    const button = productCard.querySelector('.buy-button');
+
+    if (badge) {
+        badge.className = ('product-badge ' + display.className).trim();
+        badge.setAttribute('data-i18n', display.badge);
+        badge.textContent = translate(display.badge);
+        badge.hidden = false;
+    }
+
+    if (button) {
+        button.disabled = display.disabled;
+        button.setAttribute('data-i18n', display.button);
+        button.textContent = translate(display.button);
+    }
+}
+
+/**
+ * Loads artwork availability from the server and updates product cards.
+ * @returns {Promise<void>}
+ */
+async function initProductAvailability() {
+    const productCards = document.querySelectorAll('.product-card[data-artwork-id]');
+    if (productCards.length === 0) return;
+
+    try {
+        const response = await fetch('/api/availability');
+        if (!response.ok) return;
+
+        const { artworks } = await response.json();
+        const statusById = new Map(artworks.map(a => [a.id, a.status]));
+
+        productCards.forEach(function(card) {
+            const status = statusById.get(card.dataset.artworkId);
+            if (status) applyAvailability(card, status);
+        });
+    } catch (error) {
+        // Leave cards as rendered; checkout re-checks stock server-side
+    }
+}
+
+/**
+ * Initializes buy button click handlers.
+ */
+function initBuyButtons() {
+    const buyButtons = document.querySelectorAll('.buy-button');
+
+    buyButtons.forEach(function(button) {
+        button.addEventListener('click', function(e) {
+            if (this.disabled) return;
+
+            const productCard = this.closest('.product-card');
+            if (!productCard) return;
+
+            const product = extractProductData(productCard);
+
+            if (product && typeof cart !== 'undefined') {
+                cart.addItem(product);
+
+                // Visual feedback
+                this.classList.add('clicked');
+                setTimeout(() => {
+                    this.classList.remove('clicked');
+                }, 200);
+            }
+        });
+    });
+}
+
+/**
+ * Adds the titles and descriptions of an artwork to the translation
+ * dictionary, so the language switcher translates its card like the rest of
+ * the page. Languages without a text fall back to French.
+ * @param {Object} artwork - Artwork from /api/artworks
+ */
+function addArtworkTranslations(artwork) {
+    if (typeof translations === 'undefined') return;
+
+    Object.keys(translations).forEach(function(lang) {
+        translations[lang]['artwork_' + artwork.id + '_title'] = artwork.title[lang] || artwork.title.fr;
+        translations[lang]['artwork_' + artwork.id + '_desc'] = artwork.description[lang] || artwork.description.fr || '';
+    });
+}
+
+/**
+ * Builds the product card of an artwork.
+ * @param {Object} artwork - Artwork from /api/artworks
+ * @returns {HTMLElement} Product card DOM element
+ */
+function createProductCard(artwork) {
+    const card = document.createElement('div');
+    card.className = 'product-card';
+    card.dataset.artworkId = artwork.id;
+
+    const imageWrapper = document.createElement('div');
+    imageWrapper.className = 'product-image';
+    const img = document.createElement('img');
+    img.src = artwork.image;
+    img.alt = artwork.title.fr;
+    const badge = document.createElement('span');
+    badge.className = 'product-badge';
+    badge.hidden = true;
+    imageWrapper.append(img, badge);
+
+    const info = document.createElement('div');
+    info.className = 'product-info';
+    const title = document.createElement('h3');
+    title.setAttribute('data-i18n', 'artwork_' + artwork.id + '_title');
+    title.textContent = translate('artwork_' + artwork.id + '_title');
+    const description = document.createElement('p');
+    description.className = 'product-description';
+    description.setAttribute('data-i18n', 'artwork_' + artwork.id + '_desc');
+    description.textContent = translate('artwork_' + artwork.id + '_desc');
+    const price = document.createElement('p');
+    price.className = 'product-price';
+    price.textContent = formatCardPrice(artwork.price, 'eur');
+    const button = document.createElement('button');
+    button.className = 'buy-button';
+    button.setAttribute('data-i18n', 'btn_buy');
+    button.textContent = translate('btn_buy');
+    info.append(title, description, price, button);
+
+    card.append(imageWrapper, info);
+    return card;
+}
+
+/**
+ * Loads the artworks for sale and renders their product cards, in the order
+ * set in the back office.
+ * @returns {Promise<void>}
+ */
+async function initProducts() {
+    const grid = document.querySelector('.products-grid');
+    if (!grid) return;
+
+    try {
+        const response = await fetch('/api/artworks');
+        if (!response.ok) return;
+
+        const { artworks } = await response.json();
+        artworks.forEach(addArtworkTranslations);
+        grid.replaceChildren(...artworks.map(createProductCard));
+
+        if (window.lightbox) {
+            window.lightbox.addProductImages();
+        }
+    } catch (error) {
+        // Leave the grid empty; nothing can be bought without the catalog
+    }
+}
+
+// ============================================================================
+// CURRENCY
+// ============================================================================
+
+/**
+ * Formats a whole-unit card price in the current page language.
+ * @param {number} price - Price in major units
+ * @param {string} currency - Lowercase ISO currency code
+ * @returns {string} Formatted price
+ */
+function formatCardPrice(price, currency) {
+    return new Intl.NumberFormat(document.documentElement.lang || 'fr', {
+        style: 'currency',
+        currency: currency.toUpperCase(),
+        maximumFractionDigits: 0
+    }).format(price);
+}
+
+/**
+ * Fills the currency selector with the currencies offered by the server.
+ * @param {string[]} currencies - Lowercase ISO currency codes
+ * @param {string} selected - Currency to select
+ */
+function renderCurrencyOptions(currencies, selected) {
+    const selector = document.querySelector('.currency-selector');
+    if (!selector) return;
+
+    selector.textContent = '';
+    currencies.forEach(function(code) {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = code.toUpperCase();
+        selector.appendChild(option);
+    });
+    selector.value = selected;
+}
+
+/**
+ * Loads artwork prices in a currency and updates product cards and the cart.
+ * @param {string} currency - Lowercase ISO currency code
+ * @returns {Promise<void>}
+ */
+async function loadPrices(currency) {
+    try {
+        const response = await fetch('/api/prices?currency=' + encodeURIComponent(currency));
+        if (!response.ok) return;
+
+        const data = await response.json();
+        const prices = new Map(data.artworks.map(a => [a.id, a.price]));
+
+        document.querySelectorAll('.product-card[data-artwork-id]').forEach(function(card) {
+            const priceEl = card.querySelector('.product-price');
+            const price = prices.get(card.dataset.artworkId);
+            if (!priceEl || price === undefined) return;
+
+            priceEl.dataset.price = String(price);
+            priceEl.textContent = formatCardPrice(price, data.currency);
+        });
+
+        renderCurrencyOptions(data.currencies, data.currency);
+
+        if (typeof cart !== 'undefined') {
+            cart.setCurrency(data.currency, prices);
+        }
+    } catch (error) {
+        // Keep the euro prices rendered in the page
+    }
+}
+
+/**
+ * Initializes the currency selector with the visitor's preferred currency.
+ */
+function initCurrencySelector() {
+    const selector = document.querySelector('.currency-selector');
+    const preferred = typeof cart !== 'undefined' ? cart.currency : 'eur';
+
+    if (selector) {
+        selector.addEventListener('change', function() {
+            loadPrices(this.value);
+        });
+    }
+
+    loadPrices(preferred);
+}
+
+// ============================================================================
+// CART RECOVERY
+// ============================================================================
+
+/**
+ * Restores the cart from a reminder email link (?restore=<token>), then
+ * removes the token from the address bar and opens the cart.
+ * @returns {Promise<void>}
+ */
+async function initCartRestore() {
+    const token = new URLSearchParams(window.location.search).get('restore');
+    if (!token || typeof cart === 'undefined') return;
+
+    const url = new URL(window.location.href);
+    url.searchParams.delete('restore');
+    window.history.replaceState(null, '', url.pathname + url.search + url.hash);
+
+    if (await cart.restore(token)) {
+        cart.openCart();
+    }
+}
+
+/**
+ * Opens the cart when another page links to the shop with ?cart=open
+ * (e.g. "Voir mon panier" after a cancelled checkout).
+ */
+function initCartLink() {
+    const url = new URL(window.location.href);
+    if (url.searchParams.get('cart') !== 'open' || typeof cart === 'undefined') return;
+
+    url.searchParams.delete('cart');
+    window.history.replaceState(null, '', url.pathname + url.search + url.hash);
+    cart.openCart();
+}
+
+// ============================================================================
+// CONTACT FORM
+// ============================================================================
+
+/**
+ * Validates contact form data.
+ * @param {Object} data - Form data object
+ * @param {string} data.name - Contact name
+ * @param {string} data.email - Contact email
+ * @param {string} data.message - Contact message
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+function validateContactForm(data) {
+    const errors = [];
+
+    if (!isValidName(data.name)) {
+        errors.push('Veuillez entrer un nom valide (2-100 caractères)');
+    }
+
+    if (!isValidEmail(data.email)) {
+        errors.push('Veuillez entrer une adresse email valide');
+    }
+
+    if (!isValidMessage(data.message)) {
+        errors.push('Veuillez entrer un message (10-2000 caractères)');
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors: errors
+    };
+}
+
+/**
+ * Shows form validation errors to the user.
+ * @param {HTMLFormElement} form - Form element
+ * @param {string[]} errors - Array of error messages
+ */
+function showFormErrors(form, errors) {
+    // Remove existing error container
+    const existingErrors = form.querySelector('.form-errors');
+    if (existingErrors) existingErrors.remove();
+
+    if (errors.length === 0) return;
+
+    const errorContainer = document.createElement('div');
+    errorContainer.className = 'form-errors';
+    errorContainer.setAttribute('role', 'alert');
+
+    errors.forEach(error => {
+        const errorP = document.createElement('p');
+        errorP.className = 'form-error';
+        errorP.textContent = error;
+        errorContainer.appendChild(errorP);
+    });
+
+    form.insertBefore(errorContainer, form.firstChild);
+}
+
+/**
+ * Requests a contact form token from the server.
+ * The token records when the form was shown, for the anti-spam timing check.
+ * @param {HTMLFormElement} form - Contact form element
+ * @returns {Promise<void>}
+ */
+async function loadContactFormToken(form) {
+    try {
+        const response = await fetch('/api/contact/token');
+        if (!response.ok) return;
+
+        const { token } = await response.json();
+        form.dataset.formToken = token;
+    } catch (error) {
+        // Submission will report the error
+    }
+}
+
+/**
+ * Sends a contact message to the server.
+ * @param {Object} formData - Validated form data
+ * @returns {Promise<{ok: boolean, errors: string[]}>} Submission result
+ */
+async function submitContactForm(formData) {
+    try {
+        // postJson() from cart.js adds the CSRF token
+        const response = await postJson('/api/contact', formData);
+
+        if (response.ok) {
+            return { ok: true, errors: [] };
+        }
+
+        const errorData = await response.json().catch(() => ({}));
+        return {
+            ok: false,
+            errors: errorData.errors || [errorData.error || 'Erreur lors de l\'envoi du message']
+        };
+    } catch (error) {
+        return { ok: false, errors: ['Impossible d\'envoyer le message. Veuillez réessayer.'] };
+    }
+}
+
+/**
+ * Initializes contact form submission handling.
+ */
+function initContactForm() {
+    const contactForm = document.querySelector('.contact-form');
+    if (!contactForm) return;
+
+    loadContactFormToken(contactForm);
+
+    contactForm.addEventListener('submit', async function(e) {
+        e.preventDefault();
+
+        const nameInput = this.querySelector('input[type="text"]:not([name="website"])');
+        const emailInput = this.querySelector('input[type="email"]');
+        const messageInput = this.querySelector('textarea');
+        const honeypotInput = this.querySelector('input[name="website"]');
+        const submitButton = this.querySelector('button[type="submit"]');
+
+        if (!nameInput || !emailInput || !messageInput) return;
+
+        const formData = {
+            name: sanitizeInput(nameInput.value),
+            email: sanitizeInput(emailInput.value),
+            message: sanitizeInput(messageInput.value)
+        };
+
+        const validation = validateContactForm(formData);
+
+        if (!validation.valid) {
+            showFormErrors(this, validation.errors);
+            return;
+        }
+
+        // Clear any previous errors
+        showFormErrors(this, []);
+
+        if (submitButton) submitButton.disabled = true;
+
+        const result = await submitContactForm({
+            ...formData,
+            website: honeypotInput ? honeypotInput.value : '',
+            formToken: this.dataset.formToken || '',
+            locale: document.documentElement.lang
+        });
+
+        if (submitButton) submitButton.disabled = false;
+
+        if (!result.ok) {
+            showFormErrors(this, result.errors);
+            return;
+        }
+
+        showSuccessMessage(this, 'Message envoyé avec succès !');
+        this.reset();
+        loadContactFormToken(this);
+    });
+}
+
+/**
+ * Shows a success message after form submission.
+ * @param {HTMLFormElement} form - Form element
+ * @param {string} message - Success message
+ */
+function showSuccessMessage(form, message) {
+    // Remove existing success message
+    const existingSuccess = form.querySelector('.form-success');
+    if (existingSuccess) existingSuccess.remove();
+
+    const successDiv = document.createElement('div');
+    successDiv.className = 'form-success';
+    successDiv.setAttribute('role', 'status');
+    successDiv.textContent = message;
+
+    form.insertBefore(successDiv, form.firstChild);
+
+    // Remove after 5 seconds
+    setTimeout(() => {
+        if (successDiv.parentNode) {
+            successDiv.remove();
+        }
+    }, 5000);
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Initializes all site functionality when DOM is ready.
+ */
+function initSite() {
+    initMobileNav();
+    initSmoothScrolling();
+    initNavbarScroll();
+    // Product cards must exist before buttons, prices and badges are set up
+    initProducts().then(function() {
+        initBuyButtons();
+        // The restored cart sets the currency the selector starts with
+        initCartRestore().then(initCurrencySelector);
+        initProductAvailability();
+    });
+    initCartLink();
+    initContactForm();
+}
+
+// Initialize when DOM is ready (the server only reuses the validators)
+if (typeof document !== 'undefined') {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initSite);
+    } else {
+        initSite();
+    }
+}
+
+// Export for module systems (if used)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        isValidEmail,
+        isValidName,
+        isValidMessage,
+        extractPrice,
+        generateProductId,
+        validateContactForm
+    };
+}
@@ -51,27 +51,16 @@ const translations = {
         sculpt_title: "Sculptures",
         sculpt_description: "Créations en béton & matériaux industriels",
 
-        // Products
-        product_1_title: "Buste Monumental",
-        product_1_desc: "Sculpture monumentale / Présence imposante, édition unique",
-        product_2_title: "Cerveau Connecté",
-        product_2_desc: "Connexions mortes / Réseaux sans humanité, 40x30cm",
-        product_3_title: "Texture Lunaire",
-        product_3_desc: "Cratères urbains / Surface désolée, 50x40cm",
-        product_4_title: "Surface Abstraite",
-        product_4_desc: "Chaos organisé / Beauté du délabrement, 45x35cm",
-        product_5_title: "Matière Brute",
-        product_5_desc: "Peau de la ville / Cicatrices visibles, 60x45cm",
-        product_6_title: "Cratères",
-        product_6_desc: "Impacts du temps / Violence minérale, 50x40cm",
-        product_7_title: "Relief Organique",
-        product_7_desc: "Mutations urbaines / Chair de pierre, 55x40cm",
-
         // Product Actions
         badge_available: "Disponible",
         badge_sold_out: "Épuisé",
         btn_buy: "Acheter",
         btn_sold_out: "Épuisé",
+        badge_reserved: "Réservé",
+        btn_reserved: "Réservé",
+
+        // Cart
+        cart_consent: "J'accepte d'être recontacté(e) par email si je ne finalise pas ma commande",
 
         // Contact Section
         contact_title: "Contact",
@@ -87,7 +76,34 @@ const translations = {
         form_submit: "Envoyer",
 
         // Footer
-        footer_rights: "Tous droits réservés."
+        footer_rights: "Tous droits réservés.",
+
+        // Emails
+        email_greeting: "Bonjour {name},",
+        email_greeting_default: "Bonjour,",
+        email_confirmation_subject: "Confirmation de votre commande {orderId}",
+        email_confirmation_intro: "Merci pour votre achat ! Votre commande {orderId} est confirmée et sera préparée avec soin dans notre atelier.",
+        email_items_title: "Votre commande",
+        email_total: "Total",
+        email_tax_included: "Dont TVA ({rate} %)",
+        email_shipping_cost: "Livraison",
+        email_discount: "Réduction ({code})",
+        email_shipping_title: "Adresse de livraison",
+        email_packed_subject: "Votre commande {orderId} est prête",
+        email_packed_intro: "Votre commande {orderId} est emballée avec soin et partira très bientôt de notre atelier.",
+        email_shipped_subject: "Votre commande {orderId} a été expédiée",
+        email_shipped_intro: "Bonne nouvelle : votre commande {orderId} a quitté notre atelier.",
+        email_tracking: "Numéro de suivi : {trackingNumber}",
+        email_delivered_subject: "Votre commande {orderId} a été livrée",
+        email_delivered_intro: "Votre commande {orderId} a été livrée. Nous espérons que vos œuvres vous plaisent ; répondez simplement à cet email pour toute question.",
+        email_refunded_subject: "Remboursement de votre commande {orderId}",
+        email_refunded_intro: "Nous avons remboursé {amount} sur votre commande {orderId}. Le montant apparaîtra sur votre relevé d'ici quelques jours.",
+        email_recovery_subject: "Votre sélection Urban Art vous attend",
+        email_recovery_intro: "Vous avez laissé des œuvres dans votre panier : {items}. Nous les avons gardées pour vous, retrouvez votre panier en un clic.",
+        email_recovery_button: "Reprendre ma commande",
+        email_recovery_note: "Les pièces uniques restent disponibles à la vente ; ce rappel est le seul que nous vous enverrons.",
+        email_signoff: "À bientôt,",
+        email_team: "L'équipe Urban Art"
     },
 
     uz: {
@@ -142,27 +158,16 @@ const translations = {
         sculpt_title: "Haykallar",
         sculpt_description: "Beton va sanoat materiallaridan yaratilgan asarlar",
 
-        // Products
-        product_1_title: "Monumental Byust",
-        product_1_desc: "Monumental haykaltaroshlik / Ta'sirchan mavjudlik, noyob nashr",
-        product_2_title: "Ulangan Miya",
-        product_2_desc: "O'lik aloqalar / Insoniyatsiz tarmoqlar, 40x30sm",
-        product_3_title: "Oy Teksturasi",
-        product_3_desc: "Shahar kraterlar / Kimsasiz sirt, 50x40sm",
-        product_4_title: "Abstrakt Sirt",
-        product_4_desc: "Tartibli betartiblik / Vayronaning go'zalligi, 45x35sm",
-        product_5_title: "Xom Modda",
-        product_5_desc: "Shahar terisi / Ko'rinadigan chandiqlar, 60x45sm",
-        product_6_title: "Kraterlar",
-        product_6_desc: "Vaqtning ta'siri / Mineral zo'ravonlik, 50x40sm",
-        product_7_title: "Organik Relyef",
-        product_7_desc: "Shahar mutatsiyalari / Tosh go'shti, 55x40sm",
-
         // Product Actions
         badge_available: "Mavjud",
         badge_sold_out: "Sotilgan",
         btn_buy: "Sotib olish",
         btn_sold_out: "Sotilgan",
+        badge_reserved: "Band qilingan",
+        btn_reserved: "Band qilingan",
+
+        // Cart
+        cart_consent: "Buyurtmamni yakunlamasam, men bilan email orqali bog'lanishlariga roziman",
 
         // Contact Section
         contact_title: "Aloqa",
@@ -178,7 +183,34 @@ const translations = {
         form_submit: "Yuborish",
 
         // Footer
-        footer_rights: "Barcha huquqlar himoyalangan."
+        footer_rights: "Barcha huquqlar himoyalangan.",
+
+        // Emails
+        email_greeting: "Assalomu alaykum, {name}!",
+        email_greeting_default: "Assalomu alaykum!",
+        email_confirmation_subject: "{orderId} buyurtmangiz tasdiqlandi",
+        email_confirmation_intro: "Xaridingiz uchun rahmat! {orderId} buyurtmangiz tasdiqlandi va ustaxonamizda ehtiyotkorlik bilan tayyorlanadi.",
+        email_items_title: "Buyurtmangiz",
+        email_total: "Jami",
+        email_tax_included: "Shu jumladan QQS ({rate}%)",
+        email_shipping_cost: "Yetkazib berish",
+        email_discount: "Chegirma ({code})",
+        email_shipping_title: "Yetkazib berish manzili",
+        email_packed_subject: "{orderId} buyurtmangiz tayyor",
+        email_packed_intro: "{orderId} buyurtmangiz ehtiyotkorlik bilan qadoqlandi va tez orada ustaxonamizdan jo'natiladi.",
+        email_shipped_subject: "{orderId} buyurtmangiz jo'natildi",
+        email_shipped_intro: "Xushxabar: {orderId} buyurtmangiz ustaxonamizdan jo'natildi.",
+        email_tracking: "Kuzatuv raqami: {trackingNumber}",
+        email_delivered_subject: "{orderId} buyurtmangiz yetkazib berildi",
+        email_delivered_intro: "{orderId} buyurtmangiz yetkazib berildi. Asarlar sizga yoqadi degan umiddamiz; savollaringiz bo'lsa, ushbu xatga javob yozing.",
+        email_refunded_subject: "{orderId} buyurtmangiz uchun pul qaytarildi",
+        email_refunded_intro: "{orderId} buyurtmangiz uchun {amount} qaytarildi. Mablag' bir necha kun ichida hisobingizda paydo bo'ladi.",
+        email_recovery_subject: "Urban Art tanlovingiz sizni kutmoqda",
+        email_recovery_intro: "Savatchangizda asarlar qoldi: {items}. Savatchangizni bir marta bosish bilan qaytaring.",
+        email_recovery_button: "Buyurtmani davom ettirish",
+        email_recovery_note: "Noyob asarlar sotuvda qolmoqda; bu biz yuboradigan yagona eslatma.",
+        email_signoff: "Hurmat bilan,",
+        email_team: "Urban Art jamoasi"
     },
 
     ru: {
@@ -233,27 +265,16 @@ const translations = {
         sculpt_title: "Скульптуры",
         sculpt_description: "Творения из бетона и промышленных материалов",
 
-        // Products
-        product_1_title: "Монументальный Бюст",
-        product_1_desc: "Монументальная скульптура / Впечатляющее присутствие, уникальное издание",
-        product_2_title: "Подключенный Мозг",
-        product_2_desc: "Мёртвые связи / Сети без человечности, 40x30см",
-        product_3_title: "Лунная Текстура",
-        product_3_desc: "Городские кратеры / Пустынная поверхность, 50x40см",
-        product_4_title: "Абстрактная Поверхность",
-        product_4_desc: "Организованный хаос / Красота упадка, 45x35см",
-        product_5_title: "Сырая Материя",
-        product_5_desc: "Кожа города / Видимые шрамы, 60x45см",
-        product_6_title: "Кратеры",
-        product_6_desc: "Воздействие времени / Минеральное насилие, 50x40см",
-        product_7_title: "Органический Рельеф",
-        product_7_desc: "Городские мутации / Каменная плоть, 55x40см",
-
         // Product Actions
         badge_available: "Доступно",
         badge_sold_out: "Продано",
         btn_buy: "Купить",
         btn_sold_out: "Продано",
+        badge_reserved: "Зарезервировано",
+        btn_reserved: "Зарезервировано",
+
+        // Cart
+        cart_consent: "Я согласен(на), чтобы со мной связались по email, если я не завершу заказ",
 
         // Contact Section
         contact_title: "Контакт",
@@ -269,7 +290,34 @@ const translations = {
         form_submit: "Отправить",
 
         // Footer
-        footer_rights: "Все права защищены."
+        footer_rights: "Все права защищены.",
+
+        // Emails
+        email_greeting: "Здравствуйте, {name}!",
+        email_greeting_default: "Здравствуйте!",
+        email_confirmation_subject: "Подтверждение заказа {orderId}",
+        email_confirmation_intro: "Спасибо за покупку! Ваш заказ {orderId} подтверждён и будет бережно подготовлен в нашей мастерской.",
+        email_items_title: "Ваш заказ",
+        email_total: "Итого",
+        email_tax_included: "Включая НДС ({rate}%)",
+        email_shipping_cost: "Доставка",
+        email_discount: "Скидка ({code})",
+        email_shipping_title: "Адрес доставки",
+        email_packed_subject: "Ваш заказ {orderId} готов",
+        email_packed_intro: "Ваш заказ {orderId} бережно упакован и скоро покинет нашу мастерскую.",
+        email_shipped_subject: "Ваш заказ {orderId} отправлен",
+        email_shipped_intro: "Хорошие новости: ваш заказ {orderId} покинул нашу мастерскую.",
+        email_tracking: "Номер отслеживания: {trackingNumber}",
+        email_delivered_subject: "Ваш заказ {orderId} доставлен",
+        email_delivered_intro: "Ваш заказ {orderId} доставлен. Надеемся, что работы вам понравятся; если есть вопросы, просто ответьте на это письмо.",
+        email_refunded_subject: "Возврат средств по заказу {orderId}",
+        email_refunded_intro: "Мы вернули {amount} по вашему заказу {orderId}. Средства поступят на ваш счёт в течение нескольких дней.",
+        email_recovery_subject: "Ваш выбор Urban Art ждёт вас",
+        email_recovery_intro: "Вы оставили в корзине работы: {items}. Верните свою корзину одним щелчком.",
+        email_recovery_button: "Продолжить заказ",
+        email_recovery_note: "Уникальные работы остаются в продаже; это единственное напоминание, которое мы отправим.",
+        email_signoff: "До встречи,",
+        email_team: "Команда Urban Art"
     },
 
     zh: {
@@ -324,27 +372,16 @@ const translations = {
         sculpt_title: "雕塑",
         sculpt_description: "混凝土和工业材料的创作",
 
-        // Products
-        product_1_title: "纪念半身像",
-        product_1_desc: "纪念性雕塑 / 震撼存在，独特版本",
-        product_2_title: "连接的大脑",
-        product_2_desc: "死亡连接 / 没有人性的网络，40x30厘米",
-        product_3_title: "月球纹理",
-        product_3_desc: "城市陨石坑 / 荒凉表面，50x40厘米",
-        product_4_title: "抽象表面",
-        product_4_desc: "有组织的混乱 / 衰败之美，45x35厘米",
-        product_5_title: "原始物质",
-        product_5_desc: "城市的皮肤 / 可见的伤疤，60x45厘米",
-        product_6_title: "陨石坑",
-        product_6_desc: "时间的冲击 / 矿物暴力，50x40厘米",
-        product_7_title: "有机浮雕",
-        product_7_desc: "城市突变 / 石头肉体，55x40厘米",
-
         // Product Actions
         badge_available: "可用",
         badge_sold_out: "售罄",
         btn_buy: "购买",
         btn_sold_out: "售罄",
+        badge_reserved: "已预订",
+        btn_reserved: "已预订",
+
+        // Cart
+        cart_consent: "如果我未完成订单，我同意通过电子邮件与我联系",
 
         // Contact Section
         contact_title: "联系",
@@ -360,7 +397,34 @@ const translations = {
         form_submit: "发送",
 
         // Footer
-        footer_rights: "版权所有。"
+        footer_rights: "版权所有。",
+
+        // Emails
+        email_greeting: "{name}，您好：",
+        email_greeting_default: "您好：",
+        email_confirmation_subject: "您的订单 {orderId} 已确认",
+        email_confirmation_intro: "感谢您的购买！您的订单 {orderId} 已确认，我们的工作室将精心为您准备。",
+        email_items_title: "您的订单",
+        email_total: "总计",
+        email_tax_included: "含增值税 ({rate}%)",
+        email_shipping_cost: "运费",
+        email_discount: "优惠 ({code})",
+        email_shipping_title: "收货地址",
+        email_packed_subject: "您的订单 {orderId} 已备好",
+        email_packed_intro: "您的订单 {orderId} 已精心包装，即将从我们的工作室发出。",
+        email_shipped_subject: "您的订单 {orderId} 已发货",
+        email_shipped_intro: "好消息：您的订单 {orderId} 已从我们的工作室发出。",
+        email_tracking: "物流单号：{trackingNumber}",
+        email_delivered_subject: "您的订单 {orderId} 已送达",
+        email_delivered_intro: "您的订单 {orderId} 已送达。希望您喜欢这些作品；如有任何问题，请直接回复此邮件。",
+        email_refunded_subject: "订单 {orderId} 退款通知",
+        email_refunded_intro: "我们已为您的订单 {orderId} 退款 {amount}。款项将在几天内退回您的账户。",
+        email_recovery_subject: "您的 Urban Art 精选作品在等您",
+        email_recovery_intro: "您的购物车中还有作品：{items}。一键即可恢复您的购物车。",
+        email_recovery_button: "继续下单",
+        email_recovery_note: "独件作品仍在出售；这是我们发送的唯一一次提醒。",
+        email_signoff: "此致，",
+        email_team: "Urban Art 团队"
     },
 
     en: {
@@ -415,27 +479,16 @@ const translations = {
         sculpt_title: "Sculptures",
         sculpt_description: "Creations in concrete & industrial materials",
 
-        // Products
-        product_1_title: "Monumental Bust",
-        product_1_desc: "Monumental sculpture / Imposing presence, unique edition",
-        product_2_title: "Connected Brain",
-        product_2_desc: "Dead connections / Networks without humanity, 40x30cm",
-        product_3_title: "Lunar Texture",
-        product_3_desc: "Urban craters / Desolate surface, 50x40cm",
-        product_4_title: "Abstract Surface",
-        product_4_desc: "Organized chaos / Beauty of decay, 45x35cm",
-        product_5_title: "Raw Matter",
-        product_5_desc: "City skin / Visible scars, 60x45cm",
-        product_6_title: "Craters",
-        product_6_desc: "Impact of time / Mineral violence, 50x40cm",
-        product_7_title: "Organic Relief",
-        product_7_desc: "Urban mutations / Stone flesh, 55x40cm",
-
         // Product Actions
         badge_available: "Available",
         badge_sold_out: "Sold Out",
         btn_buy: "Buy",
         btn_sold_out: "Sold Out",
+        badge_reserved: "Reserved",
+        btn_reserved: "Reserved",
+
+        // Cart
+        cart_consent: "I agree to be contacted by email if I don't complete my order",
 
         // Contact Section
         contact_title: "Contact",
@@ -451,12 +504,39 @@ const translations = {
         form_submit: "Send",
 
         // Footer
-        footer_rights: "All rights reserved."
+        footer_rights: "All rights reserved.",
+
+        // Emails
+        email_greeting: "Hello {name},",
+        email_greeting_default: "Hello,",
+        email_confirmation_subject: "Your order {orderId} is confirmed",
+        email_confirmation_intro: "Thank you for your purchase! Your order {orderId} is confirmed and will be carefully prepared in our studio.",
+        email_items_title: "Your order",
+        email_total: "Total",
+        email_tax_included: "Including VAT ({rate}%)",
+        email_shipping_cost: "Shipping",
+        email_discount: "Discount ({code})",
+        email_shipping_title: "Shipping address",
+        email_packed_subject: "Your order {orderId} is ready",
+        email_packed_intro: "Your order {orderId} has been carefully packed and will leave our studio very soon.",
+        email_shipped_subject: "Your order {orderId} has shipped",
+        email_shipped_intro: "Good news: your order {orderId} has left our studio.",
+        email_tracking: "Tracking number: {trackingNumber}",
+        email_delivered_subject: "Your order {orderId} has been delivered",
+        email_delivered_intro: "Your order {orderId} has been delivered. We hope you enjoy your artworks; simply reply to this email if you have any questions.",
+        email_refunded_subject: "Refund for your order {orderId}",
+        email_refunded_intro: "We have refunded {amount} for your order {orderId}. It will appear on your statement within a few days.",
+        email_recovery_subject: "Your Urban Art selection is waiting",
+        email_recovery_intro: "You left artworks in your cart: {items}. Pick up where you left off in one click.",
+        email_recovery_button: "Resume my order",
+        email_recovery_note: "Unique pieces remain on sale to other buyers; this is the only reminder we will send.",
+        email_signoff: "See you soon,",
+        email_team: "The Urban Art team"
     }
 };
 
 // Language switcher functionality
-let currentLang = localStorage.getItem('preferredLanguage') || 'fr';
+let currentLang = (typeof localStorage !== 'undefined' && localStorage.getItem('preferredLanguage')) || 'fr';
 
 function setLanguage(lang) {
     currentLang = lang;
@@ -484,15 +564,22 @@ function setLanguage(lang) {
     document.documentElement.lang = lang;
 }
 
-// Initialize language on page load
-document.addEventListener('DOMContentLoaded', () => {
-    setLanguage(currentLang);
-
-    // Add click handlers to language buttons
-    document.querySelectorAll('.lang-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-            const lang = btn.getAttribute('data-lang');
-            setLanguage(lang);
+// Initialize language on page load (the server only loads the dictionary, for emails)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        setLanguage(currentLang);
+
+        // Add click handlers to language buttons
+        document.querySelectorAll('.lang-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const lang = btn.getAttribute('data-lang');
+                setLanguage(lang);
+            });
         });
     });
-});
+}
+
+// Export for module systems (used by server-side email templates)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { translations };
+}
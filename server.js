@@ -1,5 +1,6 @@
 /**
- * @fileoverview Express server for Urban Art e-commerce platform with Stripe integration.
+ * @fileoverview Express server for Urban Art e-commerce platform with Stripe integration
+ * (or the offline mock payment provider in development).
  * Handles checkout sessions, webhooks, and serves static content.
  * @author Urban Art Team
  * @version 2.0.0
@@ -7,145 +8,112 @@
 
 'use strict';
 
-require('dotenv').config();
+const { config, configErrors } = require('./lib/config');
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-const path = require('path');
+const cookieParser = require('cookie-parser');
+const crypto = require('crypto');
+const { logger, createRequestContextMiddleware } = require('./lib/logger');
+const rateLimit = require('./lib/rate-limit');
+const csp = require('./lib/csp');
+const assets = require('./lib/assets');
+const csrf = require('./lib/csrf');
+const adminAuth = require('./lib/admin-auth');
+const payments = require('./lib/payments');
+const catalog = require('./lib/catalog');
+const currency = require('./lib/currency');
+const shipping = require('./lib/shipping');
+const promotions = require('./lib/promotions');
+const tax = require('./lib/tax');
+const inventory = require('./lib/inventory');
+const invoices = require('./lib/invoices');
+const orders = require('./lib/orders');
+const webhookJournal = require('./lib/webhook-journal');
+const emails = require('./lib/emails');
+const contact = require('./lib/contact');
+const recovery = require('./lib/recovery');
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
-/** @type {Object} Server configuration constants */
+/** @type {Object} Server configuration constants (settings come from lib/config.js) */
 const CONFIG = Object.freeze({
-    PORT: process.env.PORT || 3000,
-    FRONTEND_URL: process.env.FRONTEND_URL || 'http://localhost:3000',
-    ALLOWED_COUNTRIES: ['FR', 'BE', 'CH', 'DE', 'IT', 'ES', 'NL', 'LU'],
-    CURRENCY: 'eur',
-    RATE_LIMIT: {
-        WINDOW_MS: 60 * 1000, // 1 minute
-        MAX_REQUESTS: 100
-    }
-});
-
-// ============================================================================
-// LOGGER UTILITY
-// ============================================================================
-
-/**
- * Logging levels for consistent output formatting.
- * @readonly
- * @enum {string}
- */
-const LogLevel = Object.freeze({
-    INFO: 'INFO',
-    WARN: 'WARN',
-    ERROR: 'ERROR',
-    DEBUG: 'DEBUG'
-});
-
-/**
- * Logger utility for consistent, structured logging.
- * In production, this could be replaced with a proper logging library.
- */
-const logger = {
-    /**
-     * Formats a log message with timestamp and level.
-     * @param {string} level - The log level
-     * @param {string} message - The message to log
-     * @param {Object} [data] - Optional data to include
-     * @returns {string} Formatted log string
-     */
-    format(level, message, data = null) {
-        const timestamp = new Date().toISOString();
-        const dataStr = data ? ` ${JSON.stringify(data)}` : '';
-        return `[${timestamp}] [${level}] ${message}${dataStr}`;
+    PORT: config.server.port,
+    FRONTEND_URL: config.server.frontendUrl,
+    // Stripe rejects sessions expiring less than 30 minutes after creation;
+    // the extra minute absorbs request latency and clock skew
+    CHECKOUT_SESSION_MINUTES: 31,
+    // Extra hold time covering webhooks for payments completed at expiry
+    RESERVATION_GRACE_MINUTES: 5,
+    // How often abandoned carts are checked for due reminders
+    CART_REMINDER_INTERVAL_MS: 10 * 60 * 1000,
+    // Readiness probes reuse a payment provider check for this long
+    PROVIDER_CHECK_CACHE_MS: 30 * 1000,
+    // Refund reasons accepted by Stripe
+    REFUND_REASONS: ['duplicate', 'fraudulent', 'requested_by_customer'],
+    // Proxy hops to trust for the client IP: "true", a hop count or a list of
+    // addresses/subnets (see Express "trust proxy"). Off unless configured.
+    TRUST_PROXY: config.server.trustProxy,
+    // Rate limit policies by name; limits are set by the RATE_LIMIT_* settings
+    RATE_LIMIT_POLICIES: {
+        // Default for /api/ and /admin/ routes
+        api: { WINDOW_MS: 60 * 1000, MAX_REQUESTS: config.rateLimits.api },
+        // Read on every page load
+        config: { WINDOW_MS: 60 * 1000, MAX_REQUESTS: config.rateLimits.config },
+        // Each attempt reserves stock and creates a payment session
+        checkout: { WINDOW_MS: 60 * 1000, MAX_REQUESTS: config.rateLimits.checkout },
+        contact: {
+            WINDOW_MS: 60 * 60 * 1000, // 1 hour
+            MAX_REQUESTS: config.rateLimits.contact,
+            MESSAGE: 'Trop de messages envoyés. Veuillez réessayer plus tard.'
+        },
+        // Password guessing; accounts also lock after repeated failures
+        login: {
+            WINDOW_MS: 15 * 60 * 1000, // 15 minutes
+            MAX_REQUESTS: config.rateLimits.login,
+            MESSAGE: 'Trop de tentatives de connexion. Veuillez réessayer plus tard.'
+        },
+        // Payment providers deliver bursts of events and retry on 429
+        webhook: { WINDOW_MS: 60 * 1000, MAX_REQUESTS: config.rateLimits.webhook }
     },
-
-    /**
-     * Logs an info message.
-     * @param {string} message - The message to log
-     * @param {Object} [data] - Optional data to include
-     */
-    info(message, data) {
-        console.log(this.format(LogLevel.INFO, message, data));
+    // Routes with their own policy, by "METHOD /path"
+    RATE_LIMIT_ROUTES: {
+        'GET /api/config': 'config',
+        'POST /api/create-checkout-session': 'checkout',
+        'POST /api/contact': 'contact',
+        'POST /csp-report': 'api',
+        'POST /admin/login': 'login'
     },
-
-    /**
-     * Logs a warning message.
-     * @param {string} message - The message to log
-     * @param {Object} [data] - Optional data to include
-     */
-    warn(message, data) {
-        console.warn(this.format(LogLevel.WARN, message, data));
+    // POST routes without CSRF token: provider webhooks are signed, and
+    // browsers cannot attach a token to CSP reports
+    CSRF_EXEMPT_PATHS: ['/webhook', csp.CSP_CONFIG.REPORT_PATH],
+    // HTML pages of public/ by path, served with the CSP nonce of the request
+    HTML_PAGES: {
+        '/': 'index.html',
+        '/index.html': 'index.html',
+        '/success.html': 'success.html',
+        '/cancel.html': 'cancel.html',
+        '/admin/login': 'admin/login.html'
     },
-
-    /**
-     * Logs an error message.
-     * @param {string} message - The message to log
-     * @param {Error|Object} [error] - Optional error object
-     */
-    error(message, error) {
-        const errorData = error instanceof Error
-            ? { message: error.message, stack: error.stack }
-            : error;
-        console.error(this.format(LogLevel.ERROR, message, errorData));
+    // Back-office pages by path, for logged-in users only
+    ADMIN_PAGES: {
+        '/admin': 'admin/index.html'
     }
-};
+});
+
+/** @type {import('./lib/payments').PaymentProvider} Provider selected by PAYMENT_PROVIDER */
+const paymentProvider = payments.createProvider(payments.PAYMENT_CONFIG.PROVIDER, {
+    baseUrl: CONFIG.FRONTEND_URL,
+    // The mock provider posts its webhooks back to this server
+    webhookUrl: config.payments.mock.webhookUrl
+}, runInBackground);
 
 // ============================================================================
 // VALIDATION UTILITIES
 // ============================================================================
 
-/**
- * Validates cart items structure and data.
- * @param {Array} items - Cart items to validate
- * @returns {{valid: boolean, error?: string}} Validation result
- */
-function validateCartItems(items) {
-    if (!items || !Array.isArray(items)) {
-        return { valid: false, error: 'Items must be an array' };
-    }
-
-    if (items.length === 0) {
-        return { valid: false, error: 'Cart cannot be empty' };
-    }
-
-    if (items.length > 100) {
-        return { valid: false, error: 'Too many items in cart (max 100)' };
-    }
-
-    for (let i = 0; i < items.length; i++) {
-        const item = items[i];
-
-        if (!item || typeof item !== 'object') {
-            return { valid: false, error: `Invalid item at index ${i}` };
-        }
-
-        if (!item.name || typeof item.name !== 'string' || item.name.length > 200) {
-            return { valid: false, error: `Invalid item name at index ${i}` };
-        }
-
-        if (typeof item.price !== 'number' || item.price <= 0 || item.price > 1000000) {
-            return { valid: false, error: `Invalid price at index ${i}` };
-        }
-
-        if (item.quantity !== undefined) {
-            if (!Number.isInteger(item.quantity) || item.quantity < 1 || item.quantity > 100) {
-                return { valid: false, error: `Invalid quantity at index ${i}` };
-            }
-        }
-
-        if (item.description && typeof item.description !== 'string') {
-            return { valid: false, error: `Invalid description at index ${i}` };
-        }
-    }
-
-    return { valid: true };
-}
-
 /**
  * Sanitizes a string for safe use in API responses and Stripe.
  * @param {string} str - String to sanitize
@@ -162,49 +130,64 @@ function sanitizeString(str, maxLength = 500) {
 // ============================================================================
 
 /**
- * Simple in-memory rate limiter.
- * In production, use Redis or a dedicated rate limiting service.
+ * Replace with a shared store (e.g. Redis) when running several instances.
+ * @type {import('./lib/rate-limit').RateLimitStore}
  */
-const rateLimiter = {
-    /** @type {Map<string, {count: number, resetTime: number}>} */
-    requests: new Map(),
+const rateLimitStore = rateLimit.createMemoryStore();
 
-    /**
-     * Checks if a request should be rate limited.
-     * @param {string} ip - Client IP address
-     * @returns {boolean} True if request should be blocked
-     */
-    isRateLimited(ip) {
-        const now = Date.now();
-        const record = this.requests.get(ip);
-
-        if (!record || now > record.resetTime) {
-            this.requests.set(ip, {
-                count: 1,
-                resetTime: now + CONFIG.RATE_LIMIT.WINDOW_MS
-            });
-            return false;
-        }
+/**
+ * Chooses the rate limit policy of a request.
+ * @param {Object} req - Express request
+ * @returns {string|null} Policy name, or null for unlimited paths (static files)
+ */
+function resolveRateLimitPolicy(req) {
+    const routePolicy = CONFIG.RATE_LIMIT_ROUTES[`${req.method} ${req.path}`];
+    if (routePolicy) return routePolicy;
 
-        record.count++;
-        return record.count > CONFIG.RATE_LIMIT.MAX_REQUESTS;
-    },
+    if (req.path.startsWith('/api/') || req.path.startsWith('/admin/')) return 'api';
+    if (req.path === '/webhook') return 'webhook';
+    return null;
+}
 
-    /**
-     * Cleanup old entries periodically.
-     */
-    cleanup() {
-        const now = Date.now();
-        for (const [ip, record] of this.requests.entries()) {
-            if (now > record.resetTime) {
-                this.requests.delete(ip);
-            }
-        }
-    }
-};
+/**
+ * Tells whether a state-changing request skips the CSRF checks: exempt
+ * paths, the checkout pages of the mock provider (standing in for an
+ * external payment page), and admin requests with a bearer token, which
+ * browsers never attach on their own.
+ * @param {Object} req - Express request
+ * @returns {boolean} True if exempt
+ */
+function isCsrfExempt(req) {
+    if (CONFIG.CSRF_EXEMPT_PATHS.includes(req.path)) return true;
+    if (paymentProvider.routerPath && req.path.startsWith(`${paymentProvider.routerPath}/`)) return true;
+    return /^Bearer\s/i.test(req.get('Authorization') || '');
+}
 
 // Cleanup rate limiter every minute
-setInterval(() => rateLimiter.cleanup(), 60000);
+const rateLimitCleanupInterval = setInterval(() => rateLimitStore.cleanup && rateLimitStore.cleanup(), 60000);
+
+// ============================================================================
+// BACKGROUND TASKS
+// ============================================================================
+
+/** @type {Set<Promise<void>>} Work outliving its request, awaited on shutdown */
+const backgroundTasks = new Set();
+
+/** @type {boolean} Set on SIGTERM; readiness then fails so no new traffic is routed here */
+let shuttingDown = false;
+
+/**
+ * Tracks work that runs after its response is sent (emails, sweeps), so a
+ * shutdown waits for it instead of cutting it off.
+ * @param {Promise} task - Running task
+ * @param {string} errorMessage - Logged if the task fails
+ */
+function runInBackground(task, errorMessage) {
+    const tracked = task
+        .catch(err => logger.error(errorMessage, err))
+        .finally(() => backgroundTasks.delete(tracked));
+    backgroundTasks.add(tracked);
+}
 
 // ============================================================================
 // EXPRESS APP SETUP
@@ -212,6 +195,18 @@ setInterval(() => rateLimiter.cleanup(), 60000);
 
 const app = express();
 
+// Request ID for logs, returned in the X-Request-Id header
+app.use(createRequestContextMiddleware());
+
+// While shutting down, close kept-alive connections after their current response
+app.use((req, res, next) => {
+    if (shuttingDown) res.set('Connection', 'close');
+    next();
+});
+
+// Lets req.ip report the client address instead of the reverse proxy's
+app.set('trust proxy', CONFIG.TRUST_PROXY);
+
 // Security headers middleware
 app.use((req, res, next) => {
     res.setHeader('X-Content-Type-Options', 'nosniff');
@@ -221,33 +216,94 @@ app.use((req, res, next) => {
     next();
 });
 
+// Content Security Policy with a nonce per response
+app.use(csp.createCspMiddleware({ reportOnly: config.security.cspReportOnly }));
+
 // CORS configuration
 app.use(cors({
     origin: CONFIG.FRONTEND_URL,
     methods: ['GET', 'POST'],
-    allowedHeaders: ['Content-Type']
+    allowedHeaders: ['Content-Type', csrf.CSRF_CONFIG.HEADER],
+    exposedHeaders: ['X-Request-Id', 'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
+}));
+
+// Cookies, and the back-office user logged in on /admin requests (req.admin)
+app.use(cookieParser());
+app.use('/admin', adminAuth.createSessionMiddleware());
+
+/**
+ * Sends an HTML page of public/ with the CSP nonce added to its inline
+ * scripts and styles, and its stylesheet and scripts referenced by hashed name.
+ * @param {Object} res - Express response
+ * @param {string} file - Page file, relative to public/
+ * @param {Function} next - Express next callback
+ */
+function sendPage(res, file, next) {
+    assets.readPage(file)
+        .then(html => {
+            // The nonce changes on every response, so pages are never reused from cache
+            res.set('Cache-Control', 'no-cache');
+            res.type('html').send(csp.injectNonce(html, res.locals.cspNonce));
+        })
+        .catch(next);
+}
+
+/**
+ * Returns the path of a page request without trailing slash, as routes
+ * also match "/admin/" for "/admin".
+ * @param {Object} req - Express request
+ * @returns {string} Page path
+ */
+function pagePath(req) {
+    return req.path.length > 1 ? req.path.replace(/\/$/, '') : req.path;
+}
+
+// HTML pages
+app.get(Object.keys(CONFIG.HTML_PAGES), (req, res, next) => {
+    sendPage(res, CONFIG.HTML_PAGES[pagePath(req)], next);
+});
+
+// Back-office pages; visitors without a session are sent to the login page
+app.get(Object.keys(CONFIG.ADMIN_PAGES), (req, res, next) => {
+    if (!req.admin) return res.redirect('/admin/login');
+    sendPage(res, CONFIG.ADMIN_PAGES[pagePath(req)], next);
+});
+
+// Stylesheet, scripts and images of public/; nothing else is served as a file
+app.use(assets.createAssetRouter());
+
+// JSON body parser (except for webhooks, which need the raw body for signature checks)
+const jsonParser = bodyParser.json();
+app.use((req, res, next) => {
+    if (req.path === '/webhook') return next();
+    jsonParser(req, res, next);
+});
+
+// Rate limiting middleware, one named policy per route
+app.use(rateLimit.createRateLimitMiddleware({
+    store: rateLimitStore,
+    policies: CONFIG.RATE_LIMIT_POLICIES,
+    resolvePolicy: resolveRateLimitPolicy
 }));
 
-// Static file serving with caching
-app.use(express.static('.', {
-    maxAge: '1h',
-    etag: true
+// Origin and CSRF token checks on state-changing requests
+app.use(csrf.createCsrfMiddleware({
+    allowedOrigin: CONFIG.FRONTEND_URL,
+    isExempt: isCsrfExempt
 }));
 
-// JSON body parser (except for webhooks)
-app.use(bodyParser.json());
+// Simulated checkout pages of the mock payment provider
+if (paymentProvider.router) {
+    app.use(paymentProvider.routerPath, paymentProvider.router);
+}
 
-// Rate limiting middleware for API routes
-app.use('/api/', (req, res, next) => {
-    const clientIp = req.ip || req.connection.remoteAddress || 'unknown';
+// ============================================================================
+// ORDER NOTIFICATIONS
+// ============================================================================
 
-    if (rateLimiter.isRateLimited(clientIp)) {
-        logger.warn('Rate limit exceeded', { ip: clientIp });
-        return res.status(429).json({
-            error: 'Too many requests. Please try again later.'
-        });
-    }
-    next();
+// Email the buyer when an order is shipped or (partially) refunded
+orders.events.on('statusChanged', order => {
+    runInBackground(emails.sendStatusUpdate(order), 'Error sending order status email');
 });
 
 // ============================================================================
@@ -255,12 +311,13 @@ app.use('/api/', (req, res, next) => {
 // ============================================================================
 
 /**
- * Stripe webhook handler for processing payment events.
- * Must be before bodyParser to receive raw body.
+ * Payment provider webhook handler for processing payment events.
+ * Verified events are journaled: duplicates are acknowledged without being
+ * processed again, and failures return 500 so the provider retries them.
  * @route POST /webhook
  */
 app.post('/webhook', bodyParser.raw({ type: 'application/json' }), async (req, res) => {
-    const sig = req.headers['stripe-signature'];
+    const sig = req.headers[paymentProvider.signatureHeader];
 
     if (!sig) {
         logger.warn('Webhook received without signature');
@@ -270,61 +327,256 @@ app.post('/webhook', bodyParser.raw({ type: 'application/json' }), async (req, r
     let event;
 
     try {
-        event = stripe.webhooks.constructEvent(
-            req.body,
-            sig,
-            process.env.STRIPE_WEBHOOK_SECRET
-        );
+        event = paymentProvider.verifyWebhook(req.body, sig);
     } catch (err) {
         logger.error('Webhook signature verification failed', err);
         return res.status(400).json({ error: 'Invalid signature' });
     }
 
-    // Handle the event
+    if (!webhookJournal.begin(event)) {
+        logger.info('Duplicate webhook event skipped', { eventId: event.id, type: event.type });
+        return res.json({ received: true, duplicate: true });
+    }
+
     try {
-        switch (event.type) {
-            case 'checkout.session.completed':
-                await handleCheckoutComplete(event.data.object);
-                break;
-
-            case 'payment_intent.succeeded':
-                logger.info('Payment succeeded', {
-                    paymentIntentId: event.data.object.id
-                });
-                break;
-
-            case 'payment_intent.payment_failed':
-                await handlePaymentFailed(event.data.object);
-                break;
-
-            default:
-                logger.info('Unhandled webhook event', { type: event.type });
-        }
+        await processWebhookEvent(event);
+        webhookJournal.markProcessed(event.id);
     } catch (err) {
         logger.error('Error processing webhook event', err);
-        // Return 200 to prevent Stripe from retrying
-        // The error is logged and can be handled asynchronously
+        webhookJournal.markFailed(event.id, err);
+        return res.status(500).json({ error: 'Webhook processing failed' });
     }
 
     res.json({ received: true });
 });
 
+/**
+ * Dispatches a verified webhook event to its handler.
+ * @param {Object} event - Stripe event
+ * @returns {Promise<void>}
+ */
+async function processWebhookEvent(event) {
+    // Checkout events share the session ID logged when the checkout was created
+    const object = event.data.object;
+    logger.addContext({
+        eventId: event.id,
+        eventType: event.type,
+        ...(object.object === 'checkout.session' && { sessionId: object.id })
+    });
+
+    switch (event.type) {
+        case 'checkout.session.completed':
+            await handleCheckoutComplete(event.data.object);
+            break;
+
+        case 'checkout.session.expired':
+            await handleCheckoutExpired(event.data.object);
+            break;
+
+        case 'payment_intent.succeeded':
+            logger.info('Payment succeeded', {
+                paymentIntentId: event.data.object.id
+            });
+            break;
+
+        case 'payment_intent.payment_failed':
+            await handlePaymentFailed(event.data.object);
+            break;
+
+        case 'charge.refunded':
+            await handleChargeRefunded(event.data.object);
+            break;
+
+        case 'charge.dispute.created':
+            await handleDisputeCreated(event.data.object);
+            break;
+
+        default:
+            logger.info('Unhandled webhook event', { type: event.type });
+    }
+}
+
+/**
+ * Re-runs a journaled webhook event.
+ * @param {string} eventId - Stripe event ID
+ * @returns {Promise<{eventId: string, status: string, error?: string}>} Replay outcome
+ */
+async function replayWebhookEvent(eventId) {
+    const entry = webhookJournal.getEntry(eventId);
+
+    // Processed events no longer have a payload and are never replayed
+    if (!entry.payload || !webhookJournal.begin(entry.payload)) {
+        return { eventId, status: webhookJournal.getEntry(eventId).status };
+    }
+
+    try {
+        await processWebhookEvent(entry.payload);
+        webhookJournal.markProcessed(eventId);
+        logger.info('Webhook event replayed', { eventId, type: entry.type });
+        return { eventId, status: webhookJournal.EventStatus.PROCESSED };
+    } catch (err) {
+        logger.error('Webhook event replay failed', err);
+        webhookJournal.markFailed(eventId, err);
+        return { eventId, status: webhookJournal.EventStatus.FAILED, error: err.message };
+    }
+}
+
 /**
  * Handles successful checkout completion.
+ * Records the order, converts the stock reservation into a sale, redeems the
+ * promo code, issues the invoice and emails the confirmation. The order then
+ * waits in the back office as paid, to be packed and shipped.
  * @param {Object} session - Stripe checkout session object
  */
 async function handleCheckoutComplete(session) {
     logger.info('Checkout completed', {
         sessionId: session.id,
-        customerEmail: session.customer_details?.email,
         amount: session.amount_total
     });
 
-    // In production, implement:
-    // 1. Save order to database
-    // 2. Send confirmation email
-    // 3. Update inventory
-    // 4. Trigger fulfillment process
+    const order = orders.recordOrder(await buildOrderFields(session));
+
+    inventory.commitReservation(
+        session.id,
+        session.metadata?.reservationId,
+        parseSessionItems(session)
+    );
+
+    if (session.metadata?.promoCode) {
+        promotions.recordRedemption(
+            session.metadata.promoCode,
+            session.id,
+            session.metadata.reservationId
+        );
+    }
+
+    const invoice = await invoices.issueInvoice(order);
+
+    // Skipped when replaying an event whose email already went out
+    if (!order.confirmationSentAt) {
+        await emails.sendOrderConfirmation(order, [{
+            filename: invoiceFileName(invoice),
+            content: await invoices.readPdf(invoice),
+            contentType: 'application/pdf'
+        }]);
+        orders.updateOrder(order.id, { confirmationSentAt: new Date().toISOString() });
+    }
+}
+
+/**
+ * Returns the download file name of an invoice.
+ * @param {import('./lib/invoices').Invoice} invoice - Issued invoice
+ * @returns {string} File name
+ */
+function invoiceFileName(invoice) {
+    return `facture-${invoice.number}.pdf`;
+}
+
+/**
+ * Sends an invoice PDF as a download.
+ * @param {Object} res - Express response
+ * @param {import('./lib/invoices').Invoice} invoice - Issued invoice
+ * @returns {Promise<void>}
+ */
+async function sendInvoicePdf(res, invoice) {
+    const pdf = await invoices.readPdf(invoice);
+
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${invoiceFileName(invoice)}"`,
+        'Cache-Control': 'private, no-store'
+    });
+    res.send(pdf);
+}
+
+/**
+ * Builds order fields, VAT included, from a completed checkout session.
+ * @param {Object} session - Stripe checkout session object
+ * @returns {Promise<Object>} Order fields accepted by orders.recordOrder()
+ */
+async function buildOrderFields(session) {
+    const lineItems = await paymentProvider.listLineItems(session.id);
+
+    const fields = orders.fromCheckoutSession(session, lineItems);
+    const country = fields.shippingAddress?.country || session.metadata?.shippingCountry;
+    fields.tax = tax.calculateForOrder(fields, country);
+
+    return fields;
+}
+
+/**
+ * Handles checkout sessions that expired without payment.
+ * Releases the stock and promo code holds, deletes the session's discount
+ * at the provider and keeps the cart for a reminder when the buyer agreed
+ * to be contacted.
+ * @param {Object} session - Stripe checkout session object
+ */
+async function handleCheckoutExpired(session) {
+    logger.info('Checkout session expired', { sessionId: session.id });
+
+    if (session.metadata?.reservationId) {
+        inventory.releaseReservation(session.metadata.reservationId);
+        promotions.releaseUse(session.metadata.reservationId);
+    }
+
+    await paymentProvider.deleteCheckoutDiscount(session);
+
+    recovery.recordAbandonedCart(session, parseSessionItems(session));
+}
+
+/**
+ * Emails the buyers of abandoned carts whose reminder is due. Buyers who
+ * have ordered since are skipped. Each cart is handled once, even when the
+ * email fails, so nobody is reminded twice.
+ * @returns {Promise<void>}
+ */
+async function sendCartReminders() {
+    for (const cart of recovery.listDueReminders()) {
+        await logger.runWithContext({ sessionId: cart.sessionId }, () => sendCartReminder(cart));
+    }
+}
+
+/**
+ * Sends the reminder of one abandoned cart, unless the buyer has ordered since.
+ * @param {import('./lib/recovery').AbandonedCart} cart - Due cart
+ * @returns {Promise<void>}
+ */
+async function sendCartReminder(cart) {
+    const purchased = orders.listOrders({ from: cart.abandonedAt }).some(order =>
+        order.customerEmail?.toLowerCase() === cart.email.toLowerCase()
+    );
+
+    if (purchased) {
+        recovery.markReminded(cart.token, 'purchased');
+        return;
+    }
+
+    recovery.markReminded(cart.token);
+    try {
+        await emails.sendCartReminder(cart, `${CONFIG.FRONTEND_URL}/?restore=${cart.token}`);
+        logger.info('Cart reminder sent');
+    } catch (err) {
+        logger.error('Error sending cart reminder', err);
+    }
+}
+
+const cartReminderInterval = setInterval(() => {
+    runInBackground(sendCartReminders(), 'Cart reminder sweep failed');
+}, CONFIG.CART_REMINDER_INTERVAL_MS);
+
+/**
+ * Reads the purchased artwork lines stored in a session's metadata.
+ * @param {Object} session - Stripe checkout session object
+ * @returns {Array<{id: string, quantity: number}>} Purchased lines
+ */
+function parseSessionItems(session) {
+    try {
+        const items = JSON.parse(session.metadata?.items || '[]');
+        return Array.isArray(items) ? items : [];
+    } catch (err) {
+        logger.error('Invalid items metadata on session', { sessionId: session.id });
+        return [];
+    }
 }
 
 /**
@@ -345,141 +597,1270 @@ async function handlePaymentFailed(paymentIntent) {
     // 3. Trigger recovery flow
 }
 
-// ============================================================================
-// API ENDPOINTS
-// ============================================================================
-
 /**
- * Returns Stripe publishable key for client-side initialization.
- * @route GET /api/config
+ * Returns the ID of a Stripe object that may be expanded.
+ * @param {string|Object|null} value - ID or expanded object
+ * @returns {string|null} Object ID
  */
-app.get('/api/config', (req, res) => {
-    if (!process.env.STRIPE_PUBLISHABLE_KEY) {
-        logger.error('Stripe publishable key not configured');
-        return res.status(500).json({ error: 'Payment configuration error' });
-    }
-
-    res.json({
-        publishableKey: process.env.STRIPE_PUBLISHABLE_KEY
-    });
-});
+function stripeId(value) {
+    return typeof value === 'string' ? value : value?.id || null;
+}
 
 /**
- * Creates a Stripe checkout session for cart items.
- * @route POST /api/create-checkout-session
- * @param {Object} req.body - Request body
- * @param {Array} req.body.items - Cart items array
+ * Handles full and partial refunds, whether issued from the admin API or
+ * the Stripe dashboard. A full refund puts the artworks back in stock
+ * unless the refund was issued with restock disabled.
+ * @param {Object} charge - Stripe charge object
  */
-app.post('/api/create-checkout-session', async (req, res) => {
-    try {
-        const { items } = req.body;
-
-        // Validate cart items
-        const validation = validateCartItems(items);
-        if (!validation.valid) {
-            return res.status(400).json({ error: validation.error });
-        }
-
-        // Convert items to Stripe line items with sanitization
-        const lineItems = items.map(item => ({
-            price_data: {
-                currency: CONFIG.CURRENCY,
-                product_data: {
-                    name: sanitizeString(item.name, 200),
-                    description: sanitizeString(item.description || '', 500),
-                    images: item.image ? [item.image] : [],
-                },
-                unit_amount: Math.round(item.price * 100), // Convert to cents
-            },
-            quantity: item.quantity || 1,
-        }));
+async function handleChargeRefunded(charge) {
+    const paymentIntentId = stripeId(charge.payment_intent);
+    const order = paymentIntentId && orders.findByPaymentIntentId(paymentIntentId);
 
-        // Create Checkout Session
-        const session = await stripe.checkout.sessions.create({
-            payment_method_types: ['card'],
-            line_items: lineItems,
-            mode: 'payment',
-            success_url: `${CONFIG.FRONTEND_URL}/success.html?session_id={CHECKOUT_SESSION_ID}`,
-            cancel_url: `${CONFIG.FRONTEND_URL}/cancel.html`,
-            shipping_address_collection: {
-                allowed_countries: CONFIG.ALLOWED_COUNTRIES,
-            },
-            metadata: {
-                itemCount: items.length,
-                items: JSON.stringify(items.map(i => ({
-                    name: sanitizeString(i.name, 100),
-                    quantity: i.quantity || 1
-                }))),
-            },
-        });
+    if (!order) {
+        logger.warn('Refund for unknown order', { chargeId: charge.id, paymentIntentId });
+        return;
+    }
+    logger.addContext({ orderId: order.id, sessionId: order.sessionId });
 
-        logger.info('Checkout session created', {
-            sessionId: session.id,
-            itemCount: items.length
-        });
+    // charge.amount_refunded is cumulative; only the difference is new
+    const refundedNow = charge.amount_refunded - (order.amountRefunded || 0);
+    if (refundedNow <= 0) {
+        logger.info('Refund already recorded', { orderId: order.id, chargeId: charge.id });
+        return;
+    }
 
-        res.json({ sessionId: session.id, url: session.url });
+    const updated = orders.updateStatus(
+        order.id,
+        charge.refunded ? orders.OrderStatus.REFUNDED : orders.OrderStatus.PARTIALLY_REFUNDED,
+        {
+            amountRefunded: charge.amount_refunded,
+            refunds: (order.refunds || []).concat({
+                amount: refundedNow,
+                at: new Date().toISOString()
+            })
+        }
+    );
 
-    } catch (error) {
-        logger.error('Error creating checkout session', error);
+    const restocked = charge.refunded && order.restockOnRefund !== false &&
+        inventory.restock(`refund:${order.id}`, orders.stockLines(order));
 
-        // Don't expose internal error details to client
-        res.status(500).json({
-            error: 'Unable to create checkout session. Please try again.'
-        });
-    }
-});
+    runInBackground(
+        emails.sendRefundNotification(updated, refundedNow, Boolean(restocked)),
+        'Error sending refund notification'
+    );
+}
 
 /**
- * Retrieves a checkout session by ID.
- * @route GET /api/checkout-session/:sessionId
- * @param {string} req.params.sessionId - Stripe session ID
+ * Handles chargebacks opened by the buyer's bank.
+ * @param {Object} dispute - Stripe dispute object
  */
-app.get('/api/checkout-session/:sessionId', async (req, res) => {
-    try {
-        const { sessionId } = req.params;
-
-        // Validate session ID format (Stripe session IDs start with 'cs_')
-        if (!sessionId || !sessionId.startsWith('cs_')) {
-            return res.status(400).json({ error: 'Invalid session ID format' });
-        }
+async function handleDisputeCreated(dispute) {
+    const paymentIntentId = stripeId(dispute.payment_intent);
+    const order = paymentIntentId && orders.findByPaymentIntentId(paymentIntentId);
 
-        const session = await stripe.checkout.sessions.retrieve(sessionId);
-
-        // Return only necessary fields for security
-        res.json({
-            id: session.id,
-            status: session.status,
-            payment_status: session.payment_status,
-            customer_email: session.customer_details?.email,
-            amount_total: session.amount_total
-        });
+    if (!order) {
+        logger.warn('Dispute for unknown order', { disputeId: dispute.id, paymentIntentId });
+        return;
+    }
+    logger.addContext({ orderId: order.id, sessionId: order.sessionId });
 
-    } catch (error) {
-        logger.error('Error retrieving checkout session', error);
+    if (order.dispute?.id === dispute.id) {
+        logger.info('Dispute already recorded', { orderId: order.id, disputeId: dispute.id });
+        return;
+    }
 
-        if (error.code === 'resource_missing') {
-            return res.status(404).json({ error: 'Session not found' });
+    const dueBy = dispute.evidence_details?.due_by;
+    const updated = orders.updateStatus(order.id, orders.OrderStatus.DISPUTED, {
+        dispute: {
+            id: dispute.id,
+            reason: dispute.reason,
+            amount: dispute.amount,
+            status: dispute.status,
+            evidenceDueBy: dueBy ? new Date(dueBy * 1000).toISOString() : null
         }
+    });
 
-        res.status(500).json({ error: 'Unable to retrieve session' });
-    }
-});
+    logger.warn('Dispute opened', { orderId: order.id, disputeId: dispute.id, reason: dispute.reason });
+
+    runInBackground(emails.sendDisputeNotification(updated), 'Error sending dispute notification');
+}
 
 // ============================================================================
-// STATIC FILE SERVING
+// CSP REPORTS
 // ============================================================================
 
 /**
- * Serves the main index.html file.
- * @route GET /
+ * Receives Content Security Policy violation reports, sent by browsers with
+ * report-uri (application/csp-report) or report-to (application/reports+json).
+ * @route POST /csp-report
  */
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'index.html'));
+app.post(csp.CSP_CONFIG.REPORT_PATH, bodyParser.json({
+    type: ['application/csp-report', 'application/reports+json', 'application/json'],
+    limit: '16kb'
+}), (req, res) => {
+    for (const violation of csp.parseViolationReports(req.body)) {
+        logger.warn('CSP violation', violation);
+    }
+    res.status(204).end();
 });
 
 // ============================================================================
-// ERROR HANDLING
+// HEALTH CHECKS
+// ============================================================================
+
+/** @type {{checkedAt: number, error: Error|null}|null} Last payment provider check */
+let providerCheck = null;
+
+/**
+ * Checks the payment provider, reusing a recent result so frequent probes
+ * do not call the provider's API each time.
+ * @returns {Promise<void>}
+ * @throws {Error} If the provider is unavailable
+ */
+async function checkPaymentProvider() {
+    if (!providerCheck || Date.now() - providerCheck.checkedAt >= CONFIG.PROVIDER_CHECK_CACHE_MS) {
+        let error = null;
+        try {
+            await paymentProvider.checkHealth();
+        } catch (err) {
+            error = err;
+        }
+        providerCheck = { checkedAt: Date.now(), error };
+    }
+
+    if (providerCheck.error) throw providerCheck.error;
+}
+
+/**
+ * Liveness probe: the process is up and serving requests.
+ * @route GET /healthz
+ */
+app.get('/healthz', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+/**
+ * Readiness probe: the order store and payment provider are usable.
+ * Fails with 503 while a check fails or the server is shutting down.
+ * @route GET /readyz
+ */
+app.get('/readyz', async (req, res) => {
+    res.set('Cache-Control', 'no-store');
+
+    if (shuttingDown) {
+        return res.status(503).json({ status: 'shutting_down' });
+    }
+
+    const checks = {};
+
+    try {
+        orders.checkStore();
+        checks.orders = 'ok';
+    } catch (err) {
+        logger.error('Readiness check failed: order store', err);
+        checks.orders = 'failed';
+    }
+
+    try {
+        await checkPaymentProvider();
+        checks.payments = 'ok';
+    } catch (err) {
+        logger.error('Readiness check failed: payment provider', err);
+        checks.payments = 'failed';
+    }
+
+    const ready = Object.values(checks).every(status => status === 'ok');
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'unavailable', checks });
+});
+
+// ============================================================================
+// API ENDPOINTS
+// ============================================================================
+
+/**
+ * Returns the payment provider and its public settings (e.g. the Stripe
+ * publishable key) for client-side initialization, and the CSRF token to
+ * send with state-changing requests.
+ * @route GET /api/config
+ */
+app.get('/api/config', (req, res) => {
+    // The token is tied to the cookie set with this response
+    res.set('Cache-Control', 'no-store');
+    res.json({
+        provider: paymentProvider.name,
+        ...paymentProvider.publicConfig(),
+        csrfToken: csrf.issueToken(req, res)
+    });
+});
+
+/**
+ * Returns the artworks for sale, in storefront order, for the product cards.
+ * Prices are in euros; /api/prices converts them.
+ * @route GET /api/artworks
+ */
+app.get('/api/artworks', (req, res) => {
+    res.json({
+        artworks: catalog.listArtworks().map(artwork => ({
+            id: artwork.id,
+            category: artwork.category,
+            title: artwork.title,
+            description: artwork.description,
+            price: artwork.price,
+            dimensions: artwork.dimensions,
+            image: `/${artwork.image}`
+        }))
+    });
+});
+
+/**
+ * Returns the stock status of every artwork for the storefront badges.
+ * @route GET /api/availability
+ */
+app.get('/api/availability', (req, res) => {
+    try {
+        res.json({ artworks: inventory.getAvailability() });
+    } catch (error) {
+        logger.error('Error reading availability', error);
+        res.status(500).json({ error: 'Unable to load availability' });
+    }
+});
+
+/**
+ * Returns artwork prices in the requested currency for the storefront.
+ * @route GET /api/prices
+ * @param {string} [req.query.currency] - ISO currency code (defaults to euros)
+ */
+app.get('/api/prices', (req, res) => {
+    const code = currency.normalizeCurrency(req.query.currency);
+
+    res.json({
+        currency: code,
+        currencies: currency.CURRENCY_CONFIG.SUPPORTED_CURRENCIES,
+        artworks: catalog.listArtworks().map(artwork => ({
+            id: artwork.id,
+            price: currency.getPrice(artwork, code)
+        }))
+    });
+});
+
+/**
+ * Returns an abandoned cart for the restore link of a reminder email,
+ * in the format stored by the storefront cart.
+ * @route GET /api/abandoned-carts/:token
+ * @param {string} req.params.token - Token from the reminder link
+ * @param {string} [req.query.locale] - Buyer language for product names
+ */
+app.get('/api/abandoned-carts/:token', (req, res) => {
+    const cart = recovery.restoreCart(req.params.token);
+    if (!cart) {
+        return res.status(404).json({ error: 'Cart not found or expired' });
+    }
+
+    const locale = catalog.normalizeLocale(req.query.locale || cart.locale);
+
+    res.json({
+        currency: cart.currency,
+        shippingCountry: cart.shippingCountry,
+        items: cart.items
+            .map(item => ({ artwork: catalog.getArtwork(item.id), quantity: item.quantity }))
+            .filter(({ artwork }) => artwork)
+            .map(({ artwork, quantity }) => ({
+                id: artwork.id,
+                name: catalog.getTitle(artwork, locale),
+                price: currency.getPrice(artwork, cart.currency),
+                description: catalog.getDescription(artwork, locale),
+                image: `/${artwork.image}`,
+                quantity
+            }))
+    });
+});
+
+/**
+ * Returns the countries we ship to.
+ * @route GET /api/shipping/countries
+ */
+app.get('/api/shipping/countries', (req, res) => {
+    res.json({ countries: shipping.listCountries() });
+});
+
+/**
+ * Estimates shipping for cart items, as charged at checkout.
+ * @route POST /api/shipping/quote
+ * @param {Object} req.body - Request body
+ * @param {Array<{id: string, quantity: number}>} req.body.items - Cart entries
+ * @param {string} req.body.country - ISO destination country code
+ * @param {string} [req.body.currency] - ISO currency code (defaults to euros)
+ */
+app.post('/api/shipping/quote', (req, res) => {
+    const resolution = catalog.resolveCartItems(req.body.items);
+    if (!resolution.valid) {
+        return res.status(400).json({ error: resolution.error });
+    }
+
+    const result = shipping.quote(resolution.items, req.body.country);
+    if (!result.valid) {
+        return res.status(400).json({ error: result.error });
+    }
+
+    const code = currency.normalizeCurrency(req.body.currency);
+    const { quote } = result;
+
+    res.json({
+        country: quote.country,
+        zone: quote.zone.id,
+        amount: currency.convert(quote.amount, code),
+        currency: code,
+        deliveryDays: quote.zone.deliveryDays
+    });
+});
+
+/**
+ * Checks a promo code against cart items and returns the discount.
+ * @route POST /api/promo-codes/validate
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.code - Code typed by the buyer
+ * @param {Array<{id: string, quantity: number}>} req.body.items - Cart entries
+ * @param {string} [req.body.currency] - ISO currency code (defaults to euros)
+ */
+app.post('/api/promo-codes/validate', (req, res) => {
+    const resolution = catalog.resolveCartItems(req.body.items);
+    if (!resolution.valid) {
+        return res.status(400).json({ error: resolution.error });
+    }
+
+    const code = currency.normalizeCurrency(req.body.currency);
+    const discount = promotions.evaluate(req.body.code, resolution.items, code);
+    if (!discount.valid) {
+        return res.status(400).json({ error: discount.error, code: discount.code });
+    }
+
+    res.json({
+        code: discount.promo.code,
+        amount: discount.amount / currency.CURRENCY_CONFIG.MINOR_UNITS,
+        currency: code
+    });
+});
+
+/**
+ * Estimates the VAT included in a cart for a destination country.
+ * @route POST /api/tax/quote
+ * @param {Object} req.body - Request body
+ * @param {Array<{id: string, quantity: number}>} req.body.items - Cart entries
+ * @param {string} req.body.country - ISO destination country code
+ * @param {string} [req.body.currency] - ISO currency code (defaults to euros)
+ * @param {string} [req.body.promoCode] - Promo code applied in the cart
+ */
+app.post('/api/tax/quote', (req, res) => {
+    const resolution = catalog.resolveCartItems(req.body.items);
+    if (!resolution.valid) {
+        return res.status(400).json({ error: resolution.error });
+    }
+
+    const shippingResult = shipping.quote(resolution.items, req.body.country);
+    if (!shippingResult.valid) {
+        return res.status(400).json({ error: shippingResult.error });
+    }
+
+    const code = currency.normalizeCurrency(req.body.currency);
+    const discount = req.body.promoCode
+        ? promotions.evaluate(req.body.promoCode, resolution.items, code)
+        : null;
+
+    const result = tax.calculate({
+        country: shippingResult.quote.country,
+        lines: resolution.items.map(({ artwork, quantity }) => ({
+            taxClass: tax.getTaxClass(artwork),
+            amount: currency.toMinorUnits(currency.getPrice(artwork, code)) * quantity,
+            discountable: !discount || !discount.valid || promotions.appliesTo(discount.promo, artwork.id)
+        })),
+        discount: discount && discount.valid ? discount.amount : 0,
+        shipping: currency.toMinorUnits(currency.convert(shippingResult.quote.amount, code))
+    });
+
+    const { MINOR_UNITS } = currency.CURRENCY_CONFIG;
+    res.json({
+        currency: code,
+        amountTax: result.amountTax / MINOR_UNITS,
+        breakdown: result.breakdown.map(entry => ({
+            rate: entry.rate,
+            amountTax: entry.amountTax / MINOR_UNITS
+        }))
+    });
+});
+
+/**
+ * Creates a checkout session with the payment provider for cart items.
+ * Prices, names and images come from the server-side catalog; the client
+ * only chooses which artworks to buy and how many.
+ * @route POST /api/create-checkout-session
+ * @param {Object} req.body - Request body
+ * @param {Array<{id: string, quantity: number}>} req.body.items - Cart entries
+ * @param {string} [req.body.locale] - Buyer language for product names
+ * @param {string} [req.body.currency] - ISO currency code (defaults to euros)
+ * @param {string} req.body.shippingCountry - ISO destination country code
+ * @param {string} [req.body.promoCode] - Promo code applied in the cart
+ * @param {boolean} [req.body.marketingConsent] - Buyer agreed to a cart reminder
+ */
+app.post('/api/create-checkout-session', async (req, res) => {
+    try {
+        const { items } = req.body;
+        const locale = catalog.normalizeLocale(req.body.locale);
+
+        if (req.body.currency !== undefined && !currency.isSupported(req.body.currency)) {
+            return res.status(400).json({ error: 'Unsupported currency' });
+        }
+        const sessionCurrency = currency.normalizeCurrency(req.body.currency);
+
+        if (req.body.marketingConsent !== undefined && typeof req.body.marketingConsent !== 'boolean') {
+            return res.status(400).json({ error: 'Invalid marketing consent' });
+        }
+
+        // Resolve cart entries against the catalog
+        const resolution = catalog.resolveCartItems(items);
+        if (!resolution.valid) {
+            return res.status(400).json({ error: resolution.error });
+        }
+
+        // Price shipping for the destination chosen in the cart
+        const shippingResult = shipping.quote(resolution.items, req.body.shippingCountry);
+        if (!shippingResult.valid) {
+            return res.status(400).json({ error: shippingResult.error });
+        }
+        const { quote } = shippingResult;
+
+        let discount = null;
+        if (req.body.promoCode) {
+            discount = promotions.evaluate(req.body.promoCode, resolution.items, sessionCurrency);
+            if (!discount.valid) {
+                return res.status(400).json({ error: discount.error, code: discount.code });
+            }
+        }
+
+        // Hold the artworks for the lifetime of the checkout session. The expiry is
+        // rounded to whole seconds, the unit Stripe uses, so both share one value.
+        const sessionExpiresAt = Math.ceil(
+            (Date.now() + CONFIG.CHECKOUT_SESSION_MINUTES * 60 * 1000) / 1000
+        ) * 1000;
+        const reservationExpiresAt = sessionExpiresAt + CONFIG.RESERVATION_GRACE_MINUTES * 60 * 1000;
+        const hold = inventory.reserve(resolution.items, reservationExpiresAt);
+        if (!hold.valid) {
+            return res.status(409).json({ error: hold.error, code: hold.code });
+        }
+
+        // Hold a use of the promo code too, so open checkouts count against its limit
+        if (discount) {
+            const promoHold = promotions.holdUse(
+                discount.promo.code,
+                hold.reservationId,
+                reservationExpiresAt
+            );
+            if (!promoHold.valid) {
+                inventory.releaseReservation(hold.reservationId);
+                return res.status(400).json({ error: promoHold.error, code: promoHold.code });
+            }
+        }
+
+        // Describe the sale to the payment provider
+        const checkoutRequest = {
+            currency: sessionCurrency,
+            locale,
+            expiresAt: sessionExpiresAt,
+            successUrl: `${CONFIG.FRONTEND_URL}/success.html?session_id={CHECKOUT_SESSION_ID}`,
+            cancelUrl: `${CONFIG.FRONTEND_URL}/cancel.html?reservation=${hold.reservationId}`,
+            country: quote.country,
+            lines: resolution.items.map(({ artwork, quantity }) => {
+                const discountable = !discount || promotions.appliesTo(discount.promo, artwork.id);
+                return {
+                    name: sanitizeString(catalog.getTitle(artwork, locale), 200),
+                    description: sanitizeString(catalog.getDescription(artwork, locale), 500),
+                    image: `${CONFIG.FRONTEND_URL}/${artwork.image}`,
+                    unitAmount: currency.toMinorUnits(currency.getPrice(artwork, sessionCurrency)),
+                    quantity,
+                    taxRate: tax.getRate(quote.country, tax.getTaxClass(artwork)),
+                    discountable,
+                    // Kept on the product so the order's VAT allocates the discount the same way
+                    metadata: { artworkId: artwork.id, sku: artwork.sku, discountable: String(discountable) }
+                };
+            }),
+            shipping: {
+                name: quote.zone.name,
+                amount: currency.toMinorUnits(currency.convert(quote.amount, sessionCurrency)),
+                deliveryDays: quote.zone.deliveryDays
+            },
+            discount: discount ? { name: discount.promo.code, amount: discount.amount } : null,
+            metadata: {
+                itemCount: resolution.items.length,
+                locale,
+                reservationId: hold.reservationId,
+                shippingCountry: quote.country,
+                promoCode: discount ? discount.promo.code : '',
+                // Only this browser will be given the invoice download link
+                buyerKey: invoices.issueBuyerKey(req, res),
+                // Consent given on our own checkout form; it alone allows a cart reminder
+                marketingConsent: req.body.marketingConsent === true ? 'true' : 'false',
+                items: JSON.stringify(resolution.items.map(({ artwork, quantity }) => ({
+                    id: artwork.id,
+                    quantity
+                }))),
+            }
+        };
+
+        // Create Checkout Session
+        let session;
+        try {
+            session = await paymentProvider.createCheckoutSession(checkoutRequest);
+        } catch (error) {
+            inventory.releaseReservation(hold.reservationId);
+            promotions.releaseUse(hold.reservationId);
+            throw error;
+        }
+
+        inventory.attachSession(hold.reservationId, session.id);
+        logger.addContext({ sessionId: session.id });
+
+        logger.info('Checkout session created', {
+            sessionId: session.id,
+            itemCount: resolution.items.length,
+            currency: sessionCurrency
+        });
+
+        res.json({ sessionId: session.id, url: session.url });
+
+    } catch (error) {
+        logger.error('Error creating checkout session', error);
+
+        // Don't expose internal error details to client
+        res.status(500).json({
+            error: 'Unable to create checkout session. Please try again.'
+        });
+    }
+});
+
+/**
+ * Releases the artworks and promo code use held for a checkout the buyer cancelled.
+ * The checkout session is expired first so it can no longer be paid.
+ * @route POST /api/checkout-session/cancel
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.reservationId - Reservation ID from the cancel URL
+ */
+app.post('/api/checkout-session/cancel', async (req, res) => {
+    try {
+        const { reservationId } = req.body;
+
+        if (typeof reservationId !== 'string' || reservationId.length > 100) {
+            return res.status(400).json({ error: 'Invalid reservation ID' });
+        }
+
+        const reservation = inventory.getReservation(reservationId);
+        if (!reservation) {
+            return res.json({ released: false });
+        }
+
+        if (reservation.sessionId) {
+            const session = await paymentProvider.retrieveCheckoutSession(reservation.sessionId);
+
+            // A completed session keeps its hold until the webhook converts it
+            if (session.status === 'complete') {
+                return res.json({ released: false });
+            }
+
+            if (session.status === 'open') {
+                await paymentProvider.expireCheckoutSession(reservation.sessionId);
+            }
+        }
+
+        const released = inventory.releaseReservation(reservationId);
+        promotions.releaseUse(reservationId);
+        logger.info('Checkout cancelled by buyer', { reservationId, sessionId: reservation.sessionId });
+
+        res.json({ released });
+
+    } catch (error) {
+        logger.error('Error cancelling checkout session', error);
+        res.status(500).json({ error: 'Unable to cancel checkout session' });
+    }
+});
+
+/**
+ * Issues a token recording when the contact form was displayed.
+ * @route GET /api/contact/token
+ */
+app.get('/api/contact/token', (req, res) => {
+    res.json({ token: contact.issueFormToken() });
+});
+
+/**
+ * Receives a contact form message, stores it and notifies the studio.
+ * Spam protection: honeypot field, minimum time to submit and a per-IP limit.
+ * Submissions caught by the spam checks get a success response so bots
+ * learn nothing.
+ * @route POST /api/contact
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.name - Sender name
+ * @param {string} req.body.email - Sender email
+ * @param {string} req.body.message - Message text
+ * @param {string} req.body.formToken - Token from GET /api/contact/token
+ * @param {string} [req.body.website] - Honeypot field, must be empty
+ * @param {string} [req.body.locale] - Page language
+ */
+app.post('/api/contact', async (req, res) => {
+    const clientIp = req.ip || req.connection.remoteAddress || 'unknown';
+
+    if (req.body.website) {
+        logger.warn('Contact message dropped by honeypot', { ip: clientIp });
+        return res.json({ received: true });
+    }
+
+    const tokenCheck = contact.checkFormToken(req.body.formToken);
+    if (!tokenCheck.valid) {
+        logger.warn('Contact message dropped', { ip: clientIp, reason: tokenCheck.reason });
+        return res.json({ received: true });
+    }
+
+    const validation = contact.validateSubmission(req.body);
+    if (!validation.valid) {
+        return res.status(400).json({ errors: validation.errors });
+    }
+
+    try {
+        const message = contact.saveMessage({
+            ...validation.data,
+            locale: catalog.normalizeLocale(req.body.locale),
+            ip: clientIp
+        });
+
+        logger.info('Contact message received', { messageId: message.id });
+
+        // The message is stored; a mail failure must not fail the request
+        runInBackground(emails.sendContactNotification(message), 'Error sending contact notification');
+
+        res.json({ received: true });
+
+    } catch (error) {
+        logger.error('Error saving contact message', error);
+        res.status(500).json({ error: 'Impossible d\'envoyer le message. Veuillez réessayer.' });
+    }
+});
+
+/**
+ * Retrieves a checkout session by ID.
+ * @route GET /api/checkout-session/:sessionId
+ * @param {string} req.params.sessionId - Stripe session ID
+ */
+app.get('/api/checkout-session/:sessionId', async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        // Validate session ID format (Stripe session IDs start with 'cs_')
+        if (!sessionId || !sessionId.startsWith('cs_')) {
+            return res.status(400).json({ error: 'Invalid session ID format' });
+        }
+        logger.addContext({ sessionId });
+
+        const session = await paymentProvider.retrieveCheckoutSession(sessionId);
+
+        // The webhook may not have recorded the order yet
+        let taxDetails = null;
+        let invoice;
+        let invoiceToken = null;
+        if (session.status === 'complete') {
+            const order = orders.findBySessionId(session.id);
+            taxDetails = order ? order.tax : (await buildOrderFields(session)).tax;
+            invoice = order && invoices.getInvoice(order.id);
+
+            // Only the browser that started the checkout gets a download link
+            const buyerKey = invoices.readBuyerKey(req);
+            if (invoice && buyerKey && buyerKey === session.metadata?.buyerKey) {
+                invoiceToken = invoices.issueDownloadToken(invoice, buyerKey);
+            }
+        }
+
+        // Return only necessary fields for security
+        res.json({
+            id: session.id,
+            status: session.status,
+            payment_status: session.payment_status,
+            customer_email: session.customer_details?.email,
+            amount_total: session.amount_total,
+            currency: session.currency,
+            tax: taxDetails,
+            invoice_number: invoice ? invoice.number : null,
+            invoice_url: invoiceToken
+                ? `/api/checkout-session/${encodeURIComponent(session.id)}/invoice?token=${invoiceToken}`
+                : null
+        });
+
+    } catch (error) {
+        logger.error('Error retrieving checkout session', error);
+
+        if (error.code === 'resource_missing') {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        res.status(500).json({ error: 'Unable to retrieve session' });
+    }
+});
+
+/**
+ * Downloads the invoice of a paid checkout session, from the link given to
+ * the confirmation page. The link carries a signed token that expires
+ * shortly after payment and only works with the buyer cookie set when the
+ * checkout started, so the session ID alone is not enough. The invoice is
+ * also emailed with the order confirmation.
+ * @route GET /api/checkout-session/:sessionId/invoice
+ * @param {string} req.params.sessionId - Stripe checkout session ID
+ * @param {string} req.query.token - Download token from GET /api/checkout-session/:sessionId
+ */
+app.get('/api/checkout-session/:sessionId/invoice', async (req, res) => {
+    const { sessionId } = req.params;
+
+    if (!sessionId.startsWith('cs_')) {
+        return res.status(400).json({ error: 'Invalid session ID format' });
+    }
+
+    const order = orders.findBySessionId(sessionId);
+    const invoice = order && invoices.getInvoice(order.id);
+    if (!invoice) {
+        return res.status(404).json({ error: 'Invoice not available yet' });
+    }
+
+    if (!invoices.checkDownloadToken(invoice, req.query.token, invoices.readBuyerKey(req))) {
+        logger.warn('Invoice download refused', { sessionId, invoiceNumber: invoice.number });
+        return res.status(403).json({ error: 'Invalid or expired download link' });
+    }
+
+    try {
+        await sendInvoicePdf(res, invoice);
+    } catch (error) {
+        logger.error('Error reading invoice', error);
+        res.status(500).json({ error: 'Unable to retrieve invoice' });
+    }
+});
+
+// ============================================================================
+// ADMIN ENDPOINTS
+// ============================================================================
+
+/** Admin endpoints reserved to the owner */
+const requireOwner = adminAuth.requireRole(adminAuth.Role.OWNER);
+
+/** Admin endpoints open to every back-office role */
+const requireStaff = adminAuth.requireRole(adminAuth.Role.OWNER, adminAuth.Role.ASSISTANT);
+
+/**
+ * Logs a back-office user in and sets the session cookie.
+ * Attempts are rate limited per IP, and accounts lock after repeated failures.
+ * @route POST /admin/login
+ * @param {string} req.body.username - Login name
+ * @param {string} req.body.password - Password
+ */
+app.post('/admin/login', async (req, res) => {
+    try {
+        const result = await adminAuth.authenticate(req.body.username, req.body.password);
+
+        if (result.code === 'locked') {
+            res.set('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+            return res.status(429).json({
+                error: 'Compte temporairement bloqué après plusieurs échecs. Réessayez plus tard.',
+                code: result.code
+            });
+        }
+        if (!result.valid) {
+            logger.warn('Admin login failed', { ip: req.ip });
+            return res.status(401).json({ error: 'Identifiant ou mot de passe incorrect', code: result.code });
+        }
+
+        adminAuth.openSession(res, result.user);
+        logger.addContext({ admin: result.user.username });
+        logger.info('Admin logged in', { role: result.user.role });
+
+        res.json({ user: result.user });
+
+    } catch (error) {
+        logger.error('Error logging admin in', error);
+        res.status(500).json({ error: 'Unable to log in' });
+    }
+});
+
+/**
+ * Logs the current back-office user out.
+ * @route POST /admin/logout
+ */
+app.post('/admin/logout', (req, res) => {
+    adminAuth.closeSession(req, res);
+    res.json({ loggedOut: true });
+});
+
+/**
+ * Returns the logged-in back-office user.
+ * @route GET /admin/session
+ */
+app.get('/admin/session', requireStaff, (req, res) => {
+    res.json({ user: req.admin });
+});
+
+/**
+ * Changes the password of the logged-in user. Other sessions of the user
+ * are closed; this one is renewed.
+ * @route POST /admin/password
+ * @param {string} req.body.currentPassword - Current password
+ * @param {string} req.body.newPassword - New password
+ */
+app.post('/admin/password', requireStaff, async (req, res) => {
+    if (req.admin.username === adminAuth.ADMIN_AUTH_CONFIG.API_TOKEN_USER) {
+        return res.status(400).json({ error: 'The API token has no password' });
+    }
+
+    try {
+        const check = await adminAuth.authenticate(req.admin.username, req.body.currentPassword);
+        if (!check.valid) {
+            return res.status(400).json({ error: 'Mot de passe actuel incorrect', code: check.code });
+        }
+
+        const result = await adminAuth.updateUser(req.admin.username, { password: req.body.newPassword });
+        if (!result.valid) {
+            return res.status(400).json({ error: result.error });
+        }
+
+        adminAuth.openSession(res, req.admin);
+        res.json({ user: result.user });
+
+    } catch (error) {
+        logger.error('Error changing admin password', error);
+        res.status(500).json({ error: 'Unable to change password' });
+    }
+});
+
+/**
+ * Lists back-office users.
+ * @route GET /admin/users
+ */
+app.get('/admin/users', requireOwner, (req, res) => {
+    res.json({ users: adminAuth.listUsers() });
+});
+
+/**
+ * Creates a back-office user. The first owner is created with the
+ * ADMIN_API_TOKEN bearer token.
+ * @route POST /admin/users
+ * @param {string} req.body.username - Login name
+ * @param {string} req.body.password - Initial password
+ * @param {string} req.body.role - owner or assistant
+ */
+app.post('/admin/users', requireOwner, async (req, res) => {
+    try {
+        const result = await adminAuth.createUser(req.body);
+        if (!result.valid) {
+            return res.status(400).json({ error: result.error });
+        }
+
+        res.status(201).json(result.user);
+
+    } catch (error) {
+        logger.error('Error creating admin user', error);
+        res.status(500).json({ error: 'Unable to create user' });
+    }
+});
+
+/**
+ * Changes the role, password or disabled state of a back-office user.
+ * @route PATCH /admin/users/:username
+ * @param {string} req.params.username - Login name
+ * @param {string} [req.body.role] - owner or assistant
+ * @param {string} [req.body.password] - New password
+ * @param {boolean} [req.body.disabled] - Whether the user may log in
+ */
+app.patch('/admin/users/:username', requireOwner, async (req, res) => {
+    try {
+        const { role, password, disabled } = req.body;
+        const result = await adminAuth.updateUser(req.params.username, { role, password, disabled });
+
+        if (!result.valid) {
+            return res.status(400).json({ error: result.error });
+        }
+        if (!result.user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json(result.user);
+
+    } catch (error) {
+        logger.error('Error updating admin user', error);
+        res.status(500).json({ error: 'Unable to update user' });
+    }
+});
+
+/**
+ * Lists journaled webhook events.
+ * @route GET /admin/webhook-events
+ * @param {string} [req.query.status] - Filter by status (processing, processed, failed)
+ */
+app.get('/admin/webhook-events', requireOwner, (req, res) => {
+    const status = typeof req.query.status === 'string' ? req.query.status : undefined;
+    res.json({ events: webhookJournal.listEntries({ status }) });
+});
+
+/**
+ * Re-runs every failed webhook event.
+ * @route POST /admin/webhook-events/replay-failed
+ */
+app.post('/admin/webhook-events/replay-failed', requireOwner, async (req, res) => {
+    const failed = webhookJournal.listEntries({ status: webhookJournal.EventStatus.FAILED });
+    const results = [];
+
+    // Oldest first, so events are replayed in the order Stripe sent them
+    for (const entry of failed.reverse()) {
+        results.push(await replayWebhookEvent(entry.id));
+    }
+
+    res.json({ results });
+});
+
+/**
+ * Re-runs a single journaled webhook event.
+ * @route POST /admin/webhook-events/:eventId/replay
+ * @param {string} req.params.eventId - Stripe event ID
+ */
+app.post('/admin/webhook-events/:eventId/replay', requireOwner, async (req, res) => {
+    const { eventId } = req.params;
+
+    if (!webhookJournal.getEntry(eventId)) {
+        return res.status(404).json({ error: 'Event not found' });
+    }
+
+    res.json(await replayWebhookEvent(eventId));
+});
+
+/**
+ * Reads an optional YYYY-MM-DD date of the order filters.
+ * @param {*} value - Query string value
+ * @param {number} [dayOffset=0] - Days to add (1 makes a last day inclusive)
+ * @returns {{valid: boolean, date?: Date}} Parsed date, missing if not given
+ */
+function parseFilterDate(value, dayOffset = 0) {
+    if (value === undefined || value === '') return { valid: true };
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return { valid: false };
+
+    const date = new Date(`${value}T00:00:00Z`);
+    if (isNaN(date.getTime())) return { valid: false };
+
+    date.setUTCDate(date.getUTCDate() + dayOffset);
+    return { valid: true, date };
+}
+
+/**
+ * Lists orders, newest first, with the fields of the orders table.
+ * @route GET /admin/orders
+ * @param {string} [req.query.status] - Filter by status
+ * @param {string} [req.query.country] - Filter by ISO destination country code
+ * @param {string} [req.query.from] - First day included (YYYY-MM-DD, UTC)
+ * @param {string} [req.query.to] - Last day included (YYYY-MM-DD, UTC)
+ */
+app.get('/admin/orders', requireStaff, (req, res) => {
+    const { status, country } = req.query;
+    const from = parseFilterDate(req.query.from);
+    const to = parseFilterDate(req.query.to, 1);
+
+    if (status !== undefined && status !== '' && !Object.values(orders.OrderStatus).includes(status)) {
+        return res.status(400).json({ error: `status must be one of ${Object.values(orders.OrderStatus).join(', ')}` });
+    }
+    if (country !== undefined && country !== '' && (typeof country !== 'string' || !/^[A-Za-z]{2}$/.test(country))) {
+        return res.status(400).json({ error: 'country must be an ISO country code' });
+    }
+    if (!from.valid || !to.valid) {
+        return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+    }
+
+    const list = orders.listOrders({
+        status: status || undefined,
+        country: country ? country.toUpperCase() : undefined,
+        from: from.date,
+        to: to.date
+    });
+
+    res.json({
+        orders: list.map(order => ({
+            id: order.id,
+            status: order.status,
+            createdAt: order.createdAt,
+            customerName: order.customerName,
+            customerEmail: order.customerEmail,
+            country: order.shippingAddress?.country || null,
+            itemCount: order.lineItems.reduce((count, line) => count + line.quantity, 0),
+            amountTotal: order.amountTotal,
+            currency: order.currency
+        }))
+    });
+});
+
+/**
+ * Returns an order with its line items, shipping address and history, and
+ * the next status of its fulfilment workflow.
+ * @route GET /admin/orders/:orderId
+ * @param {string} req.params.orderId - Order number
+ */
+app.get('/admin/orders/:orderId', requireStaff, (req, res) => {
+    const order = orders.getOrder(req.params.orderId);
+    if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json({ ...order, nextStatus: orders.nextStatus(order) });
+});
+
+/**
+ * Moves an order to the next fulfilment status (paid → packed → shipped →
+ * delivered). The buyer is emailed at each step.
+ * @route POST /admin/orders/:orderId/status
+ * @param {string} req.params.orderId - Order number
+ * @param {string} req.body.status - New status
+ * @param {string} [req.body.trackingNumber] - Carrier tracking number, required to ship
+ */
+app.post('/admin/orders/:orderId/status', requireStaff, (req, res) => {
+    const { status, trackingNumber } = req.body;
+    const result = orders.advanceStatus(req.params.orderId, status, { trackingNumber });
+
+    if (!result.valid) {
+        return res.status(result.code === 'invalid_transition' ? 409 : 400)
+            .json({ error: result.error, code: result.code });
+    }
+    if (!result.order) {
+        return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json({ ...result.order, nextStatus: orders.nextStatus(result.order) });
+});
+
+/**
+ * Downloads the invoice of an order, issuing it if it is missing.
+ * @route GET /admin/orders/:orderId/invoice
+ * @param {string} req.params.orderId - Order number
+ */
+app.get('/admin/orders/:orderId/invoice', requireStaff, async (req, res) => {
+    const order = orders.getOrder(req.params.orderId);
+    if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+    }
+
+    try {
+        await sendInvoicePdf(res, await invoices.issueInvoice(order));
+    } catch (error) {
+        logger.error('Error generating invoice', error);
+        res.status(500).json({ error: 'Unable to generate invoice' });
+    }
+});
+
+/**
+ * Issues a full or partial refund for an order through the payment provider.
+ * The order itself is updated by the charge.refunded webhook.
+ * @route POST /admin/orders/:orderId/refund
+ * @param {string} req.params.orderId - Order number
+ * @param {number} [req.body.amount] - Amount in cents (defaults to everything not yet refunded)
+ * @param {string} [req.body.reason] - duplicate, fraudulent or requested_by_customer
+ * @param {boolean} [req.body.restock] - Put the artworks back in stock (defaults to true for full refunds)
+ */
+app.post('/admin/orders/:orderId/refund', requireOwner, async (req, res) => {
+    const order = orders.getOrder(req.params.orderId);
+    if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (!order.paymentIntentId) {
+        return res.status(409).json({ error: 'Order has no payment to refund' });
+    }
+
+    const refundable = order.amountTotal - (order.amountRefunded || 0);
+    if (refundable <= 0) {
+        return res.status(409).json({ error: 'Order is already fully refunded' });
+    }
+
+    const amount = req.body.amount === undefined ? refundable : req.body.amount;
+
+    if (!Number.isInteger(amount) || amount <= 0 || amount > refundable) {
+        return res.status(400).json({ error: `Amount must be between 1 and ${refundable} cents` });
+    }
+
+    const { reason } = req.body;
+    if (reason !== undefined && !CONFIG.REFUND_REASONS.includes(reason)) {
+        return res.status(400).json({ error: `Reason must be one of: ${CONFIG.REFUND_REASONS.join(', ')}` });
+    }
+
+    const completesRefund = amount === refundable;
+    const restock = typeof req.body.restock === 'boolean' ? req.body.restock : completesRefund;
+    const previousRestock = order.restockOnRefund;
+
+    // Recorded first so the webhook for the refund completing the order, which
+    // may arrive before the provider answers, honours the choice. Partial
+    // refunds restock here instead and leave the flag alone.
+    if (completesRefund) {
+        orders.updateOrder(order.id, { restockOnRefund: restock });
+    }
+
+    try {
+        const refund = await paymentProvider.createRefund({
+            paymentIntentId: order.paymentIntentId,
+            amount,
+            reason,
+            metadata: { orderId: order.id }
+        });
+
+        // Partial refunds never restock from the webhook
+        if (restock && !completesRefund) {
+            inventory.restock(`refund:${order.id}`, orders.stockLines(order));
+        }
+
+        logger.info('Refund issued', { orderId: order.id, refundId: refund.id, amount, restock });
+        res.status(201).json({ id: refund.id, amount: refund.amount, status: refund.status });
+
+    } catch (error) {
+        if (completesRefund) {
+            orders.updateOrder(order.id, { restockOnRefund: previousRestock });
+        }
+        logger.error('Error issuing refund', error);
+        res.status(502).json({ error: 'Unable to issue refund', reason: error.message });
+    }
+});
+
+/**
+ * Lists every artwork, retired ones included, with its remaining stock.
+ * @route GET /admin/artworks
+ */
+app.get('/admin/artworks', requireOwner, (req, res) => {
+    res.json({
+        artworks: catalog.listArtworks({ includeRetired: true }).map(artwork => ({
+            ...artwork,
+            retired: Boolean(artwork.retired),
+            remaining: inventory.getStock(artwork.id)
+        }))
+    });
+});
+
+/**
+ * Creates an artwork, placed last in the storefront.
+ * @route POST /admin/artworks
+ * @param {Object} req.body - Artwork fields (id, sku, category, title,
+ *   description, price, weight, dimensions, image, available, stock)
+ */
+app.post('/admin/artworks', requireOwner, (req, res) => {
+    const result = catalog.createArtwork(req.body);
+    if (!result.valid) {
+        return res.status(400).json({ error: result.error });
+    }
+
+    res.status(201).json(result.artwork);
+});
+
+/**
+ * Sets the storefront order of the artworks.
+ * @route POST /admin/artworks/order
+ * @param {string[]} req.body.ids - Every artwork ID, in the new order
+ */
+app.post('/admin/artworks/order', requireOwner, (req, res) => {
+    const result = catalog.reorderArtworks(req.body.ids);
+    if (!result.valid) {
+        return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ ids: catalog.listArtworks({ includeRetired: true }).map(artwork => artwork.id) });
+});
+
+/**
+ * Uploads an artwork image, to set on an artwork afterwards.
+ * @route POST /admin/artworks/images
+ * @param {Buffer} req.body - JPEG, PNG or WebP file
+ */
+app.post('/admin/artworks/images', requireOwner, bodyParser.raw({
+    type: ['image/jpeg', 'image/png', 'image/webp'],
+    limit: catalog.CATALOG_CONFIG.MAX_IMAGE_BYTES
+}), (req, res) => {
+    try {
+        const result = catalog.saveImage(req.body);
+        if (!result.valid) {
+            return res.status(400).json({ error: result.error });
+        }
+
+        res.status(201).json({ image: result.image });
+
+    } catch (error) {
+        logger.error('Error saving artwork image', error);
+        res.status(500).json({ error: 'Unable to save image' });
+    }
+});
+
+/**
+ * Changes an artwork. Setting retired withdraws it from the storefront;
+ * setting stock corrects its remaining quantity.
+ * @route PATCH /admin/artworks/:id
+ * @param {string} req.params.id - Artwork ID
+ * @param {Object} req.body - Fields to change (as for creation, plus retired)
+ */
+app.patch('/admin/artworks/:id', requireOwner, (req, res) => {
+    const { stock, ...changes } = req.body;
+
+    if (stock !== undefined && (!Number.isInteger(stock) || stock < 0)) {
+        return res.status(400).json({ error: 'stock must be a non-negative integer' });
+    }
+
+    const result = catalog.updateArtwork(req.params.id, changes);
+    if (!result.valid) {
+        return res.status(400).json({ error: result.error });
+    }
+    if (!result.artwork) {
+        return res.status(404).json({ error: 'Artwork not found' });
+    }
+
+    if (stock !== undefined) {
+        inventory.setStock(req.params.id, stock);
+    }
+
+    res.json({ ...result.artwork, remaining: inventory.getStock(req.params.id) });
+});
+
+/**
+ * Lists promo codes with their usage.
+ * @route GET /admin/promo-codes
+ */
+app.get('/admin/promo-codes', requireOwner, (req, res) => {
+    res.json({ codes: promotions.listCodes() });
+});
+
+/**
+ * Creates a promo code.
+ * @route POST /admin/promo-codes
+ * @param {Object} req.body - Code settings (code, type, value, startsAt,
+ *   expiresAt, maxUses, minTotal, excludedArtworks)
+ */
+app.post('/admin/promo-codes', requireOwner, (req, res) => {
+    const result = promotions.createCode(req.body);
+    if (!result.valid) {
+        return res.status(400).json({ error: result.error });
+    }
+
+    res.status(201).json(result.promo);
+});
+
+/**
+ * Enables or disables a promo code.
+ * @route PATCH /admin/promo-codes/:code
+ * @param {string} req.params.code - Promo code
+ * @param {boolean} req.body.active - Whether the code can be used
+ */
+app.patch('/admin/promo-codes/:code', requireOwner, (req, res) => {
+    if (typeof req.body.active !== 'boolean') {
+        return res.status(400).json({ error: 'active must be a boolean' });
+    }
+
+    const promo = promotions.setActive(req.params.code, req.body.active);
+    if (!promo) {
+        return res.status(404).json({ error: 'Promo code not found' });
+    }
+
+    res.json(promo);
+});
+
+// ============================================================================
+// ERROR HANDLING
 // ============================================================================
 
 /**
@@ -493,6 +1874,11 @@ app.use((req, res) => {
  * Global error handler.
  */
 app.use((err, req, res, next) => {
+    // Body over the parser limit (e.g. an artwork image larger than 5 MB)
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ error: 'Request body too large' });
+    }
+
     logger.error('Unhandled error', err);
     res.status(500).json({ error: 'Internal server error' });
 });
@@ -502,37 +1888,71 @@ app.use((err, req, res, next) => {
 // ============================================================================
 
 /**
- * Validates required environment variables before starting.
- * @returns {boolean} True if all required vars are present
+ * Reports configuration errors found when the settings were loaded.
+ * @returns {boolean} True if the configuration is valid
  */
 function validateEnvironment() {
-    const required = ['STRIPE_SECRET_KEY', 'STRIPE_PUBLISHABLE_KEY'];
-    const missing = required.filter(key => !process.env[key]);
-
-    if (missing.length > 0) {
-        logger.error('Missing required environment variables', { missing });
+    if (configErrors.length > 0) {
+        logger.error('Invalid configuration', { profile: config.profile, errors: configErrors });
         return false;
     }
 
-    if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    if (paymentProvider.name === 'stripe' && !config.payments.stripe.webhookSecret) {
         logger.warn('STRIPE_WEBHOOK_SECRET not set - webhooks will not be verified');
     }
 
     return true;
 }
 
+/**
+ * Stops the server gracefully: new connections are refused, in-flight
+ * requests (webhooks included) finish, then background tasks are awaited.
+ * Exits anyway after SHUTDOWN_TIMEOUT_MS.
+ * @param {import('http').Server} server - Listening server
+ * @param {string} signal - Signal received
+ */
+function shutdown(server, signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+
+    logger.info('Shutting down', { signal, backgroundTasks: backgroundTasks.size });
+
+    clearInterval(rateLimitCleanupInterval);
+    clearInterval(cartReminderInterval);
+
+    setTimeout(() => {
+        logger.error('Shutdown timed out, exiting with work in progress', {
+            backgroundTasks: backgroundTasks.size
+        });
+        process.exit(1);
+    }, config.server.shutdownTimeoutMs).unref();
+
+    server.close(async () => {
+        // A finishing task may start another (e.g. an email after a webhook)
+        while (backgroundTasks.size > 0) {
+            await Promise.allSettled([...backgroundTasks]);
+        }
+
+        logger.info('Server stopped');
+        process.exit(0);
+    });
+}
+
 // Start server
 if (validateEnvironment()) {
-    app.listen(CONFIG.PORT, () => {
+    const server = app.listen(CONFIG.PORT, () => {
         logger.info('Server started', {
             port: CONFIG.PORT,
-            env: process.env.NODE_ENV || 'development',
-            stripeConfigured: true
+            env: config.profile,
+            paymentProvider: paymentProvider.name
         });
     });
+
+    process.on('SIGTERM', () => shutdown(server, 'SIGTERM'));
+    process.on('SIGINT', () => shutdown(server, 'SIGINT'));
 } else {
     logger.error('Server startup aborted due to configuration errors');
     process.exit(1);
 }
 
-module.exports = { app, validateCartItems, sanitizeString };
+module.exports = { app, sanitizeString };
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Shared setup of the Urban Art behaviour tests.
+ * Each test file runs in its own process (node --test) with the test
+ * profile and a fresh storage directory, so tests never touch real data.
+ * @author Urban Art Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** @type {Object} Test configuration constants */
+const TEST_CONFIG = Object.freeze({
+    ROOT_DIR: path.join(__dirname, '..'),
+    ADMIN_API_TOKEN: 'test-admin-token-0123456789',
+    MOCK_WEBHOOK_SECRET: 'test-mock-webhook-secret',
+    // How long to wait for the server to start or a webhook to be handled
+    WAIT_TIMEOUT_MS: 10000,
+    POLL_INTERVAL_MS: 50
+});
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Selects the test profile with a fresh storage directory. Must run before
+ * any lib module is required, since stores resolve their paths on load.
+ * @returns {string} Storage directory, removed when the process exits
+ */
+function useTempStorage() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'urban-art-test-'));
+
+    process.env.NODE_ENV = 'test';
+    process.env.STORAGE_DIR = dir;
+    process.env.MOCK_WEBHOOK_SECRET = TEST_CONFIG.MOCK_WEBHOOK_SECRET;
+    process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+    return dir;
+}
+
+// ============================================================================
+// SERVER
+// ============================================================================
+
+/**
+ * Finds a free local port.
+ * @returns {Promise<number>} Port number
+ */
+function findFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.on('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Waits until a check passes.
+ * @param {function(): Promise<*>} check - Returns a truthy value when done
+ * @param {string} description - What is awaited, for the timeout error
+ * @returns {Promise<*>} The truthy value returned by the check
+ * @throws {Error} If the check still fails after WAIT_TIMEOUT_MS
+ */
+async function waitFor(check, description) {
+    const deadline = Date.now() + TEST_CONFIG.WAIT_TIMEOUT_MS;
+
+    while (Date.now() < deadline) {
+        const result = await check().catch(() => null);
+        if (result) return result;
+        await new Promise(resolve => setTimeout(resolve, TEST_CONFIG.POLL_INTERVAL_MS));
+    }
+    throw new Error(`Timed out waiting for ${description}`);
+}
+
+/**
+ * Starts the shop with the mock payment provider on a free port, using the
+ * storage directory selected by useTempStorage().
+ * @returns {Promise<{baseUrl: string, stop: function(): Promise<void>}>} Running server
+ */
+async function startServer() {
+    const port = await findFreePort();
+    const baseUrl = `http://localhost:${port}`;
+
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: TEST_CONFIG.ROOT_DIR,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            FRONTEND_URL: baseUrl,
+            ADMIN_API_TOKEN: TEST_CONFIG.ADMIN_API_TOKEN,
+            LOG_LEVEL: 'error'
+        },
+        stdio: ['ignore', 'ignore', 'inherit']
+    });
+    const exited = new Promise(resolve => child.once('exit', resolve));
+
+    await waitFor(async () => (await fetch(`${baseUrl}/healthz`)).ok, 'the server to start');
+
+    return {
+        baseUrl,
+        async stop() {
+            child.kill('SIGTERM');
+            await exited;
+        }
+    };
+}
+
+module.exports = {
+    TEST_CONFIG,
+    useTempStorage,
+    waitFor,
+    startServer
+};
@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Behaviour tests of invoice downloads from the confirmation
+ * page, run against the shop with the mock payment provider: the download
+ * link is only given to, and only works in, the browser that paid.
+ * @author Urban Art Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempStorage, waitFor, startServer } = require('./helpers');
+
+useTempStorage();
+
+/** @type {{baseUrl: string, stop: function(): Promise<void>}} Shop under test */
+let server;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Merges the cookies set by a response into a Cookie header.
+ * @param {string} cookie - Current Cookie header
+ * @param {Response} response - Fetch response
+ * @returns {string} Updated Cookie header
+ */
+function addCookies(cookie, response) {
+    const cookies = new Map(cookie ? cookie.split('; ').map(c => c.split('=')) : []);
+    for (const setCookie of response.headers.getSetCookie()) {
+        const [name, value] = setCookie.split(';')[0].split('=');
+        cookies.set(name, value);
+    }
+    return Array.from(cookies, ([name, value]) => `${name}=${value}`).join('; ');
+}
+
+/**
+ * Buys one artwork through the storefront API and the mock checkout page.
+ * @param {string} artworkId - Artwork ID
+ * @returns {Promise<{sessionId: string, cookie: string}>} Checkout session
+ *   and the buyer's Cookie header
+ */
+async function buy(artworkId) {
+    const configResponse = await fetch(`${server.baseUrl}/api/config`);
+    const { csrfToken } = await configResponse.json();
+    let cookie = addCookies('', configResponse);
+
+    const sessionResponse = await fetch(`${server.baseUrl}/api/create-checkout-session`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Cookie': cookie,
+            'Origin': server.baseUrl,
+            'X-CSRF-Token': csrfToken
+        },
+        body: JSON.stringify({ items: [{ id: artworkId, quantity: 1 }], shippingCountry: 'FR' })
+    });
+    assert.equal(sessionResponse.status, 200);
+    cookie = addCookies(cookie, sessionResponse);
+    const { sessionId, url } = await sessionResponse.json();
+
+    await fetch(url, {
+        method: 'POST',
+        redirect: 'manual',
+        body: new URLSearchParams({
+            outcome: 'success',
+            email: 'buyer@example.com',
+            name: 'Jeanne Martin',
+            line1: '1 rue de la Paix',
+            postalCode: '75002',
+            city: 'Paris'
+        })
+    });
+
+    return { sessionId, cookie };
+}
+
+/**
+ * Fetches a checkout session as the confirmation page does.
+ * @param {string} sessionId - Checkout session ID
+ * @param {string} [cookie] - Cookie header of the browser
+ * @returns {Promise<Object>} Session details
+ */
+async function getSession(sessionId, cookie) {
+    const response = await fetch(`${server.baseUrl}/api/checkout-session/${sessionId}`, {
+        headers: cookie ? { 'Cookie': cookie } : {}
+    });
+    assert.equal(response.status, 200);
+    return response.json();
+}
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('invoice downloads', () => {
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('gives the buyer a working download link', async () => {
+        const { sessionId, cookie } = await buy('cerveau-connecte');
+        const session = await waitFor(async () => {
+            const details = await getSession(sessionId, cookie);
+            return details.invoice_number ? details : null;
+        }, `the invoice of ${sessionId}`);
+
+        assert.ok(session.invoice_url);
+        const response = await fetch(`${server.baseUrl}${session.invoice_url}`, {
+            headers: { 'Cookie': cookie }
+        });
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('content-type'), 'application/pdf');
+    });
+
+    it('keeps the link from anyone who only knows the session ID', async () => {
+        const { sessionId, cookie } = await buy('crateres');
+        const session = await waitFor(async () => {
+            const details = await getSession(sessionId, cookie);
+            return details.invoice_number ? details : null;
+        }, `the invoice of ${sessionId}`);
+
+        const stranger = await getSession(sessionId);
+        assert.equal(stranger.invoice_number, session.invoice_number);
+        assert.equal(stranger.invoice_url, null);
+
+        // A leaked link does not work without the buyer's cookie either
+        const response = await fetch(`${server.baseUrl}${session.invoice_url}`);
+        assert.equal(response.status, 403);
+    });
+});
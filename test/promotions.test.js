@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Behaviour tests of promo codes: discount amounts, and the
+ * usage limit shared by paid orders and open checkouts.
+ * @author Urban Art Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempStorage } = require('./helpers');
+
+useTempStorage();
+
+const catalog = require('../lib/catalog');
+const promotions = require('../lib/promotions');
+
+/** @type {number} Hold expiry used by open checkouts in these tests */
+const IN_ONE_HOUR = Date.now() + 60 * 60 * 1000;
+
+/**
+ * Resolves cart entries against the catalog.
+ * @param {Array<{id: string, quantity: number}>} items - Cart entries
+ * @returns {import('../lib/catalog').ResolvedItem[]} Resolved items
+ */
+function cart(items) {
+    const resolution = catalog.resolveCartItems(items);
+    assert.ok(resolution.valid, resolution.error);
+    return resolution.items;
+}
+
+/**
+ * Creates a promo code that must be valid.
+ * @param {Object} fields - Code settings
+ * @returns {import('../lib/promotions').PromoCode} Created code
+ */
+function createCode(fields) {
+    const result = promotions.createCode(fields);
+    assert.ok(result.valid, result.error);
+    return result.promo;
+}
+
+describe('promotions.evaluate', () => {
+    it('computes percentage and fixed discounts in cents', () => {
+        createCode({ code: 'TEN', type: 'percent', value: 10 });
+        createCode({ code: 'FIFTY', type: 'fixed', value: 50 });
+        const items = cart([{ id: 'cerveau-connecte', quantity: 1 }]);
+
+        assert.equal(promotions.evaluate('ten', items, 'eur').amount, 3800);
+        assert.equal(promotions.evaluate('FIFTY', items, 'eur').amount, 5000);
+    });
+
+    it('never discounts more than the eligible artworks', () => {
+        createCode({ code: 'HUGE', type: 'fixed', value: 10000 });
+        const items = cart([{ id: 'texture-lunaire', quantity: 1 }]);
+
+        assert.equal(promotions.evaluate('HUGE', items, 'eur').amount, 29000);
+    });
+
+    it('leaves excluded artworks out of the discount', () => {
+        createCode({ code: 'NOBRAIN', type: 'percent', value: 50, excludedArtworks: ['cerveau-connecte'] });
+
+        const mixed = cart([{ id: 'cerveau-connecte', quantity: 1 }, { id: 'crateres', quantity: 1 }]);
+        assert.equal(promotions.evaluate('NOBRAIN', mixed, 'eur').amount, 20500);
+
+        const excludedOnly = cart([{ id: 'cerveau-connecte', quantity: 1 }]);
+        assert.equal(promotions.evaluate('NOBRAIN', excludedOnly, 'eur').code, 'promo_no_eligible_items');
+    });
+
+    it('enforces the minimum total, start and expiry dates', () => {
+        const items = cart([{ id: 'texture-lunaire', quantity: 1 }]);
+
+        createCode({ code: 'BIGCART', type: 'percent', value: 5, minTotal: 300 });
+        assert.equal(promotions.evaluate('BIGCART', items, 'eur').code, 'promo_min_total');
+
+        createCode({ code: 'LATER', type: 'percent', value: 5, startsAt: '2999-01-01T00:00:00Z' });
+        assert.equal(promotions.evaluate('LATER', items, 'eur').code, 'promo_not_started');
+
+        createCode({ code: 'PAST', type: 'percent', value: 5, expiresAt: '2000-01-01T00:00:00Z' });
+        assert.equal(promotions.evaluate('PAST', items, 'eur').code, 'promo_expired');
+    });
+
+    it('rejects unknown and disabled codes', () => {
+        const items = cart([{ id: 'crateres', quantity: 1 }]);
+
+        assert.equal(promotions.evaluate('NOPE', items, 'eur').code, 'promo_unknown');
+
+        createCode({ code: 'OFF', type: 'percent', value: 5 });
+        promotions.setActive('OFF', false);
+        assert.equal(promotions.evaluate('OFF', items, 'eur').code, 'promo_unknown');
+    });
+});
+
+describe('promo code usage limit', () => {
+    const items = cart([{ id: 'crateres', quantity: 1 }]);
+
+    it('counts open checkouts against maxUses', () => {
+        createCode({ code: 'ONCE', type: 'percent', value: 10, maxUses: 1 });
+
+        assert.ok(promotions.holdUse('ONCE', 'reservation-1', IN_ONE_HOUR).valid);
+        assert.equal(promotions.evaluate('ONCE', items, 'eur').code, 'promo_used_up');
+        assert.equal(promotions.holdUse('ONCE', 'reservation-2', IN_ONE_HOUR).code, 'promo_used_up');
+    });
+
+    it('frees the use when the checkout expires or is cancelled', () => {
+        createCode({ code: 'RELEASE', type: 'percent', value: 10, maxUses: 1 });
+        assert.ok(promotions.holdUse('RELEASE', 'reservation-3', IN_ONE_HOUR).valid);
+
+        assert.equal(promotions.releaseUse('reservation-3'), true);
+        assert.equal(promotions.releaseUse('reservation-3'), false);
+        assert.ok(promotions.evaluate('RELEASE', items, 'eur').valid);
+    });
+
+    it('ignores holds past their expiry', () => {
+        createCode({ code: 'STALE', type: 'percent', value: 10, maxUses: 1 });
+        assert.ok(promotions.holdUse('STALE', 'reservation-4', Date.now() - 1).valid);
+
+        assert.ok(promotions.evaluate('STALE', items, 'eur').valid);
+        assert.ok(promotions.holdUse('STALE', 'reservation-5', IN_ONE_HOUR).valid);
+    });
+
+    it('turns the hold into one redemption, even when recorded twice', () => {
+        createCode({ code: 'TWICE', type: 'percent', value: 10, maxUses: 2 });
+        assert.ok(promotions.holdUse('TWICE', 'reservation-6', IN_ONE_HOUR).valid);
+
+        promotions.recordRedemption('TWICE', 'cs_paid_1', 'reservation-6');
+        const promo = promotions.recordRedemption('TWICE', 'cs_paid_1', 'reservation-6');
+
+        assert.deepEqual(promo.redemptions, ['cs_paid_1']);
+        assert.deepEqual(promo.holds, {});
+        assert.ok(promotions.evaluate('TWICE', items, 'eur').valid);
+
+        promotions.recordRedemption('TWICE', 'cs_paid_2');
+        assert.equal(promotions.evaluate('TWICE', items, 'eur').code, 'promo_used_up');
+    });
+});
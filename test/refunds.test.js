@@ -0,0 +1,221 @@
+/**
+ * @fileoverview Behaviour tests of refunds, run against the shop with the
+ * mock payment provider: refundable amounts, order updates from the
+ * charge.refunded webhook, and artworks put back in stock only once.
+ * @author Urban Art Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TEST_CONFIG, useTempStorage, waitFor, startServer } = require('./helpers');
+
+useTempStorage();
+
+const { MOCK_CONFIG, signPayload } = require('../lib/mock-payments');
+
+/** @type {{baseUrl: string, stop: function(): Promise<void>}} Shop under test */
+let server;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Calls an admin endpoint with the API token.
+ * @param {string} path - Endpoint path
+ * @param {Object} [body] - JSON body; the request is a POST when given
+ * @returns {Promise<{status: number, data: Object}>} Response status and JSON
+ */
+async function admin(path, body) {
+    const response = await fetch(`${server.baseUrl}${path}`, {
+        method: body ? 'POST' : 'GET',
+        headers: {
+            'Authorization': `Bearer ${TEST_CONFIG.ADMIN_API_TOKEN}`,
+            'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, data: await response.json() };
+}
+
+/**
+ * Returns the remaining stock of an artwork.
+ * @param {string} id - Artwork ID
+ * @returns {Promise<number>} Remaining quantity
+ */
+async function stockOf(id) {
+    const response = await fetch(`${server.baseUrl}/api/availability`);
+    const { artworks } = await response.json();
+    return artworks.find(artwork => artwork.id === id).quantity;
+}
+
+/**
+ * Buys one artwork through the storefront API and the mock checkout page.
+ * @param {string} artworkId - Artwork ID
+ * @returns {Promise<import('../lib/orders').Order>} Order recorded by the webhook
+ */
+async function buy(artworkId) {
+    const configResponse = await fetch(`${server.baseUrl}/api/config`);
+    const { csrfToken } = await configResponse.json();
+    const cookie = configResponse.headers.getSetCookie().map(c => c.split(';')[0]).join('; ');
+
+    const sessionResponse = await fetch(`${server.baseUrl}/api/create-checkout-session`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Cookie': cookie,
+            'Origin': server.baseUrl,
+            'X-CSRF-Token': csrfToken
+        },
+        body: JSON.stringify({ items: [{ id: artworkId, quantity: 1 }], shippingCountry: 'FR' })
+    });
+    assert.equal(sessionResponse.status, 200);
+    const { sessionId, url } = await sessionResponse.json();
+
+    await fetch(url, {
+        method: 'POST',
+        redirect: 'manual',
+        body: new URLSearchParams({
+            outcome: 'success',
+            email: 'buyer@example.com',
+            name: 'Jeanne Martin',
+            line1: '1 rue de la Paix',
+            postalCode: '75002',
+            city: 'Paris'
+        })
+    });
+
+    return waitFor(async () => {
+        const { data } = await admin('/admin/orders');
+        for (const { id } of data.orders) {
+            const order = (await admin(`/admin/orders/${id}`)).data;
+            if (order.sessionId === sessionId) return order;
+        }
+        return null;
+    }, `the order of ${sessionId}`);
+}
+
+/**
+ * Waits until an order matches a condition.
+ * @param {string} orderId - Order number
+ * @param {function(Object): boolean} condition - Test on the order
+ * @returns {Promise<Object>} Matching order
+ */
+function waitForOrder(orderId, condition) {
+    return waitFor(async () => {
+        const { data } = await admin(`/admin/orders/${orderId}`);
+        return condition(data) ? data : null;
+    }, `order ${orderId} to be updated`);
+}
+
+/**
+ * Delivers a charge.refunded webhook again, as Stripe does on retries.
+ * @param {Object} order - Refunded order
+ * @returns {Promise<number>} Webhook response status
+ */
+async function replayFullRefund(order) {
+    const payload = JSON.stringify({
+        id: `evt_replay_${order.id}`,
+        object: 'event',
+        type: 'charge.refunded',
+        created: Math.floor(Date.now() / 1000),
+        data: {
+            object: {
+                id: order.paymentIntentId.replace(/^pi_/, 'ch_'),
+                object: 'charge',
+                payment_intent: order.paymentIntentId,
+                amount: order.amountTotal,
+                amount_refunded: order.amountTotal,
+                refunded: true
+            }
+        }
+    });
+
+    const response = await fetch(`${server.baseUrl}/webhook`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            [MOCK_CONFIG.SIGNATURE_HEADER]: signPayload(payload)
+        },
+        body: payload
+    });
+    return response.status;
+}
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('refunds', () => {
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('refunds everything left by default and restocks once', async () => {
+        const order = await buy('cerveau-connecte');
+        assert.equal(await stockOf('cerveau-connecte'), 0);
+
+        const refund = await admin(`/admin/orders/${order.id}/refund`, {});
+        assert.equal(refund.status, 201);
+        assert.equal(refund.data.amount, order.amountTotal);
+
+        const refunded = await waitForOrder(order.id, o => o.status === 'refunded');
+        assert.equal(refunded.amountRefunded, order.amountTotal);
+        assert.equal(await stockOf('cerveau-connecte'), 1);
+
+        // A retried webhook changes nothing
+        assert.equal(await replayFullRefund(refunded), 200);
+        const replayed = (await admin(`/admin/orders/${order.id}`)).data;
+        assert.equal(replayed.refunds.length, 1);
+        assert.equal(replayed.amountRefunded, order.amountTotal);
+        assert.equal(await stockOf('cerveau-connecte'), 1);
+
+        const again = await admin(`/admin/orders/${order.id}/refund`, {});
+        assert.equal(again.status, 409);
+    });
+
+    it('limits partial refunds to what is left and keeps the stock by default', async () => {
+        const order = await buy('crateres');
+
+        const tooMuch = await admin(`/admin/orders/${order.id}/refund`, { amount: order.amountTotal + 1 });
+        assert.equal(tooMuch.status, 400);
+
+        const partial = await admin(`/admin/orders/${order.id}/refund`, { amount: 1000 });
+        assert.equal(partial.status, 201);
+        await waitForOrder(order.id, o => o.amountRefunded === 1000);
+
+        const over = await admin(`/admin/orders/${order.id}/refund`, { amount: order.amountTotal });
+        assert.equal(over.status, 400);
+        assert.match(over.data.error, new RegExp(`between 1 and ${order.amountTotal - 1000} cents`));
+
+        const rest = await admin(`/admin/orders/${order.id}/refund`, { restock: false });
+        assert.equal(rest.status, 201);
+        assert.equal(rest.data.amount, order.amountTotal - 1000);
+
+        const refunded = await waitForOrder(order.id, o => o.status === 'refunded');
+        assert.deepEqual(refunded.refunds.map(r => r.amount), [1000, order.amountTotal - 1000]);
+        assert.equal(await stockOf('crateres'), 0);
+    });
+
+    it('does not restock twice when a partial refund already did', async () => {
+        const order = await buy('texture-lunaire');
+
+        const partial = await admin(`/admin/orders/${order.id}/refund`, { amount: 500, restock: true });
+        assert.equal(partial.status, 201);
+        assert.equal(await stockOf('texture-lunaire'), 1);
+        await waitForOrder(order.id, o => o.status === 'partially_refunded');
+
+        const rest = await admin(`/admin/orders/${order.id}/refund`, {});
+        assert.equal(rest.status, 201);
+
+        await waitForOrder(order.id, o => o.status === 'refunded');
+        assert.equal(await stockOf('texture-lunaire'), 1);
+    });
+});
@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Behaviour tests of the VAT breakdown: allocation of the
+ * discount and the shipping cost across lines taxed at different rates.
+ * @author Urban Art Team
+ * @version 2.0.0
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempStorage } = require('./helpers');
+
+useTempStorage();
+
+const orders = require('../lib/orders');
+const tax = require('../lib/tax');
+
+/**
+ * Sums the gross amounts of a breakdown.
+ * @param {import('../lib/tax').TaxBreakdown} result - VAT breakdown
+ * @returns {number} Gross total in cents
+ */
+function grossTotal(result) {
+    return result.breakdown.reduce((sum, entry) => sum + entry.amountGross, 0);
+}
+
+describe('tax.calculate', () => {
+    it('extracts the VAT included in a single-rate sale', () => {
+        const result = tax.calculate({
+            country: 'FR',
+            lines: [{ taxClass: 'print', amount: 12000 }]
+        });
+
+        assert.deepEqual(result, {
+            country: 'FR',
+            amountTax: 2000,
+            breakdown: [{ rate: 20, amountGross: 12000, amountTax: 2000 }]
+        });
+    });
+
+    it('allocates discount and shipping in proportion to the lines', () => {
+        const result = tax.calculate({
+            country: 'FR',
+            lines: [
+                { taxClass: 'original_art', amount: 10000 },
+                { taxClass: 'print', amount: 5000 }
+            ],
+            discount: 1000,
+            shipping: 1500
+        });
+
+        // Discount 667 / 333, then shipping 1000 / 500 on the discounted lines
+        assert.deepEqual(result.breakdown, [
+            { rate: 5.5, amountGross: 10333, amountTax: 539 },
+            { rate: 20, amountGross: 5167, amountTax: 861 }
+        ]);
+        assert.equal(result.amountTax, 1400);
+    });
+
+    it('keeps every cent when shares do not divide evenly', () => {
+        const cases = [
+            { amounts: [1, 1, 1], discount: 2, shipping: 7 },
+            { amounts: [3333, 3333, 3334], discount: 1001, shipping: 2999 },
+            { amounts: [99999, 1, 5], discount: 3, shipping: 1 }
+        ];
+
+        for (const { amounts, discount, shipping } of cases) {
+            const result = tax.calculate({
+                country: 'DE',
+                lines: amounts.map((amount, i) => ({
+                    taxClass: i % 2 ? 'print' : 'original_art',
+                    amount
+                })),
+                discount,
+                shipping
+            });
+
+            const paid = amounts.reduce((sum, amount) => sum + amount, 0) - discount + shipping;
+            assert.equal(grossTotal(result), paid, `amounts ${amounts.join(', ')}`);
+        }
+    });
+
+    it('groups lines sharing a rate', () => {
+        const result = tax.calculate({
+            country: 'BE',
+            lines: [
+                { taxClass: 'original_art', amount: 4000 },
+                { taxClass: 'original_art', amount: 6000 }
+            ],
+            shipping: 1000
+        });
+
+        assert.equal(result.breakdown.length, 1);
+        assert.equal(result.breakdown[0].amountGross, 11000);
+        assert.equal(result.breakdown[0].amountTax, Math.round(11000 * 6 / 106));
+    });
+
+    it('allocates the discount only to the lines it applies to', () => {
+        const result = tax.calculate({
+            country: 'FR',
+            lines: [
+                { taxClass: 'original_art', amount: 10000 },
+                { taxClass: 'print', amount: 5000, discountable: false }
+            ],
+            discount: 1000,
+            shipping: 1400
+        });
+
+        // Discount 1000 / 0, then shipping 900 / 500 on the discounted lines
+        assert.deepEqual(result.breakdown, [
+            { rate: 5.5, amountGross: 9900, amountTax: 516 },
+            { rate: 20, amountGross: 5500, amountTax: 917 }
+        ]);
+    });
+
+    it('still taxes shipping when the discount covers the artworks', () => {
+        const result = tax.calculate({
+            country: 'FR',
+            lines: [
+                { taxClass: 'original_art', amount: 3000 },
+                { taxClass: 'print', amount: 1000 }
+            ],
+            discount: 4000,
+            shipping: 2000
+        });
+
+        assert.equal(grossTotal(result), 2000);
+        assert.deepEqual(result.breakdown, [
+            { rate: 5.5, amountGross: 1500, amountTax: 78 },
+            { rate: 20, amountGross: 500, amountTax: 83 }
+        ]);
+    });
+
+    it('charges no VAT on exports to Switzerland', () => {
+        const result = tax.calculate({
+            country: 'CH',
+            lines: [{ taxClass: 'print', amount: 5000 }],
+            shipping: 4500
+        });
+
+        assert.equal(result.amountTax, 0);
+        assert.equal(grossTotal(result), 9500);
+    });
+
+    it('rejects countries without configured rates', () => {
+        assert.throws(
+            () => tax.calculate({ country: 'US', lines: [{ taxClass: 'print', amount: 100 }] }),
+            /No VAT rate configured for US\/print/
+        );
+    });
+});
+
+describe('tax.calculateForOrder', () => {
+    it('taxes order lines with the tax class of their artwork', () => {
+        const result = tax.calculateForOrder({
+            lineItems: [
+                { artworkId: 'cerveau-connecte', amountTotal: 38000 },
+                { artworkId: null, amountTotal: 12000 }
+            ],
+            amountDiscount: 5000,
+            amountShipping: 2500
+        }, 'FR');
+
+        // A sculpture is an original work of art; unknown lines use the default class
+        assert.deepEqual(result.breakdown.map(entry => entry.rate), [5.5, 20]);
+        assert.equal(grossTotal(result), 38000 + 12000 - 5000 + 2500);
+    });
+
+    it('keeps the discount off artworks excluded from the promo code', () => {
+        const session = {
+            id: 'cs_test_excluded',
+            payment_intent: 'pi_test_excluded',
+            customer_details: { email: 'buyer@example.com', name: 'Jeanne Martin' },
+            metadata: { locale: 'fr', promoCode: 'NOPRINTS' },
+            currency: 'eur',
+            amount_subtotal: 50000,
+            shipping_cost: { amount_total: 0 },
+            total_details: { amount_discount: 3800 },
+            amount_total: 46200
+        };
+        const lineItem = (artworkId, amount, discountable) => ({
+            description: artworkId || 'Tirage',
+            quantity: 1,
+            amount_subtotal: amount,
+            price: { unit_amount: amount, product: { metadata: { artworkId, discountable } } }
+        });
+
+        const fields = orders.fromCheckoutSession(session, [
+            lineItem('cerveau-connecte', 38000, 'true'),
+            lineItem(null, 12000, 'false')
+        ]);
+        const result = tax.calculateForOrder(fields, 'FR');
+
+        // The print (20 %) keeps its full price; the sculpture (5.5 %) takes the discount
+        assert.deepEqual(result.breakdown, [
+            { rate: 5.5, amountGross: 34200, amountTax: 1783 },
+            { rate: 20, amountGross: 12000, amountTax: 2000 }
+        ]);
+    });
+});